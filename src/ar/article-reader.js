@@ -0,0 +1,525 @@
+/**
+ * ArticleReader - In-app sheet for reading full Wikipedia articles
+ * Slides up over the AR view so users never leave the app (or the installed PWA);
+ * the camera and renderer keep running underneath
+ *
+ * Core responsibilities:
+ * - Load the summary (lead image, description) and full article HTML via WikiClient
+ * - Sanitize parser output with an element/attribute allowlist
+ * - Build a table of contents from the article sections
+ * - Keep internal links in the reader, with a back stack; open everything else in a new tab
+ * - Show generated Wikidata cards for landmarks without an article
+ * - Show a facts table (built, architect, height...) for the landmark an article was opened from
+ */
+
+import { PRIORITY } from '../core/request-scheduler.js';
+
+// Elements kept from parser output; anything else is unwrapped (children kept)
+const ALLOWED_TAGS = new Set([
+  'a', 'abbr', 'b', 'bdi', 'blockquote', 'br', 'caption', 'cite', 'code', 'dd', 'del',
+  'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr',
+  'i', 'img', 'ins', 'kbd', 'li', 'ol', 'p', 'pre', 'q', 'rp', 'rt', 'ruby', 's',
+  'small', 'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th',
+  'thead', 'time', 'tr', 'u', 'ul', 'var', 'wbr'
+]);
+
+// Elements removed together with their content
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'link', 'meta', 'noscript', 'iframe', 'object', 'embed',
+  'form', 'input', 'button', 'select', 'textarea', 'audio', 'video', 'svg', 'math'
+]);
+
+// Parser output that is noise on a phone (navigation boxes, maintenance notices)
+const DROPPED_SELECTOR = '.navbox, .vertical-navbox, .metadata, .ambox, .mw-editsection, .mw-empty-elt, .noprint, .sistersitebox';
+
+const ALLOWED_ATTRIBUTES = new Set([
+  'href', 'src', 'srcset', 'alt', 'title', 'id', 'class', 'colspan', 'rowspan',
+  'width', 'height', 'datetime', 'lang', 'dir'
+]);
+
+/**
+ * Build a compact two-column facts table
+ * @param {Array<Object>} facts - Facts {label, value, url?} from WikiClient.fetchFacts
+ * @returns {HTMLTableElement}
+ */
+export function createFactsTable(facts) {
+  const table = document.createElement('table');
+  table.className = 'facts-table';
+
+  facts.forEach(fact => {
+    const row = table.insertRow();
+    const label = document.createElement('th');
+    label.scope = 'row';
+    label.textContent = fact.label;
+
+    const value = row.insertCell();
+    if (fact.url) {
+      const link = document.createElement('a');
+      link.href = fact.url;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = fact.value;
+      value.appendChild(link);
+    } else {
+      value.textContent = fact.value;
+    }
+    row.prepend(label);
+  });
+
+  return table;
+}
+
+/**
+ * Point an image at a URL, as a CORS request where the host allows it
+ * upload.wikimedia.org sends CORS headers; a CORS response is not opaque,
+ * so the service worker can cache it
+ * @param {HTMLImageElement} image - Image element
+ * @param {string} src - Absolute image URL
+ */
+function setImageSource(image, src) {
+  if (new URL(src).hostname === 'upload.wikimedia.org') {
+    image.setAttribute('crossorigin', 'anonymous');
+  } else {
+    image.removeAttribute('crossorigin');
+  }
+  image.setAttribute('src', src);
+}
+
+// Wiki namespaces that are not articles - links into them leave the reader
+const NON_ARTICLE_NAMESPACE = /^(File|Image|Media|Special|Help|Category|Template|Wikipedia|Portal|Talk|User|Module|Draft|MediaWiki|Book|TimedText)(_talk)?:/i;
+
+export class ArticleReader {
+  /**
+   * @param {HTMLElement} container - Element the sheet is rendered into
+   * @param {Object} options
+   * @param {WikiClient} options.wikiClient - Client used to load articles
+   * @param {Function} [options.onClose] - Called after the sheet is closed
+   */
+  constructor(container, options = {}) {
+    if (!container) {
+      throw new Error('Reader container is required');
+    }
+    if (!options.wikiClient) {
+      throw new Error('WikiClient is required');
+    }
+
+    this.container = container;
+    this.wikiClient = options.wikiClient;
+    this.onClose = options.onClose || null;
+
+    this.history = []; // Articles {title, lang} opened in this session, last = current
+    this.poi = null; // Landmark the first article belongs to (facts are shown for it only)
+    this.loadToken = 0; // Ignores responses for articles the user already left
+    this.loadController = null; // Cancels requests for the page being left
+
+    this._setupDOM();
+  }
+
+  /**
+   * Whether the sheet is showing
+   * @returns {boolean}
+   */
+  isOpen() {
+    return !this.container.classList.contains('hidden');
+  }
+
+  /**
+   * Open an article, replacing the reader history
+   * @param {string} title - Article title
+   * @param {string} [lang] - Wiki language code (default: the client's most preferred language)
+   * @param {Object} [poi] - POI the article was opened from, for the facts table
+   */
+  open(title, lang = this.wikiClient.language, poi = null) {
+    this.history = [];
+    this.poi = poi;
+    this.container.classList.remove('hidden');
+    this._navigate({ title, lang });
+  }
+
+  /**
+   * Show a card generated from Wikidata (see WikiClient.fetchWikidataCard)
+   * Cards have no body or links, so the reader history is cleared
+   * @param {Object} card - Card {title, description, extract, imageUrl, url, lang}
+   * @param {Object} [poi] - POI the card belongs to, for the facts table
+   */
+  openCard(card, poi = null) {
+    const token = ++this.loadToken; // Drop any article still loading
+    this.loadController?.abort();
+    this.history = [];
+    this.poi = poi;
+    this.container.classList.remove('hidden');
+
+    const { elements } = this;
+    elements.back.classList.add('hidden');
+    elements.title.textContent = card.title;
+    elements.description.textContent = card.description || '';
+    elements.leadImage.classList.toggle('hidden', !card.imageUrl);
+    if (card.imageUrl) {
+      setImageSource(elements.leadImage, card.imageUrl);
+    } else {
+      elements.leadImage.removeAttribute('src');
+    }
+    elements.toc.classList.add('hidden');
+    elements.tocList.innerHTML = '';
+
+    const extract = document.createElement('p');
+    extract.textContent = card.extract || 'No Wikipedia article exists for this place yet.';
+    elements.body.innerHTML = '';
+    elements.body.appendChild(extract);
+
+    elements.source.href = card.url;
+    elements.source.textContent = 'View on Wikidata';
+    elements.scroll.lang = card.lang;
+    elements.scroll.scrollTop = 0;
+    this._loadFacts(token);
+  }
+
+  /**
+   * Close the sheet
+   */
+  close() {
+    this.loadToken++;
+    this.loadController?.abort();
+    this.history = [];
+    this.poi = null;
+    this.container.classList.add('hidden');
+    this.elements.body.innerHTML = '';
+    if (this.onClose) this.onClose();
+  }
+
+  /**
+   * Go back to the previous article
+   */
+  back() {
+    if (this.history.length < 2) return;
+    this.history.pop();
+    this._load(this._current());
+  }
+
+  /**
+   * Build the static sheet structure
+   * @private
+   */
+  _setupDOM() {
+    this.container.classList.add('article-reader', 'hidden');
+    this.container.innerHTML = `
+      <div class="reader-header">
+        <button class="reader-back" aria-label="Back">‹</button>
+        <div class="reader-heading">
+          <h2 class="reader-title"></h2>
+          <div class="reader-description"></div>
+        </div>
+        <button class="reader-close" aria-label="Close">✕</button>
+      </div>
+      <div class="reader-scroll">
+        <img class="reader-lead-image hidden" alt="">
+        <div class="reader-facts"></div>
+        <details class="reader-toc hidden">
+          <summary>Contents</summary>
+          <ol></ol>
+        </details>
+        <div class="reader-body"></div>
+        <a class="reader-source" target="_blank" rel="noopener">View on Wikipedia</a>
+      </div>
+    `;
+
+    this.elements = {
+      back: this.container.querySelector('.reader-back'),
+      close: this.container.querySelector('.reader-close'),
+      title: this.container.querySelector('.reader-title'),
+      description: this.container.querySelector('.reader-description'),
+      scroll: this.container.querySelector('.reader-scroll'),
+      leadImage: this.container.querySelector('.reader-lead-image'),
+      facts: this.container.querySelector('.reader-facts'),
+      toc: this.container.querySelector('.reader-toc'),
+      tocList: this.container.querySelector('.reader-toc ol'),
+      body: this.container.querySelector('.reader-body'),
+      source: this.container.querySelector('.reader-source')
+    };
+
+    this.elements.close.addEventListener('click', () => this.close());
+    this.elements.back.addEventListener('click', () => this.back());
+
+    // One delegated handler for article links and TOC entries
+    this.elements.scroll.addEventListener('click', (e) => this._handleLinkClick(e));
+  }
+
+  /**
+   * The article currently shown
+   * @private
+   * @returns {Object} {title, lang}
+   */
+  _current() {
+    return this.history[this.history.length - 1];
+  }
+
+  /**
+   * Push an article onto the history and load it
+   * @private
+   * @param {Object} entry - Article {title, lang}
+   */
+  _navigate(entry) {
+    this.history.push(entry);
+    this._load(entry);
+  }
+
+  /**
+   * Show the facts table of the POI the reader was opened for
+   * Only on the first page - articles reached through links are about something else
+   * @private
+   * @param {number} token - Load token of the page being shown
+   */
+  async _loadFacts(token) {
+    this.elements.facts.innerHTML = '';
+    if (!this.poi || this.history.length > 1) return;
+
+    const facts = await this.wikiClient.fetchFacts(this.poi);
+    if (token !== this.loadToken || facts.length === 0) return;
+    this.elements.facts.appendChild(createFactsTable(facts));
+  }
+
+  /**
+   * Load and render an article
+   * The summary (title, description, lead image) usually comes from cache and
+   * shows immediately; the body follows when the parse request finishes
+   * @private
+   * @param {Object} entry - Article {title, lang}
+   */
+  async _load({ title, lang }) {
+    const token = ++this.loadToken;
+    const { elements } = this;
+
+    // The page being left may still be loading - free its requests for this one
+    this.loadController?.abort();
+    this.loadController = new AbortController();
+    const options = { priority: PRIORITY.VISIBLE, signal: this.loadController.signal };
+
+    elements.back.classList.toggle('hidden', this.history.length < 2);
+    elements.title.textContent = title.replace(/_/g, ' ');
+    elements.description.textContent = '';
+    elements.leadImage.classList.add('hidden');
+    elements.leadImage.removeAttribute('src');
+    elements.toc.classList.add('hidden');
+    elements.toc.open = false;
+    elements.tocList.innerHTML = '';
+    elements.body.innerHTML = '<p class="reader-status">Loading article...</p>';
+    elements.source.removeAttribute('href');
+    elements.source.textContent = 'View on Wikipedia';
+    elements.scroll.lang = lang; // Correct hyphenation and screen reader voice
+    elements.scroll.scrollTop = 0;
+    this._loadFacts(token);
+
+    this.wikiClient.fetchByTitle(title, lang, options)
+      .then(summary => {
+        if (token !== this.loadToken) return;
+        elements.description.textContent = summary.description || '';
+        if (summary.imageUrl) {
+          setImageSource(elements.leadImage, summary.imageUrl);
+          elements.leadImage.classList.remove('hidden');
+        }
+      })
+      .catch(() => {
+        // The body below still renders without a summary
+      });
+
+    try {
+      const article = await this.wikiClient.fetchArticle(title, lang, options);
+      if (token !== this.loadToken) return;
+
+      elements.title.textContent = article.title;
+      elements.source.href = article.url;
+      elements.body.innerHTML = '';
+      elements.body.appendChild(this._sanitize(article.html));
+      this._renderTOC(article.sections);
+    } catch (error) {
+      if (token !== this.loadToken) return;
+      console.error(`Failed to load article ${title}:`, error);
+      elements.body.innerHTML = `<p class="reader-status">${navigator.onLine === false
+        ? 'This article is not available offline.'
+        : 'The article could not be loaded.'}</p>`;
+    }
+  }
+
+  /**
+   * Render the table of contents (top two section levels)
+   * @private
+   * @param {Array} sections - Sections {level, title, anchor}
+   */
+  _renderTOC(sections) {
+    const entries = sections.filter(section => section.level <= 2);
+    if (entries.length === 0) return;
+
+    entries.forEach(section => {
+      const item = document.createElement('li');
+      item.className = `reader-toc-level-${section.level}`;
+
+      const link = document.createElement('a');
+      link.href = `#${section.anchor}`;
+      // Section titles may contain markup - keep the text only
+      link.textContent = this._sanitize(section.title).textContent;
+
+      item.appendChild(link);
+      this.elements.tocList.appendChild(item);
+    });
+
+    this.elements.toc.classList.remove('hidden');
+  }
+
+  /**
+   * Turn parser HTML into a safe document fragment
+   * A <template> parses without running scripts or loading images; the allowlist
+   * walk then drops anything that could execute or escape the sheet
+   * @private
+   * @param {string} html - Parser output
+   * @returns {DocumentFragment} Sanitized content
+   */
+  _sanitize(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const fragment = template.content;
+
+    fragment.querySelectorAll(DROPPED_SELECTOR).forEach(element => element.remove());
+    this._sanitizeChildren(fragment);
+
+    return document.importNode(fragment, true);
+  }
+
+  /**
+   * Recursively apply the tag and attribute allowlists
+   * @private
+   * @param {Node} parent - Node whose children are sanitized
+   */
+  _sanitizeChildren(parent) {
+    for (const node of [...parent.childNodes]) {
+      if (node.nodeType === Node.COMMENT_NODE) {
+        node.remove();
+        continue;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) continue;
+
+      const tag = node.tagName.toLowerCase();
+      if (DROPPED_TAGS.has(tag)) {
+        node.remove();
+        continue;
+      }
+
+      this._sanitizeChildren(node);
+
+      if (!ALLOWED_TAGS.has(tag)) {
+        node.replaceWith(...node.childNodes);
+        continue;
+      }
+
+      for (const { name } of [...node.attributes]) {
+        if (!ALLOWED_ATTRIBUTES.has(name)) {
+          node.removeAttribute(name);
+        }
+      }
+
+      if (tag === 'a') this._rewriteLink(node);
+      if (tag === 'img') this._rewriteImage(node);
+    }
+  }
+
+  /**
+   * Classify a link: internal articles stay in the reader, in-page anchors
+   * scroll, everything else opens in a new tab; unsafe URLs are unlinked
+   * @private
+   * @param {HTMLAnchorElement} link - Link element
+   */
+  _rewriteLink(link) {
+    const href = link.getAttribute('href') || '';
+
+    if (href.startsWith('#')) {
+      return;
+    }
+
+    // Links resolve against the wiki of the article being shown
+    const { lang } = this._current();
+    const articleMatch = href.match(/^(?:\.\/|\/wiki\/)([^?#]+)(#.*)?$/);
+    if (articleMatch) {
+      const title = decodeURIComponent(articleMatch[1]);
+      if (!NON_ARTICLE_NAMESPACE.test(title)) {
+        link.dataset.title = title.replace(/_/g, ' ');
+        link.setAttribute('href', `https://${lang}.wikipedia.org/wiki/${articleMatch[1]}`);
+        return;
+      }
+    }
+
+    // Red links (articles that don't exist) are plain text
+    if (href.includes('redlink=1')) {
+      link.replaceWith(...link.childNodes);
+      return;
+    }
+
+    let url;
+    try {
+      url = new URL(href, `https://${lang}.wikipedia.org/wiki/`);
+    } catch (error) {
+      url = null;
+    }
+
+    if (!url || (url.protocol !== 'https:' && url.protocol !== 'http:')) {
+      link.replaceWith(...link.childNodes);
+      return;
+    }
+
+    link.setAttribute('href', url.href);
+    link.setAttribute('target', '_blank');
+    link.setAttribute('rel', 'noopener');
+  }
+
+  /**
+   * Make image URLs absolute and lazy; drop anything that isn't https
+   * @private
+   * @param {HTMLImageElement} image - Image element
+   */
+  _rewriteImage(image) {
+    const absolute = (value) => value.replace(/(^|,\s*)\/\//g, '$1https://');
+
+    const src = absolute(image.getAttribute('src') || '');
+    if (!src.startsWith('https://')) {
+      image.remove();
+      return;
+    }
+
+    setImageSource(image, src);
+    if (image.hasAttribute('srcset')) {
+      image.setAttribute('srcset', absolute(image.getAttribute('srcset')));
+    }
+    image.setAttribute('loading', 'lazy');
+  }
+
+  /**
+   * Route clicks on article links and TOC entries
+   * @private
+   * @param {MouseEvent} e - Click event
+   */
+  _handleLinkClick(e) {
+    const link = e.target.closest('a');
+    if (!link || !this.elements.scroll.contains(link)) return;
+
+    const href = link.getAttribute('href') || '';
+
+    if (href.startsWith('#')) {
+      e.preventDefault();
+      this._scrollToAnchor(decodeURIComponent(href.slice(1)));
+    } else if (link.dataset.title) {
+      e.preventDefault();
+      this._navigate({ title: link.dataset.title, lang: this._current().lang });
+    }
+    // Other links open in a new tab (target="_blank")
+  }
+
+  /**
+   * Scroll the sheet to an element id
+   * @private
+   * @param {string} anchor - Element id
+   */
+  _scrollToAnchor(anchor) {
+    const target = this.elements.body.querySelector(`#${CSS.escape(anchor)}`);
+    if (target) {
+      target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  }
+}
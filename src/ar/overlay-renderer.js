@@ -4,8 +4,10 @@
  * Handles label positioning, visibility, animations, and click interactions
  */
 
-import { projectToScreen } from '../utils/coordinates.js';
+import { projectToScreen, calculateBearing } from '../utils/coordinates.js';
 import { WikiClient } from '../core/wiki-client.js';
+import { getLabelStyle } from '../core/poi-categories.js';
+import { PRIORITY, isAbortError } from '../core/request-scheduler.js';
 
 export class OverlayRenderer {
   constructor(containerElement, options = {}) {
@@ -21,12 +23,17 @@ export class OverlayRenderer {
     this.maxLabels = options.maxLabels || 20;
     this.minLabelSpacing = options.minLabelSpacing || 80; // pixels
     this.horizontalFOV = options.horizontalFOV || 60; // degrees
-    this.verticalFOV = options.verticalFOV || 45; // degrees
     this.updateInterval = options.updateInterval || 50; // ms - faster updates for responsive tracking
+    this.occlusionMode = options.occlusionMode || 'off'; // 'off', 'dim' or 'hide' POIs behind buildings
+    this.maxEdgeIndicators = options.maxEdgeIndicators || 4; // per screen side
     
     // State management
     this.activePOIs = new Map(); // Map<poiId, POIState>
     this.labelElements = new Map(); // Map<poiId, HTMLElement>
+    this.edgeIndicators = new Map(); // Map<poiId, HTMLElement> for POIs left/right of the view
+    this.guidanceTarget = null; // POI id the user is being guided toward
+    this.guidanceBanner = null;
+    this.articleGeneration = 0; // Bumped by refreshArticles() to discard in-flight fetches
     this.isRendering = false;
     this.animationFrameId = null;
     this.lastUpdateTime = 0;
@@ -41,6 +48,9 @@ export class OverlayRenderer {
     
     // Click handler for full article modal
     this.onLabelClick = options.onLabelClick || this._defaultClickHandler.bind(this);
+
+    // Called with the guidance target's POI id (or null) when guidance starts or stops
+    this.onGuidanceChange = options.onGuidanceChange || null;
     
     // Initialize
     this._setupContainer();
@@ -89,7 +99,7 @@ export class OverlayRenderer {
 
   /**
    * Update device orientation (called by sensors)
-   * @param {Object} orientation - { heading, pitch }
+   * @param {Object} orientation - { heading, pitch, roll } (pitch/roll are W3C beta/gamma)
    */
   updateDeviceOrientation(orientation) {
     this.deviceOrientation = orientation;
@@ -103,6 +113,14 @@ export class OverlayRenderer {
     this.maxVisibleDistance = distance;
   }
 
+  /**
+   * Set how POIs marked `occluded` are shown
+   * @param {string} mode - 'off' (ignore), 'dim' or 'hide'
+   */
+  setOcclusionMode(mode) {
+    this.occlusionMode = mode;
+  }
+
   /**
    * Update screen dimensions (e.g., on orientation change)
    * @param {number} width - Screen width in pixels
@@ -141,7 +159,8 @@ export class OverlayRenderer {
           isVisible: false,
           opacity: 0,
           articleData: null,
-          isLoading: false
+          isLoading: false,
+          articleBatch: null // Article request this POI is part of (see _fetchArticleData)
         });
       } else {
         // Update POI data
@@ -214,8 +233,9 @@ export class OverlayRenderer {
 
     // Calculate screen positions for all POIs
     const visiblePOIs = [];
+    const offscreenPOIs = [];
     let projectionAttempts = 0;
-    let outsideHFOV = 0;
+    let outsideFOV = 0;
     
     for (const [poiId, state] of this.activePOIs) {
       const poi = state.poi;
@@ -226,33 +246,46 @@ export class OverlayRenderer {
         continue;
       }
 
+      // Hidden behind a building
+      if (this.occlusionMode === 'hide' && poi.occluded) {
+        state.isVisible = false;
+        continue;
+      }
+
       projectionAttempts++;
 
-      // Project to screen coordinates
+      // Project to screen coordinates (upright, unrolled phone until sensors report)
       const screenPos = projectToScreen(
         this.userPosition,
-        { lat: poi.lat, lng: poi.lng },
+        { lat: poi.lat, lng: poi.lng, elevation: poi.elevation },
         this.deviceOrientation.heading,
-        this.deviceOrientation.pitch || 0,
+        this.deviceOrientation.pitch ?? 90,
         this.screenDimensions.width,
         this.screenDimensions.height,
         this.horizontalFOV,
-        this.verticalFOV
+        this.deviceOrientation.roll ?? 0
       );
 
       if (screenPos) {
         state.screenPos = screenPos;
+        state.rotation = screenPos.rotation;
         state.isVisible = true;
         visiblePOIs.push({ poiId, state });
       } else {
         state.isVisible = false;
-        outsideHFOV++;
+        outsideFOV++;
+
+        // Left or right of the view (POIs only above/below it get no indicator)
+        const turnAngle = this._getTurnAngle(poi);
+        if (Math.abs(turnAngle) > this.horizontalFOV / 2) {
+          offscreenPOIs.push({ poiId, state, turnAngle });
+        }
       }
     }
 
     // Debug log occasionally
     if (Math.random() < 0.1) { // 10% of frames for more frequent feedback
-      console.log(`[AR Render] ${visiblePOIs.length} visible / ${projectionAttempts} total (${outsideHFOV} outside FOV)`);
+      console.log(`[AR Render] ${visiblePOIs.length} visible / ${projectionAttempts} total (${outsideFOV} outside FOV)`);
       console.log(`[AR State] Heading: ${this.deviceOrientation.heading.toFixed(1)}°, User: ${this.userPosition.lat.toFixed(4)}, ${this.userPosition.lng.toFixed(4)}`);
       
       // Log detailed position info for visible POIs
@@ -277,6 +310,245 @@ export class OverlayRenderer {
 
     // Update DOM elements
     this._updateDOM(finalPOIs);
+    this._updateEdgeIndicators(offscreenPOIs);
+    this._updateGuidance();
+  }
+
+  /**
+   * Signed angle the user has to turn to face a POI
+   * @private
+   * @param {Object} poi - POI data
+   * @returns {number} Degrees in [-180, 180), negative = turn left
+   */
+  _getTurnAngle(poi) {
+    const bearing = calculateBearing(this.userPosition.lat, this.userPosition.lng, poi.lat, poi.lng);
+    return ((bearing - this.deviceOrientation.heading + 540) % 360) - 180;
+  }
+
+  /**
+   * Show arrows along the left and right screen edges for in-range POIs outside the view
+   * The nearest POIs per side are stacked around the vertical center
+   * @private
+   * @param {Array} offscreenPOIs - Array of { poiId, state, turnAngle }
+   */
+  _updateEdgeIndicators(offscreenPOIs) {
+    const sides = { left: [], right: [] };
+    offscreenPOIs
+      .sort((a, b) => a.state.poi.distance - b.state.poi.distance)
+      .forEach(entry => {
+        const side = entry.turnAngle < 0 ? sides.left : sides.right;
+        if (side.length < this.maxEdgeIndicators) side.push(entry);
+      });
+
+    const shownIds = new Set();
+    const spacing = 52;
+
+    for (const [side, entries] of Object.entries(sides)) {
+      const top = this.screenDimensions.height / 2 - (entries.length - 1) * spacing / 2;
+
+      entries.forEach(({ poiId, state, turnAngle }, index) => {
+        let element = this.edgeIndicators.get(poiId);
+        if (!element) {
+          element = this._createEdgeIndicator(poiId, state);
+          this.edgeIndicators.set(poiId, element);
+          this.container.appendChild(element);
+        }
+
+        if (element.dataset.side !== side) {
+          element.dataset.side = side;
+          element.style.left = side === 'left' ? '0' : '';
+          element.style.right = side === 'right' ? '0' : '';
+          element.style.flexDirection = side === 'left' ? 'row' : 'row-reverse';
+          element.style.borderRadius = side === 'left' ? '0 8px 8px 0' : '8px 0 0 8px';
+          element.querySelector('.ar-edge-arrow').textContent = side === 'left' ? '◀' : '▶';
+        }
+
+        element.style.top = `${top + index * spacing}px`;
+        element.style.opacity = this._getLabelOpacity(state.poi);
+        element.style.outline = this.guidanceTarget === poiId ? '2px solid #4da6ff' : 'none';
+        element.querySelector('.ar-edge-angle').textContent = `${Math.round(Math.abs(turnAngle))}°`;
+        shownIds.add(poiId);
+      });
+    }
+
+    for (const [poiId, element] of this.edgeIndicators) {
+      if (!shownIds.has(poiId)) {
+        element.remove();
+        this.edgeIndicators.delete(poiId);
+      }
+    }
+  }
+
+  /**
+   * Create an edge indicator element
+   * @private
+   * @param {string} poiId - POI identifier
+   * @param {Object} state - POI state
+   * @returns {HTMLElement} Indicator element
+   */
+  _createEdgeIndicator(poiId, state) {
+    const style = getLabelStyle(state.poi.tags);
+
+    const indicator = document.createElement('div');
+    indicator.className = 'ar-edge-indicator';
+    indicator.dataset.poiId = poiId;
+    indicator.style.cssText = `
+      position: absolute;
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      max-width: 40%;
+      transform: translateY(-50%);
+      background: rgba(0, 0, 0, 0.7);
+      color: white;
+      padding: 6px 10px;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+      font-size: 12px;
+      pointer-events: auto;
+      cursor: pointer;
+      border: 1px solid ${style.color};
+      transition: opacity 0.3s ease-out;
+      z-index: 4;
+    `;
+
+    indicator.innerHTML = `
+      <span class="ar-edge-arrow" style="color: ${style.color}; font-size: 14px;"></span>
+      <span class="ar-edge-name" style="white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">
+        ${style.icon} ${this._escapeHtml(state.poi.name)}
+      </span>
+      <span class="ar-edge-angle" style="font-weight: 600; opacity: 0.8;"></span>
+    `;
+
+    indicator.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const current = this.activePOIs.get(poiId);
+      if (current) this.guideTo(current.poi);
+    });
+
+    return indicator;
+  }
+
+  /**
+   * Start guiding the user toward a POI
+   * A banner shows which way and how far to turn until the POI is in view,
+   * then its label is highlighted
+   * @param {Object} poi - POI data (must be among the rendered POIs)
+   */
+  guideTo(poi) {
+    if (!poi || !this.activePOIs.has(poi.id)) {
+      console.warn('Cannot guide to unknown POI', poi);
+      return;
+    }
+
+    this.guidanceTarget = poi.id;
+    if (this.onGuidanceChange) this.onGuidanceChange(poi.id);
+
+    if (!this.guidanceBanner) {
+      this.guidanceBanner = this._createGuidanceBanner();
+      this.container.appendChild(this.guidanceBanner);
+    }
+
+    if (this.userPosition && this.deviceOrientation) {
+      this._updateGuidance();
+    }
+  }
+
+  /**
+   * Stop guidance and remove the banner
+   */
+  stopGuidance() {
+    const label = this.labelElements.get(this.guidanceTarget);
+    if (label) label.style.outline = 'none';
+
+    this.guidanceTarget = null;
+    if (this.guidanceBanner) {
+      this.guidanceBanner.remove();
+      this.guidanceBanner = null;
+    }
+    if (this.onGuidanceChange) this.onGuidanceChange(null);
+  }
+
+  /**
+   * Create the guidance banner element
+   * @private
+   * @returns {HTMLElement} Banner element
+   */
+  _createGuidanceBanner() {
+    const banner = document.createElement('div');
+    banner.className = 'ar-guidance-banner';
+    banner.style.cssText = `
+      position: absolute;
+      bottom: 170px;
+      left: 50%;
+      transform: translateX(-50%);
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      max-width: 90%;
+      background: rgba(0, 0, 0, 0.85);
+      color: white;
+      padding: 8px 12px;
+      border-radius: 20px;
+      border: 1px solid #4da6ff;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+      font-size: 14px;
+      pointer-events: auto;
+      z-index: 2000;
+    `;
+
+    banner.innerHTML = `
+      <span class="ar-guidance-arrow" style="font-size: 20px; display: inline-block; transition: transform 0.2s;">⬆</span>
+      <span style="overflow: hidden;">
+        <span class="ar-guidance-name" style="display: block; font-weight: 600; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;"></span>
+        <span class="ar-guidance-text" style="display: block; font-size: 12px; opacity: 0.8;"></span>
+      </span>
+      <button class="ar-guidance-close" style="background: none; border: none; color: white; font-size: 16px; cursor: pointer; padding: 4px;" aria-label="Stop guidance">✕</button>
+    `;
+
+    banner.querySelector('.ar-guidance-close').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.stopGuidance();
+    });
+
+    return banner;
+  }
+
+  /**
+   * Refresh the guidance banner for the current heading
+   * @private
+   */
+  _updateGuidance() {
+    if (!this.guidanceTarget) return;
+
+    const state = this.activePOIs.get(this.guidanceTarget);
+    if (!state) {
+      // Target dropped out of the POI set (user moved away or changed filters)
+      this.stopGuidance();
+      return;
+    }
+
+    const turnAngle = this._getTurnAngle(state.poi);
+    const inView = Math.abs(turnAngle) <= this.horizontalFOV / 2;
+    const degrees = Math.round(Math.abs(turnAngle));
+
+    let text;
+    if (inView && state.isVisible) {
+      text = `Ahead · ${this._formatDistance(state.poi.distance)}`;
+    } else if (inView) {
+      text = `Ahead, tilt your phone · ${this._formatDistance(state.poi.distance)}`;
+    } else {
+      text = `Turn ${turnAngle < 0 ? 'left' : 'right'} ${degrees}° · ${this._formatDistance(state.poi.distance)}`;
+    }
+
+    this.guidanceBanner.querySelector('.ar-guidance-name').textContent = state.poi.name;
+    this.guidanceBanner.querySelector('.ar-guidance-text').textContent = text;
+    this.guidanceBanner.querySelector('.ar-guidance-arrow').style.transform = `rotate(${Math.round(turnAngle)}deg)`;
+
+    // Highlight the target label once it is on screen
+    const label = this.labelElements.get(this.guidanceTarget);
+    if (label) {
+      label.style.outline = state.isVisible ? '2px solid #4da6ff' : 'none';
+    }
   }
 
   /**
@@ -374,6 +646,7 @@ export class OverlayRenderer {
    */
   _updateDOM(displayPOIs) {
     const displayPOIIds = new Set(displayPOIs.map(p => p.poiId));
+    const needArticles = []; // Labels created this frame, fetched in one batch
     
     // Iterate over ALL current labels to find ones that need removal
     for (const [poiId, element] of this.labelElements) {
@@ -397,12 +670,12 @@ export class OverlayRenderer {
         
         // Trigger fade in animation
         requestAnimationFrame(() => {
-          element.style.opacity = '1';
+          element.style.opacity = this._getLabelOpacity(state.poi);
         });
 
         // Fetch Wikipedia data if not already loading
-        if (!state.articleData && !state.isLoading) {
-          this._fetchArticleData(poiId, state);
+        if (!state.articleData && !state.isLoading && (state.poi.wikipediaTitle || state.poi.wikidataId)) {
+          needArticles.push({ poiId, state });
         }
       } else {
           // Element exists. If it was fading out, CANCEL THE DEATH!
@@ -411,7 +684,7 @@ export class OverlayRenderer {
               element._fadeTimeout = null;
           }
           element._isFading = false;
-          element.style.opacity = '1';
+          element.style.opacity = this._getLabelOpacity(state.poi);
           element.style.display = 'block';
       }
 
@@ -427,7 +700,43 @@ export class OverlayRenderer {
         this._updateLabelContent(element, state);
         element.dataset.hasArticle = 'true';
       }
+
+      // Distance changes as the user walks
+      this._updateLabelDistance(element, state.poi);
     });
+
+    if (needArticles.length > 0) {
+      this._fetchArticleData(needArticles);
+    }
+  }
+
+  /**
+   * Label opacity - POIs behind buildings are dimmed in 'dim' occlusion mode
+   * @private
+   * @param {Object} poi - POI data
+   * @returns {string} CSS opacity
+   */
+  _getLabelOpacity(poi) {
+    return this.occlusionMode === 'dim' && poi.occluded ? '0.35' : '1';
+  }
+
+  /**
+   * Refresh the distance text of a label if it changed
+   * @private
+   * @param {HTMLElement} element - Label element
+   * @param {Object} poi - POI data
+   */
+  _updateLabelDistance(element, poi) {
+    const text = this._formatDistance(poi.distance);
+    if (element._distanceText === text) {
+      return;
+    }
+
+    const distanceElement = element.querySelector('.ar-label-distance');
+    if (distanceElement) {
+      distanceElement.textContent = text;
+      element._distanceText = text;
+    }
   }
 
   /**
@@ -438,9 +747,13 @@ export class OverlayRenderer {
    * @returns {HTMLElement} Label element
    */
   _createLabel(poiId, state) {
+    const poi = state.poi;
+    const style = getLabelStyle(poi.tags);
+
     const label = document.createElement('div');
     label.className = 'ar-label';
     label.dataset.poiId = poiId;
+    label.dataset.category = style.id;
     
     // Inline styles for maximum compatibility
     label.style.cssText = `
@@ -458,29 +771,25 @@ export class OverlayRenderer {
       transition: opacity 0.3s ease-out;
       backdrop-filter: blur(10px);
       border: 1px solid rgba(255, 255, 255, 0.2);
+      border-left: 4px solid ${style.color};
       box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4);
       max-width: 200px;
       z-index: 5;
     `;
 
-    // Initial content (name and distance)
-    const poi = state.poi;
-    const lang = poi.wikipediaLanguage || 'en';
-    const wikiUrl = poi.wikipediaTitle 
-      ? `https://${lang}.wikipedia.org/wiki/${encodeURIComponent(poi.wikipediaTitle.replace(/ /g, '_'))}`
-      : null;
-    
+    // Initial content (category icon, name and distance)
+    // "Read more" is a span, not a link: the whole label opens the article via onLabelClick
     label.innerHTML = `
       <div class="ar-label-title" style="font-weight: 600; margin-bottom: 4px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">
-        ${this._escapeHtml(poi.name)}
+        <span class="ar-label-icon" style="margin-right: 4px;">${style.icon}</span>${this._escapeHtml(poi.name)}
       </div>
       <div class="ar-label-distance" style="font-size: 12px; opacity: 0.8;">
         ${this._formatDistance(poi.distance)}
       </div>
-      ${wikiUrl ? `
-        <a href="${wikiUrl}" target="_blank" style="font-size: 11px; color: #4da6ff; text-decoration: none; display: inline-block; margin-top: 4px;">
+      ${poi.wikipediaTitle || poi.wikidataId ? `
+        <span class="ar-label-more" style="font-size: 11px; color: #4da6ff; display: inline-block; margin-top: 4px;">
           📖 Read more →
-        </a>
+        </span>
       ` : ''}
     `;
 
@@ -507,7 +816,8 @@ export class OverlayRenderer {
     // This ensures position updates are immediately visible
     element.style.left = `${pos.x}px`;
     element.style.top = `${pos.y}px`;
-    element.style.transform = `translate(-50%, 0) scale(${state.scale || 1})`; // Center horizontally + Apply scale
+    // Center horizontally, counter-rotate against device roll to stay level, apply scale
+    element.style.transform = `translate(-50%, 0) rotate(${(state.rotation || 0).toFixed(1)}deg) scale(${state.scale || 1})`;
     element.style.transformOrigin = 'center top'; // Scale from top center to maintain relative position
     element.style.zIndex = zIndex;
   }
@@ -521,37 +831,53 @@ export class OverlayRenderer {
   _updateLabelContent(element, state) {
     const article = state.articleData;
     const poi = state.poi;
-    const lang = poi.wikipediaLanguage || 'en';
+    const style = getLabelStyle(poi.tags);
     
     if (!article) {
       return;
     }
 
-    const wikiUrl = article.url || (poi.wikipediaTitle 
-      ? `https://${lang}.wikipedia.org/wiki/${encodeURIComponent(poi.wikipediaTitle.replace(/ /g, '_'))}`
-      : null);
-
     // Update with article snippet
     element.innerHTML = `
       <div class="ar-label-title" style="font-weight: 600; margin-bottom: 4px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">
-        ${this._escapeHtml(article.title || poi.name)}
+        <span class="ar-label-icon" style="margin-right: 4px;">${style.icon}</span>${this._escapeHtml(article.title || poi.name)}
       </div>
-      <div class="ar-label-distance" style="font-size: 12px; opacity: 0.8; margin-bottom: 4px;">
-        ${this._formatDistance(poi.distance)}
+      <div style="display: flex; align-items: center; gap: 6px; margin-bottom: 4px;">
+        <span class="ar-label-distance" style="font-size: 12px; opacity: 0.8;">${this._formatDistance(poi.distance)}</span>
+        ${article.lang ? `
+          <span class="ar-label-lang" title="Article language" style="font-size: 10px; font-weight: 600; padding: 0 4px; border: 1px solid rgba(255, 255, 255, 0.5); border-radius: 3px; opacity: 0.8;">${this._escapeHtml(article.lang.toUpperCase())}</span>
+        ` : ''}
       </div>
       ${article.extract ? `
         <div class="ar-label-description" style="font-size: 11px; opacity: 0.9; line-height: 1.3; display: -webkit-box; -webkit-line-clamp: 2; -webkit-box-orient: vertical; overflow: hidden; margin-bottom: 4px;">
           ${this._escapeHtml(article.extract.substring(0, 100))}${article.extract.length > 100 ? '...' : ''}
         </div>
       ` : ''}
-      ${wikiUrl ? `
-        <a href="${wikiUrl}" target="_blank" style="font-size: 11px; color: #4da6ff; text-decoration: none; display: inline-block;">
-          📖 Read more →
-        </a>
-      ` : ''}
+      <span class="ar-label-more" style="font-size: 11px; color: #4da6ff; display: inline-block;">
+        📖 Read more →
+      </span>
     `;
   }
 
+  /**
+   * Drop loaded article data so labels are refetched (e.g. after a language change)
+   * Labels are rebuilt on the next frame
+   */
+  refreshArticles() {
+    this.articleGeneration++;
+    for (const state of this.activePOIs.values()) {
+      state.articleBatch?.controller.abort();
+      state.articleData = null;
+      state.isLoading = false;
+    }
+
+    for (const [poiId, element] of this.labelElements) {
+      if (element._fadeTimeout) clearTimeout(element._fadeTimeout);
+      element.remove();
+      this.labelElements.delete(poiId);
+    }
+  }
+
   /**
    * Fade out and remove a label
    * @private
@@ -576,31 +902,54 @@ export class OverlayRenderer {
   }
 
   /**
-   * Fetch Wikipedia article data for a POI
+   * Fetch Wikipedia article data for the labels created in one frame
+   * Summaries are batched per language, so a dense area costs a request or two
+   * rather than one per label. The batch is canceled once none of its POIs is left
    * @private
-   * @param {string} poiId - POI identifier
-   * @param {Object} state - POI state
+   * @param {Array} entries - Array of { poiId, state }
    */
-  async _fetchArticleData(poiId, state) {
-    const poi = state.poi;
-    
-    if (!poi.wikipediaTitle) {
-      return;
-    }
-
-    state.isLoading = true;
+  async _fetchArticleData(entries) {
+    const generation = this.articleGeneration;
+    const batch = {
+      controller: new AbortController(),
+      pending: new Set(entries.map(({ poiId }) => poiId)) // POIs still waiting for it
+    };
+    entries.forEach(({ state }) => {
+      state.isLoading = true;
+      state.articleBatch = batch;
+    });
 
     try {
-      const articleData = await this.wikiClient.fetchByTitle(poi.wikipediaTitle);
-      
-      // Check if POI still exists
-      if (this.activePOIs.has(poiId)) {
-        state.articleData = articleData;
+      // Best available language for the user; `lang` tells which one was used.
+      // Wikidata-only POIs without an article get a generated card.
+      // On-screen labels jump the queue ahead of prefetches and pack downloads
+      const articles = await this.wikiClient.fetchForPOIs(entries.map(({ state }) => state.poi), {
+        priority: PRIORITY.VISIBLE,
+        signal: batch.controller.signal
+      });
+
+      entries.forEach(({ poiId, state }, index) => {
+        // Check if POI still exists and the data wasn't invalidated meanwhile
+        if (this.activePOIs.get(poiId) !== state || generation !== this.articleGeneration) return;
+
+        if (!articles[index]) {
+          console.error(`Failed to fetch article for ${state.poi.name}`);
+        }
+        state.articleData = articles[index];
         state.isLoading = false;
-      }
+      });
     } catch (error) {
-      console.error(`Failed to fetch article for ${poi.name}:`, error);
-      state.isLoading = false;
+      // Canceled batches were superseded - refreshArticles() already reset the state
+      if (!isAbortError(error)) {
+        console.error('Failed to fetch articles:', error);
+        entries.forEach(({ state }) => {
+          state.isLoading = false;
+        });
+      }
+    } finally {
+      entries.forEach(({ state }) => {
+        if (state.articleBatch === batch) state.articleBatch = null;
+      });
     }
   }
 
@@ -616,6 +965,12 @@ export class OverlayRenderer {
       this._fadeOutLabel(poiId, element);
     }
     
+    // Out of range - cancel its article request unless other labels still wait for it
+    const batch = this.activePOIs.get(poiId)?.articleBatch;
+    if (batch) {
+      batch.pending.delete(poiId);
+      if (batch.pending.size === 0) batch.controller.abort();
+    }
     this.activePOIs.delete(poiId);
   }
 
@@ -674,6 +1029,9 @@ export class OverlayRenderer {
     // Clear maps
     this.activePOIs.clear();
     this.labelElements.clear();
+    this.edgeIndicators.clear();
+    this.guidanceTarget = null;
+    this.guidanceBanner = null;
     
     // Remove event listeners
     window.removeEventListener('resize', this.resizeHandler);
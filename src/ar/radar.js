@@ -0,0 +1,242 @@
+/**
+ * RadarView - Compass radar showing all loaded POIs around the user
+ * North-up canvas: POIs are plotted by bearing and distance, and a wedge
+ * marks the camera field of view, rotating with the heading
+ *
+ * Core responsibilities:
+ * - Draw range rings, the north marker and the FOV wedge
+ * - Plot POIs within maxDistance as dots in their label color
+ * - Report taps on a dot via `onSelect(poi)`
+ */
+
+import { getLabelStyle } from '../core/poi-categories.js';
+
+const DEFAULT_SIZE = 120; // CSS pixels
+const EDGE_PADDING = 10; // Keeps dots and the N marker inside the canvas
+const DOT_RADIUS = 4;
+const SELECTED_DOT_RADIUS = 6;
+const TAP_RADIUS = 16; // Finger-sized hit area around a dot (CSS pixels)
+
+export class RadarView {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to draw into
+   * @param {Object} [options]
+   * @param {number} [options.size=120] - Width and height in CSS pixels
+   * @param {number} [options.maxDistance=5000] - Radius of the outer ring (meters)
+   * @param {number} [options.fov=60] - Horizontal camera FOV (degrees)
+   * @param {Function} [options.onSelect] - Called with the POI whose dot was tapped
+   */
+  constructor(canvas, options = {}) {
+    if (!canvas) {
+      throw new Error('Radar canvas is required');
+    }
+
+    this.canvas = canvas;
+    this.context = canvas.getContext('2d');
+    this.size = options.size || DEFAULT_SIZE;
+    this.maxDistance = options.maxDistance || 5000;
+    this.fov = options.fov || 60;
+    this.onSelect = options.onSelect || null;
+
+    this.pois = [];
+    this.heading = null;
+    this.selectedId = null;
+
+    // Dot positions of the last draw, for hit testing taps
+    this.dots = [];
+    this.frameRequested = false;
+
+    this._setupCanvas();
+    this.clickHandler = (e) => this._handleClick(e);
+    this.canvas.addEventListener('click', this.clickHandler);
+  }
+
+  /**
+   * Size the canvas backing store for the device pixel ratio
+   * @private
+   */
+  _setupCanvas() {
+    const ratio = window.devicePixelRatio || 1;
+    this.canvas.width = Math.round(this.size * ratio);
+    this.canvas.height = Math.round(this.size * ratio);
+    this.canvas.style.width = `${this.size}px`;
+    this.canvas.style.height = `${this.size}px`;
+    this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+  }
+
+  /**
+   * Replace the plotted POIs
+   * @param {Array} pois - POIs with `distance` and `bearing` relative to the user
+   */
+  setPOIs(pois) {
+    this.pois = pois;
+    this._requestDraw();
+  }
+
+  /**
+   * Update the camera heading (rotates the FOV wedge)
+   * @param {number} heading - Compass heading in degrees
+   */
+  setHeading(heading) {
+    this.heading = heading;
+    this._requestDraw();
+  }
+
+  /**
+   * Update the range covered by the outer ring
+   * @param {number} distance - Distance in meters
+   */
+  setMaxDistance(distance) {
+    this.maxDistance = distance;
+    this._requestDraw();
+  }
+
+  /**
+   * Highlight a POI (e.g. the current guidance target)
+   * @param {string|null} poiId - POI id, or null to clear
+   */
+  setSelected(poiId) {
+    this.selectedId = poiId;
+    this._requestDraw();
+  }
+
+  /**
+   * Coalesce updates (heading changes arrive at sensor rate) into one draw per frame
+   * @private
+   */
+  _requestDraw() {
+    if (this.frameRequested) return;
+
+    this.frameRequested = true;
+    requestAnimationFrame(() => {
+      this.frameRequested = false;
+      this._draw();
+    });
+  }
+
+  /**
+   * Draw the radar
+   * @private
+   */
+  _draw() {
+    const ctx = this.context;
+    const center = this.size / 2;
+    const radius = center - EDGE_PADDING;
+
+    ctx.clearRect(0, 0, this.size, this.size);
+
+    // Background and range rings (half and full maxDistance)
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.beginPath();
+    ctx.arc(center, center, center, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+    ctx.lineWidth = 1;
+    [0.5, 1].forEach(fraction => {
+      ctx.beginPath();
+      ctx.arc(center, center, radius * fraction, 0, Math.PI * 2);
+      ctx.stroke();
+    });
+
+    // FOV wedge, centered on the heading (canvas angles start at east, compass at north)
+    if (this.heading !== null) {
+      const headingRad = (this.heading - 90) * Math.PI / 180;
+      const halfFov = (this.fov / 2) * Math.PI / 180;
+      ctx.fillStyle = 'rgba(77, 166, 255, 0.3)';
+      ctx.beginPath();
+      ctx.moveTo(center, center);
+      ctx.arc(center, center, radius, headingRad - halfFov, headingRad + halfFov);
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    // North marker
+    ctx.fillStyle = '#ff5c5c';
+    ctx.font = 'bold 10px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('N', center, EDGE_PADDING / 2 + 1);
+
+    // POI dots, farthest first so near ones are drawn on top
+    this.dots = [];
+    const inRange = this.pois
+      .filter(poi => poi.distance <= this.maxDistance && Number.isFinite(poi.bearing))
+      .sort((a, b) => b.distance - a.distance);
+
+    let selectedDot = null;
+    inRange.forEach(poi => {
+      const r = (poi.distance / this.maxDistance) * radius;
+      const angle = poi.bearing * Math.PI / 180;
+      const dot = {
+        poi,
+        x: center + r * Math.sin(angle),
+        y: center - r * Math.cos(angle)
+      };
+      this.dots.push(dot);
+
+      if (poi.id === this.selectedId) {
+        selectedDot = dot;
+        return;
+      }
+
+      ctx.fillStyle = getLabelStyle(poi.tags).color;
+      ctx.beginPath();
+      ctx.arc(dot.x, dot.y, DOT_RADIUS, 0, Math.PI * 2);
+      ctx.fill();
+    });
+
+    // Selected POI on top of everything
+    if (selectedDot) {
+      ctx.fillStyle = getLabelStyle(selectedDot.poi.tags).color;
+      ctx.strokeStyle = 'white';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(selectedDot.x, selectedDot.y, SELECTED_DOT_RADIUS, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    }
+
+    // User at the center
+    ctx.fillStyle = 'white';
+    ctx.beginPath();
+    ctx.arc(center, center, 3, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  /**
+   * Select the dot nearest to a tap
+   * @private
+   * @param {MouseEvent} e - Click event
+   */
+  _handleClick(e) {
+    e.stopPropagation();
+
+    const rect = this.canvas.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const y = e.clientY - rect.top;
+
+    let nearest = null;
+    let nearestDistance = TAP_RADIUS;
+    this.dots.forEach(dot => {
+      const distance = Math.hypot(dot.x - x, dot.y - y);
+      if (distance < nearestDistance) {
+        nearest = dot;
+        nearestDistance = distance;
+      }
+    });
+
+    if (nearest && this.onSelect) {
+      this.onSelect(nearest.poi);
+    }
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    this.canvas.removeEventListener('click', this.clickHandler);
+    this.pois = [];
+    this.dots = [];
+  }
+}
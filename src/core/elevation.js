@@ -0,0 +1,234 @@
+/**
+ * Elevation - Terrain heights for POIs and the user
+ * Feeds true elevation angles into projectToScreen, so a castle on a hill
+ * appears above the horizon and a church in the valley below it
+ *
+ * Core responsibilities:
+ * - Provider interface: `getElevation(lat, lng)` resolves to meters above sea level or null
+ * - Parse OSM `ele` tags on POIs
+ * - Read Terrarium-encoded DEM PNG tiles (e.g. SRTM) from a local or self-hosted tile server
+ * - Pick the best source for POIs (ele tag, then DEM) and the user (DEM, then GPS altitude)
+ */
+
+// Terrarium DEM tiles: height = (R * 256 + G + B / 256) - 32768
+const TERRARIUM_OFFSET = 32768;
+const TILE_SIZE = 256;
+const DEFAULT_DEM_ZOOM = 12; // ~38m per pixel at the equator
+const DEFAULT_MAX_TILES = 16; // Decoded tiles kept in memory (256KB each)
+
+// The phone is held at eye level above the DEM ground height
+const DEVICE_HEIGHT = 1.5;
+
+// GPS altitude is only trusted when the device reports a good vertical accuracy
+const MAX_ALTITUDE_ACCURACY = 30;
+
+const FEET_TO_METERS = 0.3048;
+
+/**
+ * Parse an OSM `ele` tag
+ * The OSM default unit is meters; values in feet are converted
+ * @param {string} value - Tag value, e.g. "1234", "1234.5 m", "4000 ft"
+ * @returns {number|null} Elevation in meters, or null if unparsable
+ */
+export function parseEleTag(value) {
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(/^(-?\d+(?:\.\d+)?)\s*(m|ft|')?$/i);
+  if (!match) return null;
+
+  const number = parseFloat(match[1]);
+  const unit = (match[2] || 'm').toLowerCase();
+  return unit === 'm' ? number : number * FEET_TO_METERS;
+}
+
+/**
+ * Elevation provider reading Terrarium-encoded PNG tiles
+ * Works with any {z}/{x}/{y} tile URL, including files served next to the app
+ * (e.g. '/dem/{z}/{x}/{y}.png' generated from SRTM)
+ */
+export class TerrariumTileProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.urlTemplate - Tile URL with {z}, {x} and {y} placeholders
+   * @param {number} [options.zoom=12] - Tile zoom level to sample
+   * @param {number} [options.maxTiles=16] - Decoded tiles kept in memory
+   */
+  constructor({ urlTemplate, zoom = DEFAULT_DEM_ZOOM, maxTiles = DEFAULT_MAX_TILES }) {
+    if (!urlTemplate) {
+      throw new Error('DEM tile URL template is required');
+    }
+
+    this.urlTemplate = urlTemplate;
+    this.zoom = zoom;
+    this.maxTiles = maxTiles;
+
+    // Decoded tiles in least-recently-used order (Map keeps insertion order)
+    this.tiles = new Map();
+    this.pendingTiles = new Map();
+  }
+
+  /**
+   * Get the terrain height at a location
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {Promise<number|null>} Meters above sea level, or null if the tile is unavailable
+   */
+  async getElevation(lat, lng) {
+    // Fractional Web Mercator tile coordinates
+    const n = Math.pow(2, this.zoom);
+    const latRad = lat * Math.PI / 180;
+    const tileX = (lng + 180) / 360 * n;
+    const tileY = (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n;
+
+    const x = Math.floor(tileX);
+    const y = Math.floor(tileY);
+    const pixels = await this._getTile(x, y);
+    if (!pixels) return null;
+
+    const px = Math.min(TILE_SIZE - 1, Math.floor((tileX - x) * TILE_SIZE));
+    const py = Math.min(TILE_SIZE - 1, Math.floor((tileY - y) * TILE_SIZE));
+    const i = (py * TILE_SIZE + px) * 4;
+
+    return (pixels[i] * 256 + pixels[i + 1] + pixels[i + 2] / 256) - TERRARIUM_OFFSET;
+  }
+
+  /**
+   * Get decoded RGBA pixels of a tile, loading it if needed
+   * @private
+   * @param {number} x - Tile x
+   * @param {number} y - Tile y
+   * @returns {Promise<Uint8ClampedArray|null>} Pixel data, or null on failure
+   */
+  async _getTile(x, y) {
+    const key = `${this.zoom}/${x}/${y}`;
+
+    if (this.tiles.has(key)) {
+      // Touch for LRU ordering
+      const pixels = this.tiles.get(key);
+      this.tiles.delete(key);
+      this.tiles.set(key, pixels);
+      return pixels;
+    }
+
+    if (!this.pendingTiles.has(key)) {
+      const request = this._loadTile(x, y)
+        .then(pixels => {
+          this.tiles.set(key, pixels);
+          if (this.tiles.size > this.maxTiles) {
+            this.tiles.delete(this.tiles.keys().next().value);
+          }
+          return pixels;
+        })
+        .catch(error => {
+          // Missing tiles (outside the local DEM extent) are remembered as null
+          console.warn(`DEM tile ${key} unavailable:`, error.message);
+          this.tiles.set(key, null);
+          return null;
+        })
+        .finally(() => this.pendingTiles.delete(key));
+      this.pendingTiles.set(key, request);
+    }
+
+    return this.pendingTiles.get(key);
+  }
+
+  /**
+   * Fetch and decode a tile image
+   * @private
+   * @param {number} x - Tile x
+   * @param {number} y - Tile y
+   * @returns {Promise<Uint8ClampedArray>} RGBA pixel data
+   */
+  async _loadTile(x, y) {
+    const url = this.urlTemplate
+      .replace('{z}', this.zoom)
+      .replace('{x}', x)
+      .replace('{y}', y);
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP error: ${response.status}`);
+    }
+
+    // Pixels must not be color-managed or premultiplied, or the heights are corrupted
+    const bitmap = await createImageBitmap(await response.blob(), {
+      colorSpaceConversion: 'none',
+      premultiplyAlpha: 'none'
+    });
+
+    const canvas = typeof OffscreenCanvas !== 'undefined'
+      ? new OffscreenCanvas(TILE_SIZE, TILE_SIZE)
+      : Object.assign(document.createElement('canvas'), { width: TILE_SIZE, height: TILE_SIZE });
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(bitmap, 0, 0, TILE_SIZE, TILE_SIZE);
+    bitmap.close();
+
+    return context.getImageData(0, 0, TILE_SIZE, TILE_SIZE).data;
+  }
+}
+
+/**
+ * ElevationService class combining elevation sources
+ */
+export class ElevationService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.demProvider] - Provider with `getElevation(lat, lng)`, e.g. TerrariumTileProvider
+   * @param {number} [options.maxAltitudeAccuracy=30] - Worst GPS vertical accuracy (meters) still trusted
+   */
+  constructor(options = {}) {
+    this.demProvider = options.demProvider || null;
+    this.maxAltitudeAccuracy = options.maxAltitudeAccuracy || MAX_ALTITUDE_ACCURACY;
+  }
+
+  /**
+   * Stamp `elevation` (meters above sea level) onto POIs
+   * `ele` tags are applied immediately; the returned promise resolves once the
+   * remaining POIs have been looked up in the DEM
+   * @param {Array} pois - POI objects (mutated)
+   * @returns {Promise<Array>} The same array
+   */
+  async annotatePOIs(pois) {
+    const missing = [];
+
+    pois.forEach(poi => {
+      const ele = parseEleTag(poi.tags?.ele);
+      if (ele !== null) {
+        poi.elevation = ele;
+      } else if (poi.elevation === undefined) {
+        missing.push(poi);
+      }
+    });
+
+    if (this.demProvider && missing.length > 0) {
+      await Promise.all(missing.map(async (poi) => {
+        poi.elevation = await this.demProvider.getElevation(poi.lat, poi.lng);
+      }));
+    }
+
+    return pois;
+  }
+
+  /**
+   * Get the height of the user's device above sea level
+   * The DEM is preferred: browsers report GPS altitude inconsistently (ellipsoid
+   * or sea level) and it is often tens of meters off vertically
+   * @param {Object} position - Position {lat, lng, altitude, altitudeAccuracy}
+   * @returns {Promise<number|null>} Meters above sea level, or null if unknown
+   */
+  async getUserElevation(position) {
+    if (this.demProvider) {
+      const ground = await this.demProvider.getElevation(position.lat, position.lng);
+      if (ground !== null) {
+        return ground + DEVICE_HEIGHT;
+      }
+    }
+
+    const accuracy = position.altitudeAccuracy ?? Infinity;
+    if (position.altitude !== null && position.altitude !== undefined && accuracy <= this.maxAltitudeAccuracy) {
+      return position.altitude;
+    }
+
+    return null;
+  }
+}
@@ -1,14 +1,30 @@
-import { OrientationSmoother, throttle } from '../utils/sensors.js';
+import { OrientationSmoother, PositionFilter, throttle } from '../utils/sensors.js';
+import { computeDeclination, isModelValid } from '../utils/geomagnetism.js';
 
 /**
  * Geolocation service with GPS and compass tracking
  * Manages user position and device orientation with smoothing
  */
 export class Geolocator {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.positionFilter=false] - Kalman-filter GPS fixes (PositionFilter)
+     *   instead of publishing each raw fix
+     * @param {string} [options.headingFilter='average'] - 'average' smooths compass readings;
+     *   'fusion' combines the gyroscope (devicemotion) with the compass for fast, steady headings
+     * @param {boolean} [options.autoDeclination=true] - Correct magnetic headings to true north
+     *   with the declination at the current position (World Magnetic Model)
+     */
+    constructor(options = {}) {
         this.position = null;
+        this.positionFilter = options.positionFilter ? new PositionFilter() : null;
         this.orientation = { heading: 0, pitch: 0, roll: 0 };
-        this.orientationSmoother = new OrientationSmoother();
+        this.headingFilter = options.headingFilter === 'fusion' ? 'fusion' : 'average';
+        this.orientationSmoother = new OrientationSmoother({ headingFilter: this.headingFilter });
+        this.autoDeclination = options.autoDeclination !== false;
+        this.declination = null; // Degrees east at the last position, null before the first fix
+        this.headingSource = null; // 'magnetic' (compass) or 'relative' (no north reference)
+        this.modelExpiryWarned = false;
         this.positionWatchId = null;
         this.isTracking = false;
         this.listeners = {
@@ -19,6 +35,8 @@ export class Geolocator {
 
         // Throttle orientation updates to save battery
         this.handleOrientation = throttle(this._handleOrientation.bind(this), 50);
+        // Every motion event is integrated - skipping samples would lose rotation
+        this.handleMotion = this._handleMotion.bind(this);
     }
 
     /**
@@ -107,9 +125,16 @@ export class Geolocator {
             this.positionWatchId = null;
         }
 
-        window.removeEventListener('deviceorientationabsolute', this.handleOrientation);
-        window.removeEventListener('deviceorientation', this.handleOrientation);
+        // Capture flag must match addEventListener or the listeners stay attached
+        window.removeEventListener('deviceorientationabsolute', this.handleOrientation, true);
+        window.removeEventListener('deviceorientation', this.handleOrientation, true);
+        window.removeEventListener('devicemotion', this.handleMotion, true);
 
+        if (this.positionFilter) {
+            this.positionFilter.reset();
+        }
+        // A restart must not integrate from a stale heading or rotation timestamp
+        this.orientationSmoother.reset();
         this.isTracking = false;
     }
 
@@ -121,6 +146,19 @@ export class Geolocator {
         return this.position;
     }
 
+    /**
+     * Get the magnetic declination correction
+     * @returns {Object} {declination, applied, headingSource} - declination in degrees
+     *   (positive east, null before the first fix); applied if headings are corrected with it
+     */
+    getDeclination() {
+        return {
+            declination: this.declination,
+            applied: this.autoDeclination && this.declination !== null && this.headingSource === 'magnetic',
+            headingSource: this.headingSource
+        };
+    }
+
     /**
      * Get current orientation (smoothed)
      * @returns {Object} Current device orientation
@@ -199,30 +237,81 @@ export class Geolocator {
 
     /**
      * Process separate position update
+     * The published position has `uncertainty` (meters, on the scale of `accuracy`):
+     * the filter's estimate with the position filter on, else the reported accuracy
      * @private
      */
     _handlePositionSuccess(position) {
-        this.position = {
+        const fix = {
             lat: position.coords.latitude,
             lng: position.coords.longitude,
             accuracy: position.coords.accuracy,
             altitude: position.coords.altitude,
+            altitudeAccuracy: position.coords.altitudeAccuracy,
+            speed: position.coords.speed,
+            heading: position.coords.heading,
             timestamp: position.timestamp
         };
 
+        if (!this.positionFilter) {
+            this.position = { ...fix, uncertainty: fix.accuracy };
+            this._updateDeclination();
+            this._emit('position', this.position);
+            return;
+        }
+
+        const estimate = this.positionFilter.update(fix);
+        if (!estimate) {
+            // Implausible jump for the reported accuracy - keep the last position
+            console.warn(`Rejected GPS fix (accuracy ${fix.accuracy.toFixed(0)}m) as an outlier`);
+            return;
+        }
+
+        this.position = { ...fix, ...estimate };
+        this._updateDeclination();
         this._emit('position', this.position);
     }
 
+    /**
+     * Recompute the magnetic declination for the current position and date
+     * @private
+     */
+    _updateDeclination() {
+        if (!this.autoDeclination) return;
+
+        const date = new Date(this.position.timestamp || Date.now());
+        if (!isModelValid(date) && !this.modelExpiryWarned) {
+            console.warn('World Magnetic Model coefficients are out of date - declination is less accurate');
+            this.modelExpiryWarned = true;
+        }
+        this.declination = computeDeclination(this.position.lat, this.position.lng, date, this.position.altitude || 0);
+    }
+
     /**
      * Request device orientation permission (iOS 13+)
+     * With the 'fusion' heading filter, motion permission is requested alongside;
+     * without it the heading falls back to the compass alone
      * Must be called in response to user gesture
      * @returns {Promise<boolean>}
      */
     async requestOrientationPermission() {
         if (typeof DeviceOrientationEvent !== 'undefined' && 
             typeof DeviceOrientationEvent.requestPermission === 'function') {
+            // Both prompts must start within the gesture - don't await one before the other
+            const motionPermission = this.headingFilter === 'fusion' &&
+                typeof DeviceMotionEvent !== 'undefined' &&
+                typeof DeviceMotionEvent.requestPermission === 'function'
+                ? DeviceMotionEvent.requestPermission().catch(error => {
+                    console.warn('Device motion permission error:', error);
+                    return 'denied';
+                })
+                : null;
+
             try {
                 const permission = await DeviceOrientationEvent.requestPermission();
+                if (motionPermission && await motionPermission !== 'granted') {
+                    console.warn('Motion access denied - heading uses the compass only');
+                }
                 return permission === 'granted';
             } catch (error) {
                 console.error('Device orientation permission error:', error);
@@ -244,6 +333,25 @@ export class Geolocator {
         } else {
             window.addEventListener('deviceorientation', this.handleOrientation, true);
         }
+
+        if (this.headingFilter === 'fusion' && 'DeviceMotionEvent' in window) {
+            window.addEventListener('devicemotion', this.handleMotion, true);
+        }
+    }
+
+    /**
+     * Handle device motion event - feeds gyroscope rates to the fusion heading filter
+     * The heading is published with the next orientation event
+     * @private
+     */
+    _handleMotion(event) {
+        const rate = event.rotationRate;
+        if (!rate || rate.alpha === null) return; // No gyroscope
+
+        const heading = this.orientationSmoother.updateRotation(rate, event.timeStamp);
+        if (heading !== null) {
+            this.orientation = { ...this.orientation, heading };
+        }
     }
 
     /**
@@ -253,22 +361,31 @@ export class Geolocator {
     _handleOrientation(event) {
         let heading = null;
 
-        // Priority 1: iOS webkitCompassHeading (Clockwise, 0=North)
+        // Priority 1: iOS webkitCompassHeading (Clockwise, 0=Magnetic north)
         if (typeof event.webkitCompassHeading === 'number') {
             heading = event.webkitCompassHeading;
+            this.headingSource = 'magnetic';
         } 
         // Priority 2: Standard alpha (Counter-Clockwise, 0=North)
-        // Must convert to Clockwise to match map bearing system
+        // Must convert to Clockwise to match map bearing system.
+        // Absolute alpha is referenced to magnetic north; relative alpha to nothing
         else if (event.alpha !== null) {
             heading = 360 - event.alpha;
+            this.headingSource = event.absolute || event.type === 'deviceorientationabsolute' ? 'magnetic' : 'relative';
         }
 
         if (heading === null) return;
 
+        // OSM bearings are relative to true north
+        if (this.getDeclination().applied) {
+            heading = (heading + this.declination + 360) % 360;
+        }
+
         const rawOrientation = {
             alpha: heading,      // Normalized to Clockwise 0-360
             beta: event.beta,    // Front-back tilt (-180 to 180)
-            gamma: event.gamma   // Left-right tilt (-90 to 90)
+            gamma: event.gamma,  // Left-right tilt (-90 to 90)
+            timestamp: event.timeStamp
         };
 
         // Smooth orientation data
@@ -315,6 +432,7 @@ export class Geolocator {
 
     /**
      * Set calibration offset for compass
+     * Manual correction on top of the automatic magnetic declination
      * @param {number} offset - Offset in degrees
      */
     calibrate(offset) {
@@ -0,0 +1,427 @@
+/**
+ * Occlusion - Line-of-sight checks against OSM building footprints
+ * Marks POIs hidden behind buildings so the renderer can hide or dim them
+ *
+ * Core responsibilities:
+ * - Fetch building footprints and heights around the user from Overpass
+ * - Cache buildings per map tile in memory and IndexedDB, like POIs
+ * - Cast a ray from the user to each POI and test it against footprint edges and heights
+ * - Persist the occlusion mode (off, dim, hide)
+ */
+
+import {
+  latLngToTile,
+  getTilesInRadius,
+  groupTilesIntoBounds
+} from '../utils/coordinates.js';
+import { PersistentCache } from './persistent-cache.js';
+import { overpassClient } from './overpass-client.js';
+import { parseEleTag } from './elevation.js';
+import { requestTiles } from './tile-requests.js';
+import { loadSetting, saveSetting } from '../utils/settings.js';
+
+export const OCCLUSION_MODES = ['off', 'dim', 'hide'];
+
+const STORAGE_KEY = 'augmented-wiki:occlusion';
+
+// Buildings are fetched per z15 tile (~1.2km at the equator) - footprints are
+// dense, and only nearby buildings block a meaningful part of the view
+const TILE_ZOOM = 15;
+const TILE_CACHE_VERSION = 1; // Bump when the cached building format changes
+const DEFAULT_RADIUS = 500; // Buildings loaded around the user (meters)
+const CACHE_DURATION = 300000; // 5 minutes in memory
+const PERSISTENT_CACHE_TTL = 604800000; // 7 days fresh - buildings change rarely
+const PERSISTENT_CACHE_MAX_AGE = 2592000000; // Serve stale tiles for up to 30 days
+const PERSISTENT_CACHE_MAX_ENTRIES = 300;
+const PERSISTENT_CACHE_MAX_BYTES = 30 * 1024 * 1024; // Footprints are large
+
+// Height model
+const LEVEL_HEIGHT = 3; // Meters per building level
+const DEFAULT_BUILDING_LEVELS = 2; // Untagged buildings are assumed low to avoid false positives
+const DEFAULT_TARGET_HEIGHT = 10; // Part of a POI that must be visible (meters above its ground)
+const EYE_HEIGHT = 1.5; // Phone held at eye level
+
+// Meters per degree of latitude
+const METERS_PER_DEGREE = Math.PI / 180 * 6371000;
+
+/**
+ * Building height from OSM tags
+ * `height` and `min_height` use the same number/unit format as `ele`
+ * @param {Object} tags - OSM tags
+ * @param {number} [fallback] - Height when nothing is tagged
+ * @returns {number} Height in meters
+ */
+export function getBuildingHeight(tags, fallback = DEFAULT_BUILDING_LEVELS * LEVEL_HEIGHT) {
+  const height = parseEleTag(tags?.height);
+  if (height !== null) return height;
+
+  const levels = parseFloat(tags?.['building:levels']);
+  if (Number.isFinite(levels)) return levels * LEVEL_HEIGHT;
+
+  return fallback;
+}
+
+/**
+ * Height where a building starts (bridges, overhangs, raised floors)
+ * @param {Object} tags - OSM tags
+ * @returns {number} Height in meters
+ */
+function getBuildingMinHeight(tags) {
+  const minHeight = parseEleTag(tags?.min_height);
+  if (minHeight !== null) return minHeight;
+
+  const minLevel = parseFloat(tags?.['building:min_level']);
+  return Number.isFinite(minLevel) ? minLevel * LEVEL_HEIGHT : 0;
+}
+
+/**
+ * Load the saved occlusion mode
+ * @returns {string} One of OCCLUSION_MODES (default 'off')
+ */
+export function loadOcclusionMode() {
+  const saved = loadSetting(STORAGE_KEY);
+  return OCCLUSION_MODES.includes(saved) ? saved : 'off';
+}
+
+/**
+ * Save the occlusion mode
+ * @param {string} mode - One of OCCLUSION_MODES
+ */
+export function saveOcclusionMode(mode) {
+  saveSetting(STORAGE_KEY, mode);
+}
+
+/**
+ * OcclusionService class for building-based line-of-sight checks
+ */
+export class OcclusionService {
+  /**
+   * @param {Object} [options]
+   * @param {OverpassClient} [options.overpassClient] - Overpass API client (shares its rate limit)
+   * @param {PersistentCache} [options.persistentCache] - Persistent cache for building tiles
+   * @param {number} [options.radius=500] - Radius around the user to load buildings for (meters)
+   */
+  constructor(options = {}) {
+    this.overpassClient = options.overpassClient || overpassClient;
+    this.radius = options.radius || DEFAULT_RADIUS;
+
+    // In-memory cache: Map of tile keys to {buildings, timestamp}
+    this.cache = new Map();
+    this.persistentCache = options.persistentCache || new PersistentCache('buildings', {
+      ttl: PERSISTENT_CACHE_TTL,
+      maxAge: PERSISTENT_CACHE_MAX_AGE,
+      maxEntries: PERSISTENT_CACHE_MAX_ENTRIES,
+      maxBytes: PERSISTENT_CACHE_MAX_BYTES
+    });
+
+    // Track ongoing tile requests to prevent duplicates
+    this.pendingRequests = new Map();
+
+    // Buildings around the last loaded location
+    this.buildings = [];
+  }
+
+  /**
+   * Generate cache key for a tile
+   * @param {Object} tile - Tile {x, y, z}
+   * @returns {string} Cache key
+   */
+  _getTileKey(tile) {
+    return `v${TILE_CACHE_VERSION}/${tile.z}/${tile.x}/${tile.y}`;
+  }
+
+  /**
+   * Load buildings around a location from memory, IndexedDB or Overpass
+   * Stale persisted tiles are served immediately and revalidated in the background
+   * @param {number} lat - User latitude
+   * @param {number} lng - User longitude
+   * @returns {Promise<number>} Number of buildings loaded
+   */
+  async loadBuildings(lat, lng) {
+    const tiles = getTilesInRadius(lat, lng, this.radius, TILE_ZOOM);
+    const results = new Map();
+    const missing = [];
+    const stale = [];
+
+    await Promise.all(tiles.map(async (tile) => {
+      const key = this._getTileKey(tile);
+
+      const cachedData = this.cache.get(key);
+      if (cachedData && Date.now() - cachedData.timestamp < CACHE_DURATION) {
+        results.set(key, cachedData.buildings);
+        return;
+      }
+
+      const persisted = await this.persistentCache.get(key);
+      if (persisted) {
+        this.cache.set(key, {
+          buildings: persisted.value,
+          timestamp: persisted.isFresh ? Date.now() : persisted.timestamp
+        });
+        results.set(key, persisted.value);
+        if (!persisted.isFresh) stale.push(tile);
+        return;
+      }
+
+      missing.push(tile);
+    }));
+
+    console.log(`Building tiles: ${tiles.length - missing.length}/${tiles.length} cached, ${missing.length} to fetch`);
+
+    if (missing.length > 0) {
+      const fetched = await this._requestTiles(missing);
+      fetched.forEach((buildings, key) => results.set(key, buildings));
+    }
+
+    if (stale.length > 0) {
+      this._requestTiles(stale).catch(error => {
+        console.warn('Background building tile revalidation failed:', error.message);
+      });
+    }
+
+    this.buildings = Array.from(results.values()).flat();
+    return this.buildings.length;
+  }
+
+  /**
+   * Fetch tiles from Overpass, sharing requests already in flight
+   * @private
+   * @param {Array<Object>} tiles - Tiles {x, y, z}
+   * @returns {Promise<Map<string, Array>>} Map of tile key to buildings
+   */
+  _requestTiles(tiles) {
+    return requestTiles(tiles, {
+      pending: this.pendingRequests,
+      getKey: tile => this._getTileKey(tile),
+      fetch: toFetch => this._fetchTiles(toFetch)
+    });
+  }
+
+  /**
+   * Query Overpass for building footprints and bucket them by tile
+   * @private
+   * @param {Array<Object>} tiles - Tiles {x, y, z}
+   * @returns {Promise<Map<string, Array>>} Map of tile key to buildings
+   */
+  async _fetchTiles(tiles) {
+    const statements = groupTilesIntoBounds(tiles).map(({ south, west, north, east }) => `
+        way(${south},${west},${north},${east})["building"];`).join('');
+
+    const query = `
+      [out:json][timeout:25];
+      (${statements}
+      );
+      out tags geom;
+    `.trim();
+
+    console.log(`Fetching buildings from Overpass API (${tiles.length} tiles)...`);
+    const elements = await this.overpassClient.query(query);
+
+    const buckets = new Map(tiles.map(tile => [this._getTileKey(tile), []]));
+
+    // Each building belongs to the tile containing its first vertex
+    elements.forEach(element => {
+      const building = this._parseBuilding(element);
+      if (!building) return;
+
+      const key = this._getTileKey(latLngToTile(building.points[0], building.points[1], TILE_ZOOM));
+      if (buckets.has(key)) {
+        buckets.get(key).push(building);
+      }
+    });
+
+    const timestamp = Date.now();
+    buckets.forEach((buildings, key) => {
+      this.cache.set(key, { buildings, timestamp });
+      // Persist without blocking the caller
+      this.persistentCache.set(key, buildings, timestamp);
+    });
+
+    return buckets;
+  }
+
+  /**
+   * Parse an Overpass way into a compact building record
+   * @private
+   * @param {Object} element - Overpass way with `geometry`
+   * @returns {Object|null} {id, height, minHeight, points: [lat, lng, lat, lng, ...]}
+   */
+  _parseBuilding(element) {
+    const geometry = element.geometry;
+    if (!Array.isArray(geometry) || geometry.length < 3) {
+      return null;
+    }
+
+    // Flat array with ~10cm precision keeps the persistent cache small
+    const points = [];
+    geometry.forEach(({ lat, lon }) => {
+      points.push(Math.round(lat * 1e6) / 1e6, Math.round(lon * 1e6) / 1e6);
+    });
+
+    return {
+      id: `way/${element.id}`,
+      height: getBuildingHeight(element.tags),
+      minHeight: getBuildingMinHeight(element.tags),
+      points
+    };
+  }
+
+  /**
+   * Project loaded buildings into meters around the user
+   * @private
+   * @param {Object} userLocation - User position {lat, lng}
+   * @returns {Array<Object>} Buildings {id, height, minHeight, xs, ys, minX, minY, maxX, maxY}
+   */
+  _projectBuildings(userLocation) {
+    const lngScale = Math.cos(userLocation.lat * Math.PI / 180) * METERS_PER_DEGREE;
+
+    return this.buildings.map(building => {
+      const xs = [];
+      const ys = [];
+      for (let i = 0; i < building.points.length; i += 2) {
+        ys.push((building.points[i] - userLocation.lat) * METERS_PER_DEGREE);
+        xs.push((building.points[i + 1] - userLocation.lng) * lngScale);
+      }
+
+      return {
+        id: building.id,
+        height: building.height,
+        minHeight: building.minHeight,
+        xs,
+        ys,
+        minX: Math.min(...xs),
+        maxX: Math.max(...xs),
+        minY: Math.min(...ys),
+        maxY: Math.max(...ys)
+      };
+    });
+  }
+
+  /**
+   * Mark POIs whose line of sight from the user is blocked by a building
+   * Sets `poi.occluded` on every POI. Only buildings within the loaded radius are
+   * considered, which covers the ones that block most of the view.
+   * @param {Object} userLocation - User position {lat, lng, elevation?}
+   * @param {Array} pois - POI objects (mutated)
+   * @returns {number} Number of occluded POIs
+   */
+  computeOcclusion(userLocation, pois) {
+    const buildings = this._projectBuildings(userLocation);
+    const lngScale = Math.cos(userLocation.lat * Math.PI / 180) * METERS_PER_DEGREE;
+    let occludedCount = 0;
+
+    pois.forEach(poi => {
+      const x = (poi.lng - userLocation.lng) * lngScale;
+      const y = (poi.lat - userLocation.lat) * METERS_PER_DEGREE;
+
+      // Top of the POI relative to the user's eyes; level ground unless both elevations are known
+      const poiHeight = getBuildingHeight(poi.tags, DEFAULT_TARGET_HEIGHT);
+      const targetHeight = Number.isFinite(poi.elevation) && Number.isFinite(userLocation.elevation)
+        ? poi.elevation + poiHeight - userLocation.elevation
+        : poiHeight - EYE_HEIGHT;
+
+      poi.occluded = this._isLineBlocked(x, y, targetHeight, poi, buildings);
+      if (poi.occluded) occludedCount++;
+    });
+
+    return occludedCount;
+  }
+
+  /**
+   * Test the ray from the user (origin) to a POI against building footprints
+   * At every footprint edge the ray crosses, the ray height is compared with the
+   * building's vertical extent (flat ground around the user is assumed)
+   * @private
+   * @param {number} x - POI east offset in meters
+   * @param {number} y - POI north offset in meters
+   * @param {number} targetHeight - POI height relative to the user's eyes
+   * @param {Object} poi - POI (its own building never blocks it)
+   * @param {Array<Object>} buildings - Projected buildings
+   * @returns {boolean} True if a building blocks the line of sight
+   */
+  _isLineBlocked(x, y, targetHeight, poi, buildings) {
+    const rayMinX = Math.min(0, x), rayMaxX = Math.max(0, x);
+    const rayMinY = Math.min(0, y), rayMaxY = Math.max(0, y);
+
+    for (const building of buildings) {
+      // Cheap bounding box rejection
+      if (building.maxX < rayMinX || building.minX > rayMaxX ||
+          building.maxY < rayMinY || building.minY > rayMaxY) {
+        continue;
+      }
+
+      // The landmark's own footprint, and a building the user stands in, don't count
+      if (building.id === poi.id ||
+          this._containsPoint(building, x, y) ||
+          this._containsPoint(building, 0, 0)) {
+        continue;
+      }
+
+      const top = building.height - EYE_HEIGHT;
+      const bottom = building.minHeight - EYE_HEIGHT;
+      const { xs, ys } = building;
+
+      for (let i = 0, j = xs.length - 1; i < xs.length; j = i++) {
+        const t = this._intersectRay(x, y, xs[j], ys[j], xs[i], ys[i]);
+        if (t === null) continue;
+
+        const rayHeight = targetHeight * t;
+        if (rayHeight < top && rayHeight >= bottom) {
+          return true;
+        }
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Intersect the segment origin→(x, y) with the edge A→B
+   * @private
+   * @returns {number|null} Position along the ray (0-1), or null if they don't cross
+   */
+  _intersectRay(x, y, ax, ay, bx, by) {
+    const ex = bx - ax;
+    const ey = by - ay;
+    const denominator = x * ey - y * ex;
+    if (denominator === 0) return null; // Parallel
+
+    const t = (ax * ey - ay * ex) / denominator;
+    const u = (ax * y - ay * x) / denominator;
+
+    return t > 0 && t < 1 && u >= 0 && u <= 1 ? t : null;
+  }
+
+  /**
+   * Point in polygon test (ray casting)
+   * @private
+   * @param {Object} building - Projected building {xs, ys}
+   * @param {number} x - Point x in meters
+   * @param {number} y - Point y in meters
+   * @returns {boolean} True if the point is inside the footprint
+   */
+  _containsPoint(building, x, y) {
+    const { xs, ys } = building;
+    let inside = false;
+
+    for (let i = 0, j = xs.length - 1; i < xs.length; j = i++) {
+      if ((ys[i] > y) !== (ys[j] > y) &&
+          x < (xs[j] - xs[i]) * (y - ys[i]) / (ys[j] - ys[i]) + xs[i]) {
+        inside = !inside;
+      }
+    }
+
+    return inside;
+  }
+
+  /**
+   * Clear the building cache (memory and persistent)
+   * @returns {Promise<void>}
+   */
+  async clearCache() {
+    this.cache.clear();
+    this.buildings = [];
+    await this.persistentCache.clear();
+    console.log('Building cache cleared');
+  }
+}
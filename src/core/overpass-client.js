@@ -0,0 +1,273 @@
+/**
+ * Overpass Client - Shared access to the Overpass API
+ * POI and building queries go through one client so they share a single
+ * rate limit instead of each hammering the public servers on their own
+ *
+ * Core responsibilities:
+ * - Send Overpass QL queries and return the parsed elements
+ * - Spread load over a list of mirrors (or a self-hosted instance), preferring
+ *   whichever has recently been fastest
+ * - Track endpoint health: fail over on errors and timeouts, and rest failing
+ *   endpoints for their `Retry-After` or an exponential cooldown
+ * - Enforce a minimum interval between requests to the same endpoint
+ */
+
+// Public Overpass instances (https://wiki.openstreetmap.org/wiki/Overpass_API#Public_Overpass_API_instances)
+// The first entry is preferred until latency measurements say otherwise
+export const OVERPASS_ENDPOINTS = [
+  'https://overpass-api.de/api/interpreter',
+  'https://overpass.kumi.systems/api/interpreter',
+  'https://overpass.private.coffee/api/interpreter'
+];
+const REQUEST_TIMEOUT = 15000; // 15 seconds (Increased for mobile networks)
+
+// Rate limiting configuration
+const MIN_REQUEST_INTERVAL = 1000; // Minimum 1 second between requests to one endpoint
+const MAX_RETRIES = 3; // Attempts beyond one per endpoint
+const RETRY_DELAY_BASE = 2000; // Base cooldown for exponential backoff
+const MAX_COOLDOWN = 300000; // Longest rest for a failing endpoint (5 minutes)
+const MAX_COOLDOWN_WAIT = 30000; // Longest wait for an endpoint when all are resting
+
+// Health tracking
+const LATENCY_SMOOTHING = 0.3; // EWMA weight of the newest response time
+
+/**
+ * OverpassClient class for rate-limited Overpass API requests with mirror failover
+ */
+export class OverpassClient {
+  /**
+   * @param {Object} [options]
+   * @param {Array<string>} [options.endpoints] - Overpass interpreter URLs, most preferred first
+   * @param {string} [options.endpoint] - Single interpreter URL (e.g. a self-hosted instance)
+   * @param {number} [options.timeout=15000] - Request timeout in milliseconds
+   */
+  constructor(options = {}) {
+    this.timeout = options.timeout || REQUEST_TIMEOUT;
+    this.setEndpoints(options.endpoints || (options.endpoint ? [options.endpoint] : OVERPASS_ENDPOINTS));
+  }
+
+  /**
+   * Replace the endpoint list, resetting health data
+   * @param {Array<string>} endpoints - Overpass interpreter URLs, most preferred first
+   */
+  setEndpoints(endpoints) {
+    if (!Array.isArray(endpoints) || endpoints.length === 0) {
+      throw new Error('At least one Overpass endpoint is required');
+    }
+
+    this.endpoints = endpoints.map((url, index) => ({
+      url,
+      index,
+      latency: null, // Smoothed response time (ms), null until the first success
+      failures: 0, // Consecutive failures
+      blockedUntil: 0, // Resting after a failure until this time
+      lastRequestTime: 0
+    }));
+  }
+
+  /**
+   * Health of each endpoint, for debugging
+   * @returns {Array<Object>} {url, latency, failures, blockedFor}
+   */
+  getEndpointStats() {
+    const now = Date.now();
+    return this.endpoints.map(({ url, latency, failures, blockedUntil }) => ({
+      url,
+      latency: latency === null ? null : Math.round(latency),
+      failures,
+      blockedFor: Math.max(0, blockedUntil - now)
+    }));
+  }
+
+  /**
+   * Pick the endpoint to use next: not resting, fastest measured, then list order
+   * @private
+   * @returns {Object|null} Endpoint, or null if all are resting
+   */
+  _pickEndpoint() {
+    const now = Date.now();
+    const available = this.endpoints.filter(endpoint => endpoint.blockedUntil <= now);
+    if (available.length === 0) return null;
+
+    // Unmeasured endpoints rank after measured ones, so a known-fast mirror stays preferred
+    return available.sort((a, b) =>
+      (a.latency ?? Infinity) - (b.latency ?? Infinity) || a.index - b.index
+    )[0];
+  }
+
+  /**
+   * Enforce rate limiting per endpoint - wait if needed
+   * @private
+   * @param {Object} endpoint - Endpoint about to be queried
+   * @returns {Promise<void>}
+   */
+  async _enforceRateLimit(endpoint) {
+    const timeSinceLastRequest = Date.now() - endpoint.lastRequestTime;
+    if (timeSinceLastRequest < MIN_REQUEST_INTERVAL) {
+      const waitTime = MIN_REQUEST_INTERVAL - timeSinceLastRequest;
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+    }
+    endpoint.lastRequestTime = Date.now();
+  }
+
+  /**
+   * Run an Overpass QL query, failing over between endpoints
+   * Each failure rests the endpoint (Retry-After, else 2s, 4s, 8s... up to 5 minutes);
+   * when every endpoint is resting, waits for the first one if that is soon enough
+   * @param {string} query - Overpass QL query
+   * @returns {Promise<Array>} Array of Overpass elements
+   */
+  async query(query) {
+    const maxAttempts = this.endpoints.length + MAX_RETRIES;
+    let lastError = null;
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      // Retrying is pointless without a connection - fail fast so cached data is used
+      if (attempt > 0 && navigator.onLine === false) break;
+
+      const endpoint = this._pickEndpoint();
+      if (!endpoint) {
+        const wait = Math.min(...this.endpoints.map(e => e.blockedUntil)) - Date.now();
+        if (wait > MAX_COOLDOWN_WAIT) {
+          lastError = lastError || new Error('All Overpass endpoints are rate limited');
+          break;
+        }
+        console.warn(`All Overpass endpoints resting, retrying in ${wait}ms...`);
+        await new Promise(resolve => setTimeout(resolve, wait));
+        attempt--; // Waiting is not an attempt
+        continue;
+      }
+
+      try {
+        return await this._send(endpoint, query);
+      } catch (error) {
+        lastError = error;
+        console.error(`Overpass API fetch error (${new URL(endpoint.url).hostname}):`, error.name, error.message);
+
+        if (!this._isRetriable(error)) {
+          throw error;
+        }
+        if (navigator.onLine !== false) {
+          this._recordFailure(endpoint, error.retryAfter);
+        }
+      }
+    }
+
+    console.error('Overpass API request failed on all endpoints:', lastError);
+    throw lastError;
+  }
+
+  /**
+   * Send a query to one endpoint and record its response time
+   * @private
+   * @param {Object} endpoint - Endpoint
+   * @param {string} query - Overpass QL query
+   * @returns {Promise<Array>} Array of Overpass elements
+   */
+  async _send(endpoint, query) {
+    await this._enforceRateLimit(endpoint);
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    const startTime = Date.now();
+
+    console.log(`Sending Overpass API request to ${new URL(endpoint.url).hostname}...`);
+
+    try {
+      const response = await fetch(endpoint.url, {
+        method: 'POST',
+        body: query,
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        signal: controller.signal,
+        mode: 'cors'
+      });
+
+      console.log('Overpass API response status:', response.status);
+
+      if (!response.ok) {
+        const error = new Error(response.status === 429 || response.status >= 500
+          ? `Overpass API error: ${response.status}`
+          : `HTTP error: ${response.status}`);
+        error.status = response.status;
+        error.retryAfter = this._parseRetryAfter(response.headers.get('Retry-After'));
+        throw error;
+      }
+
+      const data = await response.json();
+      this._recordSuccess(endpoint, Date.now() - startTime);
+      console.log('Overpass API returned', data.elements?.length || 0, 'elements');
+      return data.elements || [];
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Whether another endpoint (or a later attempt) may succeed
+   * Timeouts, network errors, rate limits and server errors are; a rejected query (400) is not
+   * @private
+   * @param {Error} error - Request error
+   * @returns {boolean}
+   */
+  _isRetriable(error) {
+    if (error.status !== undefined) {
+      return error.status === 429 || error.status >= 500;
+    }
+    return error.name === 'AbortError' || error.name === 'TypeError' || error.name === 'SyntaxError';
+  }
+
+  /**
+   * Parse a Retry-After header (seconds or HTTP date)
+   * @private
+   * @param {string|null} value - Header value
+   * @returns {number|null} Delay in milliseconds
+   */
+  _parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Update the smoothed latency of an endpoint and clear its failures
+   * @private
+   * @param {Object} endpoint - Endpoint
+   * @param {number} duration - Response time in milliseconds
+   */
+  _recordSuccess(endpoint, duration) {
+    endpoint.latency = endpoint.latency === null
+      ? duration
+      : LATENCY_SMOOTHING * duration + (1 - LATENCY_SMOOTHING) * endpoint.latency;
+    endpoint.failures = 0;
+    endpoint.blockedUntil = 0;
+  }
+
+  /**
+   * Rest a failing endpoint
+   * @private
+   * @param {Object} endpoint - Endpoint
+   * @param {number|null} retryAfter - Server-requested delay in milliseconds
+   */
+  _recordFailure(endpoint, retryAfter) {
+    endpoint.failures++;
+    const cooldown = retryAfter ?? RETRY_DELAY_BASE * Math.pow(2, endpoint.failures - 1);
+    endpoint.blockedUntil = Date.now() + Math.min(cooldown, MAX_COOLDOWN);
+
+    // A mirror that stopped answering should not keep its old fast reputation
+    if (endpoint.latency !== null) {
+      endpoint.latency = Math.max(endpoint.latency, this.timeout);
+    }
+    console.warn(`Overpass endpoint ${new URL(endpoint.url).hostname} resting for ${endpoint.blockedUntil - Date.now()}ms`);
+  }
+}
+
+// Export singleton instance so all Overpass users share one rate limit
+export const overpassClient = new OverpassClient();
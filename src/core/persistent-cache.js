@@ -0,0 +1,367 @@
+/**
+ * PersistentCache - IndexedDB-backed cache that survives reloads and PWA relaunches
+ * Each namespace (e.g. 'overpass', 'wikipedia') lives in its own database so
+ * sources can be sized, expired and cleared independently
+ *
+ * Core responsibilities:
+ * - Per-source TTLs: entries are fresh until `ttl`, usable but stale until `maxAge`
+ * - Size caps by entry count and approximate byte size
+ * - Least-recently-used eviction when a cap is exceeded, debounced so a burst of
+ *   writes is checked once
+ * - Degrade to a no-op when IndexedDB is unavailable (private mode, old browsers)
+ */
+
+const DB_PREFIX = 'augmented-wiki';
+const STORE_NAME = 'entries';
+const META_STORE_NAME = 'meta'; // {key, size, timestamp, lastAccess} - read by eviction without the values
+const DB_VERSION = 1;
+
+// Defaults used when a namespace does not configure its own limits
+const DEFAULT_TTL = 86400000; // 1 day
+const DEFAULT_MAX_AGE = 604800000; // 7 days
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024; // 10 MB
+
+const EVICTION_DELAY = 2000; // Wait after a write before checking the caps
+
+/**
+ * Check if IndexedDB can be used in this browser
+ * @returns {boolean} True if IndexedDB is available
+ */
+export function isIndexedDBAvailable() {
+  return typeof indexedDB !== 'undefined' && indexedDB !== null;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Resolves with the request result
+ */
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for an IndexedDB transaction to finish
+ * @param {IDBTransaction} transaction - IndexedDB transaction
+ * @returns {Promise<void>}
+ */
+export function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Open (and create or upgrade if needed) an IndexedDB database
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {Function} upgrade - Called with the database during `onupgradeneeded`
+ * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB is unavailable
+ */
+export function openDatabase(name, version, upgrade) {
+  if (!isIndexedDBAvailable()) {
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve) => {
+    let request;
+    try {
+      request = indexedDB.open(name, version);
+    } catch (error) {
+      console.warn(`IndexedDB unavailable (${name}):`, error);
+      resolve(null);
+      return;
+    }
+
+    request.onupgradeneeded = () => upgrade(request.result);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      // Private browsing in some browsers rejects here - run without persistence
+      console.warn(`Failed to open IndexedDB ${name}:`, request.error);
+      resolve(null);
+    };
+    request.onblocked = () => console.warn(`IndexedDB ${name} upgrade blocked by another tab`);
+  });
+}
+
+/**
+ * Approximate storage size of a value in bytes
+ * @param {*} value - JSON-serializable value
+ * @returns {number} Size estimate in bytes
+ */
+function estimateSize(value) {
+  try {
+    // UTF-16 in memory, but JSON length is a good relative measure for caps
+    return JSON.stringify(value).length;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * PersistentCache class for one cache namespace
+ */
+export class PersistentCache {
+  /**
+   * @param {string} namespace - Cache namespace, used as database name suffix
+   * @param {Object} [options]
+   * @param {number} [options.ttl=86400000] - Milliseconds an entry is considered fresh
+   * @param {number} [options.maxAge=604800000] - Milliseconds a stale entry may still be served
+   * @param {number} [options.maxEntries=500] - Maximum number of entries
+   * @param {number} [options.maxBytes=10485760] - Maximum approximate total size in bytes
+   */
+  constructor(namespace, options = {}) {
+    if (!namespace) {
+      throw new Error('Cache namespace is required');
+    }
+
+    this.namespace = namespace;
+    this.ttl = options.ttl || DEFAULT_TTL;
+    this.maxAge = Math.max(options.maxAge || DEFAULT_MAX_AGE, this.ttl);
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+
+    // Opened lazily on first use
+    this.dbPromise = null;
+    this.evictionTimer = null;
+  }
+
+  /**
+   * Get (and lazily open) the database for this namespace
+   * @private
+   * @returns {Promise<IDBDatabase|null>}
+   */
+  _getDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(`${DB_PREFIX}-${this.namespace}`, DB_VERSION, (db) => {
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+          db.createObjectStore(META_STORE_NAME, { keyPath: 'key' }).createIndex('lastAccess', 'lastAccess');
+        }
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Read an entry
+   * Fresh and stale entries are both returned so callers can serve stale data
+   * while revalidating; entries older than `maxAge` are deleted and treated as missing
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} { value, timestamp, isFresh } or null on miss
+   */
+  async get(key) {
+    try {
+      const db = await this._getDatabase();
+      if (!db) return null;
+
+      const transaction = db.transaction([STORE_NAME, META_STORE_NAME], 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      const metaStore = transaction.objectStore(META_STORE_NAME);
+      const record = await requestToPromise(store.get(key));
+
+      if (!record) {
+        return null;
+      }
+
+      const age = Date.now() - record.timestamp;
+      if (age > this.maxAge) {
+        store.delete(key);
+        metaStore.delete(key);
+        await transactionDone(transaction);
+        return null;
+      }
+
+      // Touch for LRU ordering - only the small metadata record is rewritten
+      metaStore.put({ key, size: record.size, timestamp: record.timestamp, lastAccess: Date.now() });
+      await transactionDone(transaction);
+
+      return {
+        value: record.value,
+        timestamp: record.timestamp,
+        isFresh: age < this.ttl
+      };
+    } catch (error) {
+      console.warn(`Persistent cache read failed (${this.namespace}):`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Write an entry; least-recently-used entries beyond the caps are evicted shortly after
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serializable value
+   * @param {number} [timestamp=Date.now()] - When the value was fetched
+   * @returns {Promise<void>}
+   */
+  async set(key, value, timestamp = Date.now()) {
+    try {
+      const db = await this._getDatabase();
+      if (!db) return;
+
+      const size = estimateSize(value);
+      const transaction = db.transaction([STORE_NAME, META_STORE_NAME], 'readwrite');
+      transaction.objectStore(STORE_NAME).put({ key, value, timestamp, size });
+      transaction.objectStore(META_STORE_NAME).put({ key, size, timestamp, lastAccess: Date.now() });
+      await transactionDone(transaction);
+
+      this._scheduleEviction(db);
+    } catch (error) {
+      // Quota errors land here too - the in-memory caches keep working
+      console.warn(`Persistent cache write failed (${this.namespace}):`, error);
+    }
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    try {
+      const db = await this._getDatabase();
+      if (!db) return;
+
+      const transaction = db.transaction([STORE_NAME, META_STORE_NAME], 'readwrite');
+      transaction.objectStore(STORE_NAME).delete(key);
+      transaction.objectStore(META_STORE_NAME).delete(key);
+      await transactionDone(transaction);
+    } catch (error) {
+      console.warn(`Persistent cache delete failed (${this.namespace}):`, error);
+    }
+  }
+
+  /**
+   * Remove all entries of this namespace
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    try {
+      const db = await this._getDatabase();
+      if (!db) return;
+
+      const transaction = db.transaction([STORE_NAME, META_STORE_NAME], 'readwrite');
+      transaction.objectStore(STORE_NAME).clear();
+      transaction.objectStore(META_STORE_NAME).clear();
+      await transactionDone(transaction);
+    } catch (error) {
+      console.warn(`Persistent cache clear failed (${this.namespace}):`, error);
+    }
+  }
+
+  /**
+   * Collect entry metadata ordered from least to most recently used
+   * @private
+   * @param {IDBDatabase} db - Open database
+   * @returns {Promise<Array>} Array of { key, size, timestamp, lastAccess }
+   */
+  _readIndex(db) {
+    return new Promise((resolve, reject) => {
+      const entries = [];
+      const transaction = db.transaction(META_STORE_NAME, 'readonly');
+      const request = transaction.objectStore(META_STORE_NAME).index('lastAccess').openCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(entries);
+          return;
+        }
+        const { key, size, timestamp, lastAccess } = cursor.value;
+        entries.push({ key, size: size || 0, timestamp, lastAccess });
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Check the caps once after a burst of writes (e.g. one entry per tile and category)
+   * @private
+   * @param {IDBDatabase} db - Open database
+   */
+  _scheduleEviction(db) {
+    if (this.evictionTimer) return;
+
+    this.evictionTimer = setTimeout(async () => {
+      this.evictionTimer = null;
+      try {
+        await this._evict(db);
+      } catch (error) {
+        console.warn(`Persistent cache eviction failed (${this.namespace}):`, error);
+      }
+    }, EVICTION_DELAY);
+  }
+
+  /**
+   * Evict least-recently-used entries until both caps are satisfied
+   * @private
+   * @param {IDBDatabase} db - Open database
+   * @returns {Promise<void>}
+   */
+  async _evict(db) {
+    const entries = await this._readIndex(db);
+    let count = entries.length;
+    let bytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+    if (count <= this.maxEntries && bytes <= this.maxBytes) {
+      return;
+    }
+
+    const transaction = db.transaction([STORE_NAME, META_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const metaStore = transaction.objectStore(META_STORE_NAME);
+
+    for (const entry of entries) {
+      if (count <= this.maxEntries && bytes <= this.maxBytes) break;
+      store.delete(entry.key);
+      metaStore.delete(entry.key);
+      count--;
+      bytes -= entry.size;
+    }
+
+    await transactionDone(transaction);
+    console.log(`Persistent cache (${this.namespace}) evicted down to ${count} entries`);
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Promise<Object>} Stats {namespace, available, entries, bytes, fresh, stale, maxEntries, maxBytes}
+   */
+  async getStats() {
+    const stats = {
+      namespace: this.namespace,
+      available: false,
+      entries: 0,
+      bytes: 0,
+      fresh: 0,
+      stale: 0,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes
+    };
+
+    try {
+      const db = await this._getDatabase();
+      if (!db) return stats;
+
+      const entries = await this._readIndex(db);
+      const now = Date.now();
+
+      stats.available = true;
+      stats.entries = entries.length;
+      stats.bytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+      stats.fresh = entries.filter(entry => now - entry.timestamp < this.ttl).length;
+      stats.stale = stats.entries - stats.fresh;
+    } catch (error) {
+      console.warn(`Persistent cache stats failed (${this.namespace}):`, error);
+    }
+
+    return stats;
+  }
+}
@@ -0,0 +1,258 @@
+/**
+ * POI Categories - Registry of landmark categories and their OpenStreetMap tag filters
+ * The same filters build the Overpass query and classify returned elements,
+ * so a POI always carries the category it was fetched for
+ *
+ * Core responsibilities:
+ * - Map category ids to labels and OSM tag filters
+ * - Build Overpass QL filter statements for enabled categories
+ * - Match OSM tags to the first enabled category (registry order = priority)
+ * - Derive a label icon and accent color from OSM tags
+ * - Persist the user's category selection
+ */
+
+import { loadSetting, saveSetting } from '../utils/settings.js';
+
+const STORAGE_KEY = 'augmented-wiki:categories';
+
+/**
+ * Category registry
+ * Order matters: specific categories (castle) come before broad ones (historic)
+ * so an element matching several is classified by the most specific one.
+ * A filter without `values` matches any value of the key.
+ * A category with a `source` instead of filters holds the POIs of that source
+ * (see poi-sources.js) that no tag-based category claims.
+ */
+export const POI_CATEGORIES = [
+  {
+    id: 'museum',
+    label: 'Museums',
+    filters: [{ key: 'tourism', values: ['museum', 'gallery'] }],
+    defaultEnabled: true
+  },
+  {
+    id: 'castle',
+    label: 'Castles',
+    filters: [{ key: 'historic', values: ['castle', 'fort', 'palace'] }],
+    defaultEnabled: true
+  },
+  {
+    id: 'historic',
+    label: 'Historic',
+    filters: [{ key: 'historic' }],
+    defaultEnabled: true
+  },
+  {
+    id: 'attraction',
+    label: 'Attractions',
+    filters: [{ key: 'tourism', values: ['attraction', 'viewpoint', 'artwork', 'zoo', 'theme_park'] }],
+    defaultEnabled: true
+  },
+  {
+    id: 'nature',
+    label: 'Nature',
+    filters: [
+      { key: 'natural', values: ['peak', 'volcano', 'waterfall', 'cave_entrance', 'glacier', 'cliff', 'rock'] },
+      { key: 'waterway', values: ['waterfall'] },
+      { key: 'water', values: ['lake', 'reservoir', 'lagoon'] }
+    ],
+    defaultEnabled: false
+  },
+  {
+    id: 'religious',
+    label: 'Churches',
+    filters: [{ key: 'amenity', values: ['place_of_worship'] }],
+    defaultEnabled: false
+  },
+  {
+    id: 'bridge',
+    label: 'Bridges',
+    filters: [{ key: 'man_made', values: ['bridge'] }],
+    defaultEnabled: false
+  },
+  {
+    id: 'university',
+    label: 'Universities',
+    filters: [{ key: 'amenity', values: ['university', 'college'] }],
+    defaultEnabled: false
+  },
+  {
+    id: 'station',
+    label: 'Stations',
+    filters: [
+      { key: 'railway', values: ['station'] },
+      { key: 'public_transport', values: ['station'] }
+    ],
+    defaultEnabled: false
+  },
+  {
+    id: 'articles',
+    label: 'Articles',
+    filters: [],
+    source: 'wikipedia', // Geotagged Wikipedia articles, including ones missing from OSM
+    defaultEnabled: false
+  }
+];
+
+const CATEGORY_IDS = POI_CATEGORIES.map(category => category.id);
+
+/**
+ * Label styles, finer grained than the filter categories
+ * First match wins, so specific kinds come before broad ones
+ * (a church tagged historic=yes is shown as religious, not historic)
+ */
+export const LABEL_STYLES = [
+  { id: 'museum', icon: '🏛️', color: '#5c9dff', filters: [{ key: 'tourism', values: ['museum', 'gallery'] }] },
+  { id: 'castle', icon: '🏰', color: '#c08bff', filters: [{ key: 'historic', values: ['castle', 'fort', 'palace'] }] },
+  { id: 'religious', icon: '⛪', color: '#ffd166', filters: [
+    { key: 'amenity', values: ['place_of_worship'] },
+    { key: 'building', values: ['church', 'cathedral', 'chapel', 'mosque', 'synagogue', 'temple', 'monastery'] },
+    { key: 'historic', values: ['church', 'monastery', 'wayside_shrine'] }
+  ] },
+  { id: 'archaeological', icon: '⛏️', color: '#d4a373', filters: [{ key: 'historic', values: ['archaeological_site'] }] },
+  { id: 'ruins', icon: '🏚️', color: '#b08968', filters: [{ key: 'historic', values: ['ruins'] }, { key: 'ruins' }] },
+  { id: 'monument', icon: '🗽', color: '#f4a261', filters: [{ key: 'historic', values: ['monument'] }] },
+  { id: 'memorial', icon: '🕯️', color: '#adb5bd', filters: [{ key: 'historic', values: ['memorial'] }] },
+  { id: 'peak', icon: '⛰️', color: '#8ac926', filters: [{ key: 'natural', values: ['peak', 'volcano', 'cliff', 'rock'] }] },
+  { id: 'waterfall', icon: '💧', color: '#4cc9f0', filters: [
+    { key: 'natural', values: ['waterfall'] },
+    { key: 'waterway', values: ['waterfall'] }
+  ] },
+  { id: 'lake', icon: '🌊', color: '#4895ef', filters: [{ key: 'water', values: ['lake', 'reservoir', 'lagoon'] }] },
+  { id: 'bridge', icon: '🌉', color: '#90a4ae', filters: [{ key: 'man_made', values: ['bridge'] }] },
+  { id: 'university', icon: '🎓', color: '#e76f51', filters: [{ key: 'amenity', values: ['university', 'college'] }] },
+  { id: 'station', icon: '🚉', color: '#2a9d8f', filters: [
+    { key: 'railway', values: ['station'] },
+    { key: 'public_transport', values: ['station'] }
+  ] },
+  { id: 'historic', icon: '📜', color: '#e9c46a', filters: [{ key: 'historic' }] },
+  { id: 'attraction', icon: '⭐', color: '#ff6b9a', filters: [{ key: 'tourism' }] }
+];
+
+// Used when no label style matches (e.g. a nature POI with an unusual tag)
+const DEFAULT_LABEL_STYLE = { id: 'landmark', icon: '📍', color: '#4da6ff' };
+
+/**
+ * Look up a category by id
+ * @param {string} id - Category id
+ * @returns {Object|null} Category definition
+ */
+export function getCategory(id) {
+  return POI_CATEGORIES.find(category => category.id === id) || null;
+}
+
+/**
+ * Ids of the categories enabled by default
+ * @returns {Array<string>} Category ids
+ */
+export function getDefaultCategoryIds() {
+  return POI_CATEGORIES.filter(category => category.defaultEnabled).map(category => category.id);
+}
+
+/**
+ * Check whether OSM tags satisfy a single filter
+ * @param {Object} tags - OSM tags
+ * @param {Object} filter - Filter {key, values?}
+ * @returns {boolean} True if the tags match
+ */
+function matchesFilter(tags, filter) {
+  const value = tags[filter.key];
+  if (value === undefined) return false;
+  return !filter.values || filter.values.includes(value);
+}
+
+/**
+ * Get the icon and accent color for a POI label
+ * @param {Object} tags - OSM tags
+ * @returns {Object} Label style {id, icon, color}
+ */
+export function getLabelStyle(tags) {
+  const style = tags && LABEL_STYLES.find(candidate =>
+    candidate.filters.some(filter => matchesFilter(tags, filter))
+  );
+  if (!style) return DEFAULT_LABEL_STYLE;
+
+  const { id, icon, color } = style;
+  return { id, icon, color };
+}
+
+/**
+ * Find the category of an element from its tags
+ * @param {Object} tags - OSM tags
+ * @param {Array<string>} [categoryIds] - Restrict to these categories (default: all)
+ * @returns {string|null} First matching category id in registry order, or null
+ */
+export function matchCategory(tags, categoryIds = CATEGORY_IDS) {
+  if (!tags) return null;
+
+  const match = POI_CATEGORIES.find(category =>
+    categoryIds.includes(category.id) &&
+    category.filters.some(filter => matchesFilter(tags, filter))
+  );
+  return match ? match.id : null;
+}
+
+/**
+ * Find the source category of a POI without a matching tag-based category
+ * @param {string} source - POI source id, e.g. "wikipedia"
+ * @param {Array<string>} categoryIds - Restrict to these categories
+ * @returns {string|null} Category id, or null
+ */
+function matchSourceCategory(source, categoryIds) {
+  const match = POI_CATEGORIES.find(category =>
+    category.source === source && categoryIds.includes(category.id)
+  );
+  return match ? match.id : null;
+}
+
+/**
+ * Stamp each POI with its category among the enabled ones and drop the rest
+ * POIs are updated in place; an element matching a disabled and an enabled
+ * category is re-classified under the enabled one
+ * @param {Array} pois - POI objects with `tags` and `source`
+ * @param {Array<string>} categoryIds - Enabled category ids
+ * @returns {Array} POIs belonging to an enabled category
+ */
+export function categorizePOIs(pois, categoryIds) {
+  return pois.filter(poi => {
+    poi.category = matchCategory(poi.tags, categoryIds) || matchSourceCategory(poi.source, categoryIds);
+    return poi.category !== null;
+  });
+}
+
+/**
+ * Build Overpass QL statements selecting one category inside a bounding box
+ * Every POI must have a Wikipedia/Wikidata tag and a name
+ * @param {string} categoryId - Category id
+ * @param {string} bbox - Overpass bbox "south,west,north,east"
+ * @returns {string} Overpass QL statements
+ */
+export function buildOverpassFilters(categoryId, bbox) {
+  const category = getCategory(categoryId);
+  if (!category) {
+    throw new Error(`Unknown POI category: ${categoryId}`);
+  }
+
+  return category.filters.map(({ key, values }) => {
+    const tagFilter = values ? `["${key}"~"^(${values.join('|')})$"]` : `["${key}"]`;
+    return `
+        nwr(${bbox})${tagFilter}[~"^(wikipedia|wikidata)$"~"."](if:t["name"]);`;
+  }).join('');
+}
+
+/**
+ * Load the saved category selection
+ * @returns {Array<string>} Enabled category ids (defaults if nothing valid is saved)
+ */
+export function loadEnabledCategories() {
+  const saved = loadSetting(STORAGE_KEY);
+  return Array.isArray(saved) ? saved.filter(id => CATEGORY_IDS.includes(id)) : getDefaultCategoryIds();
+}
+
+/**
+ * Save the category selection
+ * @param {Array<string>} categoryIds - Enabled category ids
+ */
+export function saveEnabledCategories(categoryIds) {
+  saveSetting(STORAGE_KEY, categoryIds);
+}
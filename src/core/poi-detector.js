@@ -1,275 +1,160 @@
 /**
  * POI Detector - Manages discovery and filtering of Points of Interest
- * Fetches POIs from OpenStreetMap via Overpass API and filters by camera view frustum
+ * Gathers POIs from pluggable sources (OpenStreetMap via Overpass, Wikipedia
+ * geosearch) and filters them by camera view frustum
  * 
  * Core responsibilities:
- * - Query Overpass API for nearby POIs with Wikipedia/Wikidata tags
- * - Cache results in memory to minimize API calls
+ * - Query the POI sources serving the enabled categories (see poi-sources.js)
+ * - Merge their results, deduplicating by Wikidata id and article title
+ * - Keep working when a source fails; Wikipedia geosearch stands in for Overpass
+ * - Optionally keep Wikidata-only POIs (no Wikipedia tag); they are cached either way
  * - Filter POIs by camera view frustum (GPS + heading + pitch)
- * - Handle rate limiting and errors gracefully
  */
 
-import { calculateDistance, calculateBearing, isInViewFrustum } from '../utils/coordinates.js';
+import {
+  calculateDistance,
+  calculateBearing,
+  isInViewFrustum
+} from '../utils/coordinates.js';
+import { overpassClient } from './overpass-client.js';
+import { OverpassPOISource, WikipediaGeosearchSource } from './poi-sources.js';
+import { categorizePOIs, getDefaultCategoryIds } from './poi-categories.js';
+import { loadSetting, saveSetting } from '../utils/settings.js';
 
-// Overpass API configuration
-const OVERPASS_ENDPOINT = 'https://overpass-api.de/api/interpreter';
 const DEFAULT_SEARCH_RADIUS = 5000; // 5km in meters
-const DEFAULT_MAX_RESULTS = 100;
-const CACHE_DURATION = 300000; // 5 minutes in milliseconds
-const REQUEST_TIMEOUT = 15000; // 15 seconds (Increased for mobile networks)
 
-// Rate limiting configuration
-const MIN_REQUEST_INTERVAL = 1000; // Minimum 1 second between requests
-const MAX_RETRIES = 3;
-const RETRY_DELAY_BASE = 2000; // Base delay for exponential backoff
+const WIKIDATA_ONLY_STORAGE_KEY = 'augmented-wiki:wikidata-only';
 
 /**
- * POIDetector class for managing points of interest discovery and filtering
+ * Load whether Wikidata-only POIs are shown
+ * @returns {boolean}
  */
-export class POIDetector {
-  constructor() {
-    // In-memory cache: Map of cache keys to cached data
-    this.cache = new Map();
-    
-    // Track last request time for rate limiting
-    this.lastRequestTime = 0;
-    
-    // Track ongoing requests to prevent duplicates
-    this.pendingRequests = new Map();
-  }
+export function loadWikidataOnlySetting() {
+  return loadSetting(WIKIDATA_ONLY_STORAGE_KEY) === true;
+}
 
-  /**
-   * Build Overpass QL query for tourist attractions and historic POIs only
-   * Fetches from source - no client-side filtering needed
-   * @param {number} lat - Center latitude
-   * @param {number} lng - Center longitude
-   * @param {number} radius - Search radius in meters
-   * @returns {string} Overpass QL query
-   */
-  _buildOverpassQuery(lat, lng, radius) {
-    // Query ONLY tourism attractions, historic sites, and museums
-    // All must have Wikipedia/Wikidata tags and names
-    return `
-      [out:json][timeout:25];
-      (
-        node(around:${radius},${lat},${lng})["tourism"~"^(attraction|museum)$"][~"^(wikipedia|wikidata)$"~"."](if:t["name"]);
-        way(around:${radius},${lat},${lng})["tourism"~"^(attraction|museum)$"][~"^(wikipedia|wikidata)$"~"."](if:t["name"]);
-        node(around:${radius},${lat},${lng})["historic"][~"^(wikipedia|wikidata)$"~"."](if:t["name"]);
-        way(around:${radius},${lat},${lng})["historic"][~"^(wikipedia|wikidata)$"~"."](if:t["name"]);
-      );
-      out center tags ${DEFAULT_MAX_RESULTS};
-    `.trim();
-  }
+/**
+ * Save whether Wikidata-only POIs are shown
+ * @param {boolean} enabled
+ */
+export function saveWikidataOnlySetting(enabled) {
+  saveSetting(WIKIDATA_ONLY_STORAGE_KEY, enabled);
+}
 
+/**
+ * POIDetector class for managing points of interest discovery and filtering
+ */
+export class POIDetector {
   /**
-   * Generate cache key from location and radius
-   * @param {number} lat - Latitude
-   * @param {number} lng - Longitude
-   * @param {number} radius - Search radius
-   * @returns {string} Cache key
+   * @param {Object} [options]
+   * @param {OverpassClient} [options.overpassClient] - Overpass API client (shares its rate limit)
+   * @param {PersistentCache} [options.persistentCache] - Persistent cache for Overpass results
+   * @param {WikiClient} [options.wikiClient] - Enables the Wikipedia geosearch source
+   * @param {Array<Object>} [options.sources] - POI sources (default: Overpass, plus geosearch with a wikiClient)
+   * @param {Object} [options.fallbackSource] - Queried when another source fails (default: geosearch)
+   * @param {Array<string>} [options.categories] - Enabled POI category ids (see poi-categories.js)
+   * @param {boolean} [options.includeWikidataOnly=false] - Also return POIs tagged only with `wikidata`
    */
-  _getCacheKey(lat, lng, radius) {
-    // Round to 3 decimal places (~111m precision) for cache key
-    const roundedLat = Math.round(lat * 1000) / 1000;
-    const roundedLng = Math.round(lng * 1000) / 1000;
-    return `${roundedLat},${roundedLng},${radius}`;
+  constructor(options = {}) {
+    // Categories queried by fetchNearbyPOIs unless a call overrides them
+    this.enabledCategories = options.categories || getDefaultCategoryIds();
+
+    // POIs without a Wikipedia tag get their article (or a generated card) via Wikidata
+    this.includeWikidataOnly = Boolean(options.includeWikidataOnly);
+
+    const geosearchSource = options.wikiClient
+      ? new WikipediaGeosearchSource({ wikiClient: options.wikiClient })
+      : null;
+
+    this.sources = options.sources || [
+      new OverpassPOISource({
+        overpassClient: options.overpassClient || overpassClient,
+        persistentCache: options.persistentCache
+      }),
+      geosearchSource
+    ].filter(Boolean);
+
+    // Keeps the app working while Overpass is down or rate limited
+    this.fallbackSource = options.fallbackSource !== undefined ? options.fallbackSource : geosearchSource;
   }
 
   /**
-   * Check if cached data is still valid
-   * @param {Object} cachedData - Cached data object
-   * @returns {boolean} True if cache is valid
+   * Set the POI categories queried by fetchNearbyPOIs
+   * Cached results of other categories are kept, so toggling back is instant
+   * @param {Array<string>} categoryIds - Enabled category ids
    */
-  _isCacheValid(cachedData) {
-    if (!cachedData) return false;
-    const age = Date.now() - cachedData.timestamp;
-    return age < CACHE_DURATION;
+  setEnabledCategories(categoryIds) {
+    this.enabledCategories = [...categoryIds];
   }
 
   /**
-   * Enforce rate limiting - wait if needed
-   * @returns {Promise<void>}
+   * Show or hide POIs that only have a `wikidata` tag
+   * They are always fetched and cached, so toggling needs no refetch
+   * @param {boolean} enabled
    */
-  async _enforceRateLimit() {
-    const timeSinceLastRequest = Date.now() - this.lastRequestTime;
-    if (timeSinceLastRequest < MIN_REQUEST_INTERVAL) {
-      const waitTime = MIN_REQUEST_INTERVAL - timeSinceLastRequest;
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
-    this.lastRequestTime = Date.now();
+  setIncludeWikidataOnly(enabled) {
+    this.includeWikidataOnly = Boolean(enabled);
   }
 
   /**
-   * Fetch POIs from Overpass API with retry logic
-   * @param {string} query - Overpass QL query
-   * @param {number} retryCount - Current retry attempt
-   * @returns {Promise<Array>} Array of POI elements
-   */
-  async _fetchFromOverpass(query, retryCount = 0) {
-    try {
-      await this._enforceRateLimit();
-
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
-
-      console.log('Sending Overpass API request...');
-
-      const response = await fetch(OVERPASS_ENDPOINT, {
-        method: 'POST',
-        body: query,
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        signal: controller.signal,
-        mode: 'cors'
-      });
-
-      clearTimeout(timeoutId);
-
-      console.log('Overpass API response status:', response.status);
-
-      if (!response.ok) {
-        // Handle rate limiting (429) and server errors (5xx)
-        if (response.status === 429 || response.status >= 500) {
-          throw new Error(`Overpass API error: ${response.status}`);
-        }
-        throw new Error(`HTTP error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      console.log('Overpass API returned', data.elements?.length || 0, 'elements');
-      return data.elements || [];
-
-    } catch (error) {
-      console.error('Overpass API fetch error:', error.name, error.message);
-      
-      // Retry with exponential backoff for network errors and rate limits
-      if (retryCount < MAX_RETRIES) {
-        const isRetriableError = 
-          error.name === 'AbortError' ||
-          error.message.includes('429') ||
-          error.message.includes('5') ||
-          error.message.includes('network') ||
-          error.message.includes('fetch');
-
-        if (isRetriableError) {
-          const delay = RETRY_DELAY_BASE * Math.pow(2, retryCount);
-          console.warn(`Overpass API request failed, retrying in ${delay}ms... (attempt ${retryCount + 1}/${MAX_RETRIES})`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-          return this._fetchFromOverpass(query, retryCount + 1);
-        }
-      }
-
-      console.error('Overpass API request failed after retries:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Parse Overpass element into POI object
-   * @param {Object} element - Overpass API element (node or way)
+   * Stamp distance and bearing from the user onto a POI
+   * @param {Object} poi - POI object (mutated)
    * @param {Object} userLocation - User's current location {lat, lng}
-   * @returns {Object} POI object
    */
-  _parseElement(element, userLocation) {
-    const tags = element.tags || {};
-    
-    // Get coordinates (use center for ways)
-    const lat = element.center?.lat || element.lat;
-    const lng = element.center?.lon || element.lon;
-
-    if (!lat || !lng) {
-      return null; // Skip elements without coordinates
-    }
-
-    // Extract Wikipedia information
-    let wikipediaTitle = null;
-    let wikipediaLanguage = 'en'; // Default to English if not specified
-    let wikidataId = null;
-
-    // Check for various wikipedia tag formats
-    // Format 1: wikipedia=en:Article_Name or language:Article_Name
-    if (tags.wikipedia) {
-      const parts = tags.wikipedia.split(':');
-      if (parts.length >= 2 && parts[0].length === 2) {
-        wikipediaLanguage = parts[0];
-        // Take everything after first colon as title
-        wikipediaTitle = parts.slice(1).join(':');
-      } else {
-        wikipediaTitle = tags.wikipedia;
-      }
-    }
-
-    // Check language-specific tags (e.g., wikipedia:en)
-    if (!wikipediaTitle) {
-      const wikiKeys = Object.keys(tags).filter(k => k.startsWith('wikipedia:'));
-      if (wikiKeys.length > 0) {
-        // Prefer English, otherwise take first available
-        const enKey = wikiKeys.find(k => k === 'wikipedia:en');
-        if (enKey) {
-            wikipediaLanguage = 'en';
-            wikipediaTitle = tags[enKey];
-        } else {
-            const key = wikiKeys[0];
-            wikipediaLanguage = key.split(':')[1] || 'en';
-            wikipediaTitle = tags[key];
-        }
-      }
-    }
-
-    // Extract Wikidata ID
-    if (tags.wikidata) {
-      wikidataId = tags.wikidata;
-    }
-
-    // STRICT FILTER: Only allow POIs with an actual Wikipedia article
-    // Pure Wikidata items are often too obscure or lack good summaries
-    if (!wikipediaTitle) {
-      return null;
-    }
-
-    // Clean title
-    wikipediaTitle = wikipediaTitle.trim();
-
-    // Calculate distance and bearing from user
+  _applyRelativePosition(poi, userLocation) {
     const distance = calculateDistance(
       userLocation.lat,
       userLocation.lng,
-      lat,
-      lng
+      poi.lat,
+      poi.lng
     );
 
     const bearing = calculateBearing(
       userLocation.lat,
       userLocation.lng,
-      lat,
-      lng
+      poi.lat,
+      poi.lng
     );
 
-    return {
-      id: `${element.type}/${element.id}`,
-      name: tags.name || wikipediaTitle.replace(/_/g, ' '), // Fallback to wiki title if name missing
-      lat,
-      lng,
-      distance: Math.round(distance),
-      bearing: Math.round(bearing),
-      wikipediaTitle,
-      wikipediaLanguage,
-      wikidataId,
-      type: element.type,
-      tags: tags
-    };
+    poi.distance = Math.round(distance);
+    poi.bearing = Math.round(bearing);
   }
 
   /**
-   * Fetch POIs near a location from Overpass API
-   * Uses caching to minimize API calls
+   * Recompute distance and bearing of POIs from a new user location
+   * POIs are updated in place so the app, renderer and cache all see current values
+   * @param {Array} pois - Array of POI objects
+   * @param {Object} userLocation - User's current location {lat, lng}
+   * @returns {Array} The same array, for chaining
+   */
+  updateRelativePositions(pois, userLocation) {
+    if (!Array.isArray(pois) || !userLocation) {
+      return pois;
+    }
+
+    pois.forEach(poi => this._applyRelativePosition(poi, userLocation));
+    return pois;
+  }
+
+  /**
+   * Fetch POIs near a location from the sources serving the requested categories
+   * Sources fail independently: results of the others are still returned, and if any
+   * fails the fallback source (Wikipedia geosearch) is queried too and its POIs are
+   * shown regardless of the category selection
    * @param {number} lat - User latitude
    * @param {number} lng - User longitude
    * @param {number} [radius=5000] - Search radius in meters
-   * @returns {Promise<Array>} Array of POI objects
+   * @param {Array<string>} [categoryIds] - Categories to fetch (default: enabled categories)
+   * @param {boolean} [includeWikidataOnly] - Return Wikidata-only POIs (default: the detector setting)
+   * @returns {Promise<Array>} Array of POI objects, each with its `category`
    */
-  async fetchNearbyPOIs(lat, lng, radius = DEFAULT_SEARCH_RADIUS) {
+  async fetchNearbyPOIs(
+    lat,
+    lng,
+    radius = DEFAULT_SEARCH_RADIUS,
+    categoryIds = this.enabledCategories,
+    includeWikidataOnly = this.includeWikidataOnly
+  ) {
     // Validate inputs
     if (typeof lat !== 'number' || typeof lng !== 'number') {
       throw new Error('Latitude and longitude must be numbers');
@@ -284,77 +169,120 @@ export class POIDetector {
       throw new Error('Radius must be between 0 and 100000 meters');
     }
 
-    const cacheKey = this._getCacheKey(lat, lng, radius);
-
-    // Check cache first
-    const cachedData = this.cache.get(cacheKey);
-    if (cachedData && this._isCacheValid(cachedData)) {
-      console.log('Using cached POI data');
-      return cachedData.pois;
+    if (categoryIds.length === 0) {
+      return [];
     }
 
-    // Check if there's already a pending request for this location
-    if (this.pendingRequests.has(cacheKey)) {
-      console.log('Waiting for pending POI request...');
-      return this.pendingRequests.get(cacheKey);
-    }
+    const sources = this.sources.filter(source => source.handles(categoryIds));
+    const outcomes = await Promise.allSettled(
+      sources.map(source => source.fetchPOIs(lat, lng, radius, categoryIds))
+    );
 
-    // Create new request
-    const requestPromise = (async () => {
+    const results = [];
+    const errors = [];
+    outcomes.forEach((outcome, index) => {
+      if (outcome.status === 'fulfilled') {
+        results.push(outcome.value);
+      } else {
+        console.warn(`POI source ${sources[index].id} failed:`, outcome.reason.message);
+        errors.push(outcome.reason);
+      }
+    });
+
+    let shownCategories = categoryIds;
+    if (errors.length > 0 && this.fallbackSource && !sources.includes(this.fallbackSource)) {
       try {
-        const query = this._buildOverpassQuery(lat, lng, radius);
-        console.log(`Fetching POIs from Overpass API (${radius}m radius)...`);
-        
-        const elements = await this._fetchFromOverpass(query);
-        console.log(`Received ${elements.length} elements from Overpass API`);
-
-        // Parse elements into POI objects
-        const parsedPOIs = elements
-          .map(element => this._parseElement(element, { lat, lng }))
-          .filter(poi => poi !== null); // Remove invalid POIs
-
-        // Deduplicate POIs based on Wikipedia title
-        // If multiple POIs share the same article (e.g. node vs way), keep the one with 'way' type or just the first
-        const uniquePOIsMap = new Map();
-        
-        parsedPOIs.forEach(poi => {
-            const key = poi.wikipediaTitle.toLowerCase();
-            
-            if (!uniquePOIsMap.has(key)) {
-                uniquePOIsMap.set(key, poi);
-            } else {
-                // If duplicate exists, prefer 'way' (often more accurate/substantial) over 'node'
-                // Or prefer the one that has a name if the stored one doesn't
-                const existing = uniquePOIsMap.get(key);
-                if (poi.type === 'way' && existing.type === 'node') {
-                    uniquePOIsMap.set(key, poi);
-                }
-            }
-        });
+        const fallbackPOIs = await this.fallbackSource.fetchPOIs(lat, lng, radius, categoryIds);
+        shownCategories = [...categoryIds, ...(this.fallbackSource.categoryIds ?? [])];
+        results.push(fallbackPOIs);
+        console.log(`Using ${this.fallbackSource.id} POIs as fallback`);
+      } catch (error) {
+        console.warn(`Fallback POI source ${this.fallbackSource.id} failed:`, error.message);
+      }
+    }
 
-        const pois = Array.from(uniquePOIsMap.values())
-          .sort((a, b) => a.distance - b.distance); // Sort by distance
+    if (results.length === 0 && errors.length > 0) {
+      throw errors[0];
+    }
 
-        console.log(`Parsed ${pois.length} valid unique POIs`);
+    // An element fetched for several categories is classified by the most specific enabled one
+    const candidates = results.flat().filter(poi => includeWikidataOnly || poi.wikipediaTitle);
+    const pois = categorizePOIs(this._mergePOIs(candidates), shownCategories);
+    this.updateRelativePositions(pois, { lat, lng });
 
-        // Cache results
-        this.cache.set(cacheKey, {
-          pois,
-          timestamp: Date.now()
-        });
+    return pois
+      .filter(poi => poi.distance <= radius)
+      .sort((a, b) => a.distance - b.distance); // Sort by distance
+  }
 
-        return pois;
+  /**
+   * Merge POIs from all sources into one list without duplicates
+   * Two POIs are the same landmark if they share a Wikidata id or an article
+   * (language and title), directly or through other POIs. OSM POIs win over
+   * Wikipedia geosearch (they carry tags, hence category and label style); among
+   * OSM elements ways and relations win over nodes (often more accurate/substantial)
+   * @param {Array} pois - Array of POI objects
+   * @returns {Array} Unique POIs
+   */
+  _mergePOIs(pois) {
+    const entries = new Set(); // {poi, keys}
+    const entriesByKey = new Map();
+
+    pois.forEach(poi => {
+      const keys = this._getMergeKeys(poi);
+      const matches = [...new Set(keys.map(key => entriesByKey.get(key)).filter(Boolean))];
+
+      // A POI can link landmarks that looked different so far (an OSM node tagged
+      // with the Wikidata id, a way with the English title) - fold them into one
+      const entry = matches[0] || { poi, keys: new Set() };
+      entries.add(entry);
+      matches.slice(1).forEach(other => {
+        entries.delete(other);
+        other.keys.forEach(key => entry.keys.add(key));
+        if (this._getMergeRank(other.poi) > this._getMergeRank(entry.poi)) {
+          entry.poi = other.poi;
+        }
+      });
 
-      } finally {
-        // Remove from pending requests
-        this.pendingRequests.delete(cacheKey);
+      if (this._getMergeRank(poi) > this._getMergeRank(entry.poi)) {
+        entry.poi = poi;
       }
-    })();
+      keys.forEach(key => entry.keys.add(key));
+      entry.keys.forEach(key => entriesByKey.set(key, entry));
+    });
 
-    // Track pending request
-    this.pendingRequests.set(cacheKey, requestPromise);
+    return Array.from(entries, entry => entry.poi);
+  }
 
-    return requestPromise;
+  /**
+   * Identity keys of a POI: its Wikidata id and every tagged article
+   * @private
+   * @param {Object} poi - POI object
+   * @returns {Array<string>} Keys
+   */
+  _getMergeKeys(poi) {
+    const keys = poi.wikidataId ? [poi.wikidataId] : [];
+    const titles = { ...poi.wikipediaTitles };
+    if (poi.wikipediaTitle) {
+      titles[poi.wikipediaLanguage] = poi.wikipediaTitle;
+    }
+
+    // Titles differ only in spaces vs underscores and case between tags and the API
+    Object.entries(titles).forEach(([lang, title]) => {
+      keys.push(`${lang}:${title.replace(/_/g, ' ').trim().toLowerCase()}`);
+    });
+    return keys;
+  }
+
+  /**
+   * Preference among duplicates (higher wins)
+   * @private
+   * @param {Object} poi - POI object
+   * @returns {number} Rank
+   */
+  _getMergeRank(poi) {
+    if (poi.source === 'wikipedia') return 0;
+    return poi.type === 'node' ? 1 : 2;
   }
 
   /**
@@ -363,10 +291,11 @@ export class POIDetector {
    * @param {Array} pois - Array of POI objects to filter
    * @param {Object} userLocation - User's current location {lat, lng}
    * @param {number} deviceHeading - Compass heading (0-360, 0=north)
-   * @param {number} devicePitch - Device tilt angle (-90 to 90, 0=horizontal)
+   * @param {number} devicePitch - W3C beta in degrees (90=upright, camera at the horizon)
    * @param {number} [horizontalFOV=60] - Horizontal field of view in degrees
-   * @param {number} [verticalFOV=45] - Vertical field of view in degrees
+   * @param {number} [verticalFOV=45] - Vertical field of view in degrees (getVerticalFOV for the screen)
    * @param {number} [maxDistance=5000] - Maximum visibility distance in meters
+   * @param {number} [deviceRoll=0] - W3C gamma in degrees (left-to-right tilt)
    * @returns {Array} Filtered array of visible POIs
    */
   getVisiblePOIs(
@@ -376,7 +305,8 @@ export class POIDetector {
     devicePitch,
     horizontalFOV = 60,
     verticalFOV = 45,
-    maxDistance = DEFAULT_SEARCH_RADIUS
+    maxDistance = DEFAULT_SEARCH_RADIUS,
+    deviceRoll = 0
   ) {
     if (!Array.isArray(pois)) {
       throw new Error('POIs must be an array');
@@ -385,6 +315,7 @@ export class POIDetector {
     console.log(`Filtering ${pois.length} POIs with:`, {
       heading: deviceHeading?.toFixed(1),
       pitch: devicePitch?.toFixed(1),
+      roll: deviceRoll?.toFixed(1),
       horizontalFOV,
       verticalFOV,
       maxDistance
@@ -393,12 +324,13 @@ export class POIDetector {
     const visiblePOIs = pois.filter((poi, index) => {
       const isVisible = isInViewFrustum(
         userLocation,
-        { lat: poi.lat, lng: poi.lng },
+        { lat: poi.lat, lng: poi.lng, elevation: poi.elevation },
         deviceHeading,
         devicePitch,
         horizontalFOV,
         verticalFOV,
-        maxDistance
+        maxDistance,
+        deviceRoll
       );
       
       // Debug first few POIs
@@ -423,12 +355,13 @@ export class POIDetector {
    * @param {number} lat - User latitude
    * @param {number} lng - User longitude
    * @param {number} deviceHeading - Compass heading (0-360, 0=north)
-   * @param {number} devicePitch - Device tilt angle (-90 to 90)
+   * @param {number} devicePitch - W3C beta in degrees (90=upright, camera at the horizon)
    * @param {Object} options - Optional parameters
    * @param {number} [options.radius=5000] - Search radius in meters
    * @param {number} [options.horizontalFOV=60] - Horizontal FOV in degrees
-   * @param {number} [options.verticalFOV=45] - Vertical FOV in degrees
+   * @param {number} [options.verticalFOV=45] - Vertical FOV in degrees (getVerticalFOV for the screen)
    * @param {number} [options.maxDistance=5000] - Max visibility distance
+   * @param {number} [options.deviceRoll=0] - W3C gamma in degrees
    * @returns {Promise<Array>} Array of visible POI objects
    */
   async getVisiblePOIsInView(lat, lng, deviceHeading, devicePitch, options = {}) {
@@ -436,7 +369,8 @@ export class POIDetector {
       radius = DEFAULT_SEARCH_RADIUS,
       horizontalFOV = 60,
       verticalFOV = 45,
-      maxDistance = DEFAULT_SEARCH_RADIUS
+      maxDistance = DEFAULT_SEARCH_RADIUS,
+      deviceRoll = 0
     } = options;
 
     // Fetch all nearby POIs
@@ -450,37 +384,35 @@ export class POIDetector {
       devicePitch,
       horizontalFOV,
       verticalFOV,
-      maxDistance
+      maxDistance,
+      deviceRoll
     );
 
     return visiblePOIs;
   }
 
   /**
-   * Clear the POI cache
+   * Clear the caches of all POI sources
    * Useful for forcing a refresh or managing memory
+   * @returns {Promise<void>}
    */
-  clearCache() {
-    this.cache.clear();
+  async clearCache() {
+    await Promise.all(this.sources.map(source => source.clearCache && source.clearCache()));
     console.log('POI cache cleared');
   }
 
   /**
-   * Get cache statistics
-   * @returns {Object} Cache stats {size, entries}
+   * Get cache statistics of the sources that report them
+   * @returns {Promise<Object>} Map of source id -> stats
    */
-  getCacheStats() {
-    const entries = Array.from(this.cache.entries()).map(([key, value]) => ({
-      key,
-      poiCount: value.pois.length,
-      age: Date.now() - value.timestamp,
-      valid: this._isCacheValid(value)
-    }));
-
-    return {
-      size: this.cache.size,
-      entries
-    };
+  async getCacheStats() {
+    const stats = {};
+    for (const source of this.sources) {
+      if (source.getCacheStats) {
+        stats[source.id] = await source.getCacheStats();
+      }
+    }
+    return stats;
   }
 }
 
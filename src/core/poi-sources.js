@@ -0,0 +1,491 @@
+/**
+ * POI Sources - Pluggable providers of POIs for POIDetector
+ * Each source fetches POIs near a location on its own; POIDetector queries the
+ * sources serving the enabled categories, merges their results and survives
+ * the failure of any one of them
+ *
+ * A source implements:
+ * - `id` - Short name for logs
+ * - `handles(categoryIds)` - Whether it serves any of the requested categories
+ * - `fetchPOIs(lat, lng, radius, categoryIds)` - POIs {id, name, lat, lng,
+ *   wikipediaTitle, wikipediaLanguage, wikipediaTitles, wikidataId, type, tags, source}
+ * - `categoryIds` (optional) - Categories its POIs are classified into when it
+ *   stands in as the fallback source, beyond the requested ones
+ *
+ * Core responsibilities:
+ * - OverpassPOISource: OSM elements with Wikipedia/Wikidata tags, cached per map tile and category
+ * - WikipediaGeosearchSource: geotagged Wikipedia articles, also missing from OSM
+ */
+
+import { latLngToTile, getTilesInRadius, groupTilesIntoBounds } from '../utils/coordinates.js';
+import { PersistentCache } from './persistent-cache.js';
+import { overpassClient } from './overpass-client.js';
+import { requestTiles } from './tile-requests.js';
+import { buildOverpassFilters, getCategory, matchCategory, POI_CATEGORIES } from './poi-categories.js';
+
+const MAX_RESULTS_PER_TILE = 250;
+
+// Spatial cache configuration - POIs are fetched and cached per slippy-map tile
+// so a radius query only requests tiles that are not cached yet
+const TILE_ZOOM = 12; // ~10km tiles at the equator, ~6km at 50° latitude
+const TILE_CACHE_VERSION = 5; // Bump when the cached POI format changes
+const CACHE_DURATION = 300000; // 5 minutes in milliseconds
+const PERSISTENT_CACHE_TTL = 86400000; // 1 day fresh - OSM landmarks rarely change
+const PERSISTENT_CACHE_MAX_AGE = 604800000; // Serve stale results for up to 7 days
+const PERSISTENT_CACHE_MAX_ENTRIES = 500;
+
+// Wikipedia geosearch limits
+const MAX_GEOSEARCH_RADIUS = 10000; // API maximum (meters)
+const GEOSEARCH_LIMIT = 200; // Nearest articles per query (API maximum 500)
+const GEOSEARCH_CACHE_PRECISION = 3; // Decimals of the query center in cache keys (~100m)
+
+/**
+ * OverpassPOISource - OSM elements of the enabled categories with Wikipedia/Wikidata tags
+ * Radius queries are assembled from cached z12 tiles per category; only missing
+ * tiles are requested, in one Overpass query
+ */
+export class OverpassPOISource {
+  /**
+   * @param {Object} [options]
+   * @param {OverpassClient} [options.overpassClient] - Overpass API client (shares its rate limit)
+   * @param {PersistentCache} [options.persistentCache] - Persistent cache for Overpass results
+   */
+  constructor(options = {}) {
+    this.id = 'overpass';
+    this.overpassClient = options.overpassClient || overpassClient;
+
+    // In-memory cache: Map of cache keys to cached data
+    this.cache = new Map();
+
+    // Persistent cache survives reloads; served stale while revalidating
+    this.persistentCache = options.persistentCache || new PersistentCache('overpass', {
+      ttl: PERSISTENT_CACHE_TTL,
+      maxAge: PERSISTENT_CACHE_MAX_AGE,
+      maxEntries: PERSISTENT_CACHE_MAX_ENTRIES
+    });
+
+    // Track ongoing requests to prevent duplicates
+    this.pendingRequests = new Map();
+  }
+
+  /**
+   * Whether any requested category has OSM tag filters
+   * @param {Array<string>} categoryIds - Requested category ids
+   * @returns {boolean}
+   */
+  handles(categoryIds) {
+    return this._getOSMCategories(categoryIds).length > 0;
+  }
+
+  /**
+   * Fetch POIs of the requested categories within a radius
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} radius - Radius in meters
+   * @param {Array<string>} categoryIds - Requested category ids
+   * @returns {Promise<Array>} POIs from all tiles touching the radius (not yet filtered by distance)
+   */
+  async fetchPOIs(lat, lng, radius, categoryIds) {
+    const tiles = getTilesInRadius(lat, lng, radius, TILE_ZOOM);
+    const units = tiles.flatMap(tile => this._getOSMCategories(categoryIds).map(categoryId => ({ tile, categoryId })));
+    const tilePOIs = await this._loadTiles(units);
+    return tilePOIs.flat();
+  }
+
+  /**
+   * Requested categories that are queried from OSM (have tag filters)
+   * @private
+   * @param {Array<string>} categoryIds - Category ids
+   * @returns {Array<string>} Category ids
+   */
+  _getOSMCategories(categoryIds) {
+    return categoryIds.filter(id => getCategory(id)?.filters.length > 0);
+  }
+
+  /**
+   * Build Overpass QL query for the requested categories
+   * Fetches from source - no client-side filtering needed
+   * @param {Array<Object>} requests - Per-category boxes {categoryId, boxes: [{south, west, north, east}]}
+   * @param {number} maxResults - Maximum number of elements to return
+   * @returns {string} Overpass QL query
+   */
+  _buildOverpassQuery(requests, maxResults) {
+    // All must have Wikipedia/Wikidata tags and names
+    const statements = requests.map(({ categoryId, boxes }) =>
+      boxes.map(({ south, west, north, east }) =>
+        buildOverpassFilters(categoryId, `${south},${west},${north},${east}`)
+      ).join('')
+    ).join('');
+
+    return `
+      [out:json][timeout:25];
+      (${statements}
+      );
+      out center tags ${maxResults};
+    `.trim();
+  }
+
+  /**
+   * Generate cache key for the POIs of one category in a tile
+   * @param {Object} tile - Tile {x, y, z}
+   * @param {string} categoryId - Category id
+   * @returns {string} Cache key
+   */
+  _getTileKey(tile, categoryId) {
+    return `v${TILE_CACHE_VERSION}/${categoryId}/${tile.z}/${tile.x}/${tile.y}`;
+  }
+
+  /**
+   * Check if cached data is still valid
+   * @param {Object} cachedData - Cached data object
+   * @returns {boolean} True if cache is valid
+   */
+  _isCacheValid(cachedData) {
+    if (!cachedData) return false;
+    const age = Date.now() - cachedData.timestamp;
+    return age < CACHE_DURATION;
+  }
+
+  /**
+   * Parse Overpass element into POI object
+   * Distance and bearing are stamped by POIDetector when POIs are assembled for a query
+   * @param {Object} element - Overpass API element (node or way)
+   * @returns {Object} POI object
+   */
+  _parseElement(element) {
+    const tags = element.tags || {};
+    
+    // Get coordinates (use center for ways)
+    const lat = element.center?.lat || element.lat;
+    const lng = element.center?.lon || element.lon;
+
+    if (!lat || !lng) {
+      return null; // Skip elements without coordinates
+    }
+
+    // Extract Wikipedia information
+    // Every tagged language is kept in `wikipediaTitles`; WikiClient picks the
+    // one that best matches the user's languages when the article is shown
+    const wikipediaTitles = {};
+    let wikipediaTitle = null;
+    let wikipediaLanguage = 'en'; // Default to English if not specified
+    let wikidataId = null;
+
+    // Format 1: wikipedia=de:Article_Name (the main article, usually in the local language)
+    if (tags.wikipedia) {
+      const match = tags.wikipedia.match(/^([a-z]{2,3}(?:-[a-z]+)*):(.+)$/);
+      if (match) {
+        wikipediaLanguage = match[1];
+        wikipediaTitle = match[2].trim();
+      } else {
+        wikipediaTitle = tags.wikipedia.trim();
+      }
+      wikipediaTitles[wikipediaLanguage] = wikipediaTitle;
+    }
+
+    // Format 2: language-specific tags (e.g. wikipedia:en=Article_Name)
+    Object.keys(tags)
+      .filter(key => key.startsWith('wikipedia:') && tags[key].trim())
+      .forEach(key => {
+        const lang = key.slice('wikipedia:'.length);
+        wikipediaTitles[lang] = tags[key].trim();
+        if (!wikipediaTitle) {
+          wikipediaLanguage = lang;
+          wikipediaTitle = wikipediaTitles[lang];
+        }
+      });
+
+    // Extract Wikidata ID
+    if (tags.wikidata) {
+      wikidataId = tags.wikidata;
+    }
+
+    // Pure Wikidata items are kept in the tile caches but only returned when
+    // includeWikidataOnly is set - many are obscure, but in some countries they
+    // are most of the heritage objects
+    if (!wikipediaTitle && !/^Q\d+$/.test(wikidataId || '')) {
+      return null;
+    }
+
+    return {
+      id: `${element.type}/${element.id}`,
+      name: tags.name || (wikipediaTitle || wikidataId).replace(/_/g, ' '), // Fallback to wiki title if name missing
+      lat,
+      lng,
+      distance: 0,
+      bearing: 0,
+      wikipediaTitle,
+      wikipediaLanguage,
+      wikipediaTitles,
+      wikidataId,
+      type: element.type,
+      tags: tags,
+      source: 'overpass'
+    };
+  }
+
+  /**
+   * Load POIs for a set of tile/category units from memory, IndexedDB or Overpass
+   * Stale persisted tiles are served immediately and revalidated in the background;
+   * only missing tiles block on a network request
+   * @private
+   * @param {Array<Object>} units - Units {tile: {x, y, z}, categoryId}
+   * @returns {Promise<Array<Array>>} POI arrays in the same order as `units`
+   */
+  async _loadTiles(units) {
+    const results = new Map();
+    const missing = [];
+    const stale = [];
+
+    await Promise.all(units.map(async (unit) => {
+      const key = this._getTileKey(unit.tile, unit.categoryId);
+
+      // Check cache first
+      const cachedData = this.cache.get(key);
+      if (cachedData && this._isCacheValid(cachedData)) {
+        results.set(key, cachedData.pois);
+        return;
+      }
+
+      // Then the persistent cache - stale entries are served while revalidating
+      const persisted = await this.persistentCache.get(key);
+      if (persisted) {
+        this.cache.set(key, {
+          pois: persisted.value,
+          timestamp: persisted.isFresh ? Date.now() : persisted.timestamp
+        });
+        results.set(key, persisted.value);
+        if (!persisted.isFresh) stale.push(unit);
+        return;
+      }
+
+      missing.push(unit);
+    }));
+
+    const cachedCount = units.length - missing.length;
+    console.log(`POI tiles: ${cachedCount}/${units.length} cached, ${missing.length} to fetch, ${stale.length} stale`);
+
+    if (missing.length > 0) {
+      const fetched = await this._requestTiles(missing);
+      fetched.forEach((pois, key) => results.set(key, pois));
+    }
+
+    if (stale.length > 0) {
+      this._requestTiles(stale).catch(error => {
+        console.warn('Background POI tile revalidation failed:', error.message);
+      });
+    }
+
+    return units.map(unit => results.get(this._getTileKey(unit.tile, unit.categoryId)) || []);
+  }
+
+  /**
+   * Fetch tiles from Overpass in a single request and store them in both caches
+   * Tiles that already have a request in flight share it
+   * @private
+   * @param {Array<Object>} units - Units {tile: {x, y, z}, categoryId}
+   * @returns {Promise<Map<string, Array>>} Map of tile key to POIs
+   */
+  _requestTiles(units) {
+    return requestTiles(units, {
+      pending: this.pendingRequests,
+      getKey: unit => this._getTileKey(unit.tile, unit.categoryId),
+      fetch: toFetch => this._fetchTiles(toFetch)
+    });
+  }
+
+  /**
+   * Query Overpass for a set of tile/category units and bucket the results by unit
+   * @private
+   * @param {Array<Object>} units - Units {tile: {x, y, z}, categoryId}
+   * @returns {Promise<Map<string, Array>>} Map of tile key to POIs
+   */
+  async _fetchTiles(units) {
+    // One query for all categories, each with the boxes of its own missing tiles
+    const tilesByCategory = new Map();
+    units.forEach(({ tile, categoryId }) => {
+      if (!tilesByCategory.has(categoryId)) tilesByCategory.set(categoryId, []);
+      tilesByCategory.get(categoryId).push(tile);
+    });
+
+    const requests = Array.from(tilesByCategory, ([categoryId, tiles]) => ({
+      categoryId,
+      boxes: groupTilesIntoBounds(tiles)
+    }));
+    const boxCount = requests.reduce((sum, request) => sum + request.boxes.length, 0);
+    const maxResults = MAX_RESULTS_PER_TILE * units.length;
+    const query = this._buildOverpassQuery(requests, maxResults);
+    console.log(`Fetching POIs from Overpass API (${units.length} tiles in ${boxCount} boxes, ${requests.length} categories)...`);
+
+    const elements = await this.overpassClient.query(query);
+    console.log(`Received ${elements.length} elements from Overpass API`);
+
+    const buckets = new Map(units.map(unit => [this._getTileKey(unit.tile, unit.categoryId), []]));
+
+    // Assign each element to the tile containing its (center) coordinate, once for
+    // every requested category it matches
+    // Elements that only overlap a requested tile belong to a neighbour and are dropped
+    elements.forEach(element => {
+      const poi = this._parseElement(element);
+      if (!poi) return; // Remove invalid POIs
+
+      const tile = latLngToTile(poi.lat, poi.lng, TILE_ZOOM);
+      tilesByCategory.forEach((tiles, categoryId) => {
+        const key = this._getTileKey(tile, categoryId);
+        if (buckets.has(key) && matchCategory(poi.tags, [categoryId])) {
+          buckets.get(key).push(poi);
+        }
+      });
+    });
+
+    // A truncated result would leave tiles incomplete - keep it for this session only
+    const truncated = elements.length >= maxResults;
+    if (truncated) {
+      console.warn(`Overpass result hit the ${maxResults} element limit, not persisting tiles`);
+    }
+
+    // Cache results
+    const timestamp = Date.now();
+    buckets.forEach((pois, key) => {
+      this.cache.set(key, { pois, timestamp });
+      if (!truncated) {
+        // Persist without blocking the caller
+        this.persistentCache.set(key, pois, timestamp);
+      }
+    });
+
+    return buckets;
+  }
+
+  /**
+   * Clear the tile caches (memory and persistent)
+   * @returns {Promise<void>}
+   */
+  async clearCache() {
+    this.cache.clear();
+    await this.persistentCache.clear();
+  }
+
+  /**
+   * Get tile cache statistics
+   * @returns {Promise<Object>} Cache stats {size, entries, persistent}
+   */
+  async getCacheStats() {
+    const entries = Array.from(this.cache.entries()).map(([key, value]) => ({
+      key,
+      poiCount: value.pois.length,
+      age: Date.now() - value.timestamp,
+      valid: this._isCacheValid(value)
+    }));
+
+    return {
+      size: this.cache.size,
+      entries,
+      persistent: await this.persistentCache.getStats()
+    };
+  }
+}
+
+/**
+ * WikipediaGeosearchSource - Geotagged Wikipedia articles near a location
+ * Serves a source category (`articles`), for articles without a tagged OSM element;
+ * POIDetector also uses it as a fallback when Overpass fails
+ */
+export class WikipediaGeosearchSource {
+  /**
+   * @param {Object} options
+   * @param {WikiClient} options.wikiClient - Client used for geosearch (its preferred language)
+   * @param {number} [options.limit=200] - Nearest articles per query
+   */
+  constructor(options = {}) {
+    if (!options.wikiClient) {
+      throw new Error('WikiClient is required');
+    }
+
+    this.id = 'wikipedia';
+    this.wikiClient = options.wikiClient;
+    this.limit = options.limit || GEOSEARCH_LIMIT;
+
+    // The category holding this source's POIs
+    this.categoryIds = POI_CATEGORIES
+      .filter(category => category.source === this.id)
+      .map(category => category.id);
+
+    // Results per query center, radius and language (memory only - cheap to refetch)
+    this.cache = new Map();
+    this.pendingRequests = new Map();
+  }
+
+  /**
+   * Whether the articles category is requested
+   * @param {Array<string>} categoryIds - Requested category ids
+   * @returns {boolean}
+   */
+  handles(categoryIds) {
+    return this.categoryIds.some(id => categoryIds.includes(id));
+  }
+
+  /**
+   * Fetch geotagged articles within a radius (at most 10km, the API limit)
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} radius - Radius in meters
+   * @returns {Promise<Array>} POIs, nearest first
+   */
+  async fetchPOIs(lat, lng, radius) {
+    const lang = this.wikiClient.language;
+    const searchRadius = Math.min(radius, MAX_GEOSEARCH_RADIUS);
+    const key = `${lang}:${lat.toFixed(GEOSEARCH_CACHE_PRECISION)},${lng.toFixed(GEOSEARCH_CACHE_PRECISION)}:${searchRadius}`;
+
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
+      return cached.pois;
+    }
+    if (this.pendingRequests.has(key)) {
+      return this.pendingRequests.get(key);
+    }
+
+    const request = this.wikiClient.fetchGeosearch(lat, lng, { radius: searchRadius, limit: this.limit, lang })
+      .then(pages => {
+        const pois = pages.map(page => this._toPOI(page, lang));
+        this.cache.set(key, { pois, timestamp: Date.now() });
+        return pois;
+      })
+      .finally(() => this.pendingRequests.delete(key));
+
+    this.pendingRequests.set(key, request);
+    return request;
+  }
+
+  /**
+   * Convert a geosearch result to a POI
+   * @private
+   * @param {Object} page - Result {pageId, title, lat, lng, wikidataId}
+   * @param {string} lang - Wiki language code
+   * @returns {Object} POI object
+   */
+  _toPOI(page, lang) {
+    return {
+      id: `wikipedia/${lang}/${page.pageId}`,
+      name: page.title,
+      lat: page.lat,
+      lng: page.lng,
+      distance: 0,
+      bearing: 0,
+      wikipediaTitle: page.title,
+      wikipediaLanguage: lang,
+      wikipediaTitles: { [lang]: page.title },
+      wikidataId: page.wikidataId,
+      type: 'article',
+      tags: {},
+      source: this.id
+    };
+  }
+
+  /**
+   * Clear the result cache
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+}
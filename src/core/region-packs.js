@@ -0,0 +1,507 @@
+/**
+ * Region Packs - Downloadable offline bundles of POIs, summaries and thumbnails
+ * Lets users prepare an area (a city or a bounding box) before a trip so the
+ * app works without signal and never contacts Overpass inside the area
+ *
+ * Core responsibilities:
+ * - Build packs from POIDetector.fetchNearbyPOIs and WikiClient.fetchForPOIs
+ *   (articles in the user's preferred languages at download time)
+ * - Store pack metadata, content and thumbnails in IndexedDB
+ * - Report download progress, list packs with their size, update and delete them
+ * - Serve POIs and prime article caches while a pack covers the user's location
+ */
+
+import { openDatabase, requestToPromise, transactionDone } from './persistent-cache.js';
+import { calculateDistance, calculateDestination } from '../utils/coordinates.js';
+import { POI_CATEGORIES, categorizePOIs } from './poi-categories.js';
+import { PRIORITY } from './request-scheduler.js';
+
+const DB_NAME = 'augmented-wiki-region-packs';
+const DB_VERSION = 1;
+const META_STORE = 'packs'; // Small records for listing
+const DATA_STORE = 'pack-data'; // POIs and articles, loaded on demand
+const THUMBNAIL_STORE = 'thumbnails'; // Image blobs keyed by `${packId}:${url}`
+
+// Download configuration
+const CELL_RADIUS = 10000; // fetchNearbyPOIs radius per grid cell (meters)
+const SUMMARY_BATCH_SIZE = 50; // POIs per batched summary fetch (progress granularity)
+const MAX_PACK_SPAN = 60000; // Largest allowed bounding box side (meters)
+const PACK_FORMAT = 2; // 2: articles keyed by `${lang}:${title}`, plus per-POI resolutions
+const ALL_CATEGORY_IDS = POI_CATEGORIES.map(category => category.id);
+
+// Geocoding for city packs
+const NOMINATIM_ENDPOINT = 'https://nominatim.openstreetmap.org/search';
+
+/**
+ * RegionPackManager class for offline region pack management
+ */
+export class RegionPackManager {
+  /**
+   * @param {Object} services
+   * @param {POIDetector} services.poiDetector - Used to fetch POIs for the pack area
+   * @param {WikiClient} services.wikiClient - Used to fetch summaries and to serve them offline
+   */
+  constructor({ poiDetector, wikiClient }) {
+    if (!poiDetector || !wikiClient) {
+      throw new Error('poiDetector and wikiClient are required');
+    }
+
+    this.poiDetector = poiDetector;
+    this.wikiClient = wikiClient;
+    this.dbPromise = null;
+
+    // Loaded pack content, keyed by pack id (thumbnails as object URLs)
+    this.loadedPacks = new Map();
+  }
+
+  /**
+   * Get (and lazily open) the pack database
+   * @private
+   * @returns {Promise<IDBDatabase>}
+   */
+  async _getDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(DATA_STORE)) {
+          db.createObjectStore(DATA_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(THUMBNAIL_STORE)) {
+          db.createObjectStore(THUMBNAIL_STORE);
+        }
+      });
+    }
+
+    const db = await this.dbPromise;
+    if (!db) {
+      throw new Error('Offline storage is not available in this browser');
+    }
+    return db;
+  }
+
+  /**
+   * Build a bounding box around a point
+   * @param {number} lat - Center latitude
+   * @param {number} lng - Center longitude
+   * @param {number} radius - Half the box side in meters
+   * @returns {Object} Bounds {south, west, north, east}
+   */
+  static boundsAround(lat, lng, radius) {
+    return {
+      south: calculateDestination(lat, lng, radius, 180).lat,
+      west: calculateDestination(lat, lng, radius, 270).lng,
+      north: calculateDestination(lat, lng, radius, 0).lat,
+      east: calculateDestination(lat, lng, radius, 90).lng
+    };
+  }
+
+  /**
+   * Parse "south,west,north,east" into bounds
+   * @param {string} text - Comma separated coordinates
+   * @returns {Object|null} Bounds, or null if the text is not a bounding box
+   */
+  static parseBounds(text) {
+    const parts = text.split(',').map(part => parseFloat(part.trim()));
+    if (parts.length !== 4 || parts.some(Number.isNaN)) {
+      return null;
+    }
+
+    const [south, west, north, east] = parts;
+    if (south >= north || west >= east) {
+      return null;
+    }
+    return { south, west, north, east };
+  }
+
+  /**
+   * Resolve a city name to a bounding box via Nominatim
+   * @param {string} name - City name, e.g. "Heidelberg"
+   * @returns {Promise<Object>} { name, bounds }
+   */
+  async geocodeCity(name) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Invalid city name');
+    }
+
+    const params = new URLSearchParams({
+      q: name,
+      format: 'json',
+      limit: 1
+    });
+
+    const response = await fetch(`${NOMINATIM_ENDPOINT}?${params}`, {
+      headers: { 'Accept': 'application/json' }
+    });
+    if (!response.ok) {
+      throw new Error(`Geocoding failed: HTTP ${response.status}`);
+    }
+
+    const results = await response.json();
+    if (!results.length) {
+      throw new Error(`Place not found: ${name}`);
+    }
+
+    // Nominatim boundingbox order: [south, north, west, east] as strings
+    const [south, north, west, east] = results[0].boundingbox.map(parseFloat);
+    return {
+      name: results[0].display_name.split(',')[0],
+      bounds: { south, west, north, east }
+    };
+  }
+
+  /**
+   * Download a region pack
+   * @param {Object} region
+   * @param {string} region.name - Display name
+   * @param {Object} region.bounds - {south, west, north, east}
+   * @param {Function} [onProgress] - Called with { phase, completed, total }
+   * @param {string} [packId] - Existing pack id to replace (used by updatePack)
+   * @returns {Promise<Object>} Pack metadata
+   */
+  async downloadPack({ name, bounds }, onProgress = () => {}, packId = null) {
+    this._validateBounds(bounds);
+    const db = await this._getDatabase();
+    const id = packId || `pack-${Date.now()}`;
+
+    // 1. POIs - cover the box with overlapping fetch circles
+    const cells = this._getGridCells(bounds);
+    const poisById = new Map();
+
+    for (let i = 0; i < cells.length; i++) {
+      onProgress({ phase: 'pois', completed: i, total: cells.length });
+      // All categories and Wikidata-only POIs, so changing either filter keeps working offline
+      const pois = await this.poiDetector.fetchNearbyPOIs(cells[i].lat, cells[i].lng, CELL_RADIUS, ALL_CATEGORY_IDS, true);
+      pois
+        .filter(poi => this._containsPoint(bounds, poi.lat, poi.lng))
+        .forEach(poi => poisById.set(poi.id, { ...poi }));
+    }
+    onProgress({ phase: 'pois', completed: cells.length, total: cells.length });
+
+    const pois = Array.from(poisById.values());
+
+    // 2. Summaries, resolved to the preferred language of each POI
+    // (generated Wikidata cards for items without an article)
+    const articles = {};
+    const resolutions = {};
+
+    for (let i = 0; i < pois.length; i += SUMMARY_BATCH_SIZE) {
+      onProgress({ phase: 'articles', completed: i, total: pois.length });
+      const batch = pois.slice(i, i + SUMMARY_BATCH_SIZE);
+      const results = await this._fetchPOIArticles(batch);
+      results.forEach((result, index) => {
+        if (!result) return;
+        const { key, resolution, article } = result;
+        articles[key] = article;
+        resolutions[batch[index].id] = resolution;
+      });
+    }
+    onProgress({ phase: 'articles', completed: pois.length, total: pois.length });
+
+    // 3. Thumbnails
+    const imageUrls = [...new Set(Object.values(articles).map(a => a.imageUrl).filter(Boolean))];
+    const thumbnails = new Map();
+
+    for (let i = 0; i < imageUrls.length; i++) {
+      onProgress({ phase: 'thumbnails', completed: i, total: imageUrls.length });
+      try {
+        const response = await fetch(imageUrls[i]);
+        if (response.ok) {
+          thumbnails.set(imageUrls[i], await response.blob());
+        }
+      } catch (error) {
+        console.warn('Thumbnail download failed:', imageUrls[i]);
+      }
+    }
+    onProgress({ phase: 'thumbnails', completed: imageUrls.length, total: imageUrls.length });
+
+    // 4. Store - replace previous content of this pack atomically
+    const data = { id, format: PACK_FORMAT, pois, articles, resolutions };
+    const thumbnailBytes = Array.from(thumbnails.values()).reduce((sum, blob) => sum + blob.size, 0);
+    const now = Date.now();
+    const existing = packId ? await this._getMeta(db, packId) : null;
+
+    const meta = {
+      id,
+      name,
+      bounds,
+      poiCount: pois.length,
+      articleCount: Object.keys(articles).length,
+      thumbnailCount: thumbnails.size,
+      size: JSON.stringify(data).length + thumbnailBytes,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    const transaction = db.transaction([META_STORE, DATA_STORE, THUMBNAIL_STORE], 'readwrite');
+    const thumbnailStore = transaction.objectStore(THUMBNAIL_STORE);
+    thumbnailStore.delete(this._thumbnailRange(id));
+    thumbnails.forEach((blob, url) => thumbnailStore.put(blob, `${id}:${url}`));
+    transaction.objectStore(DATA_STORE).put(data);
+    transaction.objectStore(META_STORE).put(meta);
+    await transactionDone(transaction);
+
+    this._unloadPack(id);
+    onProgress({ phase: 'done', completed: 1, total: 1 });
+    console.log(`Region pack "${name}" stored: ${meta.poiCount} POIs, ${meta.articleCount} articles`);
+
+    return meta;
+  }
+
+  /**
+   * Re-download a pack with its original name and bounds
+   * @param {string} id - Pack id
+   * @param {Function} [onProgress] - Progress callback
+   * @returns {Promise<Object>} Updated pack metadata
+   */
+  async updatePack(id, onProgress) {
+    const db = await this._getDatabase();
+    const meta = await this._getMeta(db, id);
+    if (!meta) {
+      throw new Error(`Region pack not found: ${id}`);
+    }
+    return this.downloadPack({ name: meta.name, bounds: meta.bounds }, onProgress, id);
+  }
+
+  /**
+   * List all packs
+   * @returns {Promise<Array<Object>>} Pack metadata, newest first
+   */
+  async listPacks() {
+    const db = await this._getDatabase();
+    const transaction = db.transaction(META_STORE, 'readonly');
+    const packs = await requestToPromise(transaction.objectStore(META_STORE).getAll());
+    return packs.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Delete a pack with its content and thumbnails
+   * @param {string} id - Pack id
+   * @returns {Promise<void>}
+   */
+  async deletePack(id) {
+    const db = await this._getDatabase();
+    const transaction = db.transaction([META_STORE, DATA_STORE, THUMBNAIL_STORE], 'readwrite');
+    transaction.objectStore(META_STORE).delete(id);
+    transaction.objectStore(DATA_STORE).delete(id);
+    transaction.objectStore(THUMBNAIL_STORE).delete(this._thumbnailRange(id));
+    await transactionDone(transaction);
+
+    this._unloadPack(id);
+  }
+
+  /**
+   * Find a pack whose bounds contain a location
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {Promise<Object|null>} Pack metadata, or null if no pack covers the location
+   */
+  async findPackForLocation(lat, lng) {
+    try {
+      const packs = await this.listPacks();
+      return packs.find(pack => this._containsPoint(pack.bounds, lat, lng)) || null;
+    } catch (error) {
+      // No offline storage means no packs
+      return null;
+    }
+  }
+
+  /**
+   * Get POIs from a pack around a location
+   * Also primes the WikiClient cache so labels load their summaries offline
+   * @param {string} id - Pack id
+   * @param {number} lat - User latitude
+   * @param {number} lng - User longitude
+   * @param {number} radius - Radius in meters
+   * @returns {Promise<Array>} POIs of the enabled categories sorted by distance
+   */
+  async getPOIs(id, lat, lng, radius) {
+    const pack = await this._loadPack(id);
+
+    const shown = pack.pois.filter(poi => poi.wikipediaTitle || this.poiDetector.includeWikidataOnly);
+    const pois = categorizePOIs(shown, this.poiDetector.enabledCategories);
+    this.poiDetector.updateRelativePositions(pois, { lat, lng });
+    return pois
+      .filter(poi => poi.distance <= radius)
+      .sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Fetch the summaries of POIs' articles in the preferred language, batched per language
+   * @private
+   * @param {Array<Object>} pois - POIs with a Wikipedia article or Wikidata id
+   * @returns {Promise<Array<Object|null>>} Per POI {key, resolution, article} - key in the
+   *   pack's articles, resolution {lang, title} (null for a Wikidata card); null if unavailable
+   */
+  async _fetchPOIArticles(pois) {
+    // Behind the labels on screen - a download should not stall the live view
+    const options = { priority: PRIORITY.BACKGROUND };
+    const resolutions = await Promise.all(pois.map(poi => this.wikiClient.resolveArticle(poi, options)));
+    const articles = await this.wikiClient.fetchForPOIs(pois, options, resolutions);
+
+    return pois.map((poi, index) => {
+      const article = articles[index];
+      if (!article) return null;
+
+      if (article.source === 'wikidata') {
+        return { key: `wikidata:${article.wikidataId}`, resolution: null, article };
+      }
+
+      // fetchForPOI falls back to the tagged article if the resolved one is unavailable
+      const resolved = resolutions[index];
+      const title = resolved && article.lang === resolved.lang ? resolved.title : poi.wikipediaTitle;
+      return { key: `${article.lang}:${title}`, resolution: { lang: article.lang, title }, article };
+    });
+  }
+
+  /**
+   * Load pack content into memory and prime the article cache
+   * @private
+   * @param {string} id - Pack id
+   * @returns {Promise<Object>} Pack content { id, format, pois, articles, resolutions }
+   */
+  async _loadPack(id) {
+    if (this.loadedPacks.has(id)) {
+      return this.loadedPacks.get(id);
+    }
+
+    const db = await this._getDatabase();
+    const transaction = db.transaction([DATA_STORE, THUMBNAIL_STORE], 'readonly');
+    const data = await requestToPromise(transaction.objectStore(DATA_STORE).get(id));
+    if (!data) {
+      throw new Error(`Region pack not found: ${id}`);
+    }
+
+    const thumbnailStore = transaction.objectStore(THUMBNAIL_STORE);
+    const [keys, blobs] = await Promise.all([
+      requestToPromise(thumbnailStore.getAllKeys(this._thumbnailRange(id))),
+      requestToPromise(thumbnailStore.getAll(this._thumbnailRange(id)))
+    ]);
+
+    // Serve stored thumbnails through object URLs
+    const objectUrls = new Map();
+    keys.forEach((key, index) => {
+      const url = key.slice(id.length + 1);
+      objectUrls.set(url, URL.createObjectURL(blobs[index]));
+    });
+
+    Object.entries(data.articles).forEach(([key, article]) => {
+      const offlineArticle = {
+        ...article,
+        imageUrl: objectUrls.get(article.imageUrl) || article.imageUrl
+      };
+
+      if (article.source === 'wikidata') {
+        this.wikiClient.primeWikidataCard(offlineArticle);
+      } else if (data.format >= 2) {
+        const separator = key.indexOf(':');
+        this.wikiClient.primeCache(key.slice(separator + 1), offlineArticle, key.slice(0, separator));
+      } else {
+        // Packs from before multilingual resolution: keyed by title, English unless stated
+        this.wikiClient.primeCache(key, offlineArticle, article.lang || 'en');
+      }
+    });
+
+    // Reuse the download-time language choice so no lookup is needed offline
+    if (data.resolutions) {
+      data.pois.forEach(poi => {
+        if (poi.id in data.resolutions) {
+          this.wikiClient.primeResolution(poi, data.resolutions[poi.id]);
+        }
+      });
+    }
+
+    const pack = { ...data, objectUrls };
+    this.loadedPacks.set(id, pack);
+    console.log(`Region pack ${id} loaded: ${data.pois.length} POIs`);
+    return pack;
+  }
+
+  /**
+   * Forget loaded pack content and release its object URLs
+   * @private
+   * @param {string} id - Pack id
+   */
+  _unloadPack(id) {
+    const pack = this.loadedPacks.get(id);
+    if (pack) {
+      pack.objectUrls.forEach(url => URL.revokeObjectURL(url));
+      this.loadedPacks.delete(id);
+    }
+  }
+
+  /**
+   * Read pack metadata
+   * @private
+   */
+  async _getMeta(db, id) {
+    const transaction = db.transaction(META_STORE, 'readonly');
+    return requestToPromise(transaction.objectStore(META_STORE).get(id));
+  }
+
+  /**
+   * Key range covering all thumbnails of a pack
+   * @private
+   */
+  _thumbnailRange(id) {
+    return IDBKeyRange.bound(`${id}:`, `${id}:\uffff`);
+  }
+
+  /**
+   * Check that bounds are valid and not too large to download
+   * @private
+   */
+  _validateBounds(bounds) {
+    if (!bounds || bounds.south >= bounds.north || bounds.west >= bounds.east) {
+      throw new Error('Invalid bounding box');
+    }
+
+    const height = calculateDistance(bounds.south, bounds.west, bounds.north, bounds.west);
+    const midLat = (bounds.south + bounds.north) / 2;
+    const width = calculateDistance(midLat, bounds.west, midLat, bounds.east);
+
+    if (height > MAX_PACK_SPAN || width > MAX_PACK_SPAN) {
+      throw new Error(`Area too large - maximum is ${MAX_PACK_SPAN / 1000}km per side`);
+    }
+  }
+
+  /**
+   * Check if a point lies inside bounds
+   * @private
+   */
+  _containsPoint(bounds, lat, lng) {
+    return lat >= bounds.south && lat <= bounds.north &&
+      lng >= bounds.west && lng <= bounds.east;
+  }
+
+  /**
+   * Centers of fetch circles covering a bounding box
+   * Circles of CELL_RADIUS on a square grid with side CELL_RADIUS·√2 cover it without gaps
+   * @private
+   * @param {Object} bounds - {south, west, north, east}
+   * @returns {Array<Object>} Cell centers {lat, lng}
+   */
+  _getGridCells(bounds) {
+    const step = CELL_RADIUS * Math.SQRT2;
+    const midLat = (bounds.south + bounds.north) / 2;
+    const height = calculateDistance(bounds.south, bounds.west, bounds.north, bounds.west);
+    const width = calculateDistance(midLat, bounds.west, midLat, bounds.east);
+
+    const rows = Math.max(1, Math.ceil(height / step));
+    const columns = Math.max(1, Math.ceil(width / step));
+    const latStep = (bounds.north - bounds.south) / rows;
+    const lngStep = (bounds.east - bounds.west) / columns;
+
+    const cells = [];
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        cells.push({
+          lat: bounds.south + latStep * (row + 0.5),
+          lng: bounds.west + lngStep * (column + 0.5)
+        });
+      }
+    }
+    return cells;
+  }
+}
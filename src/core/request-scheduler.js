@@ -0,0 +1,156 @@
+/**
+ * Request Scheduler - Priority queue for outgoing API requests
+ * Keeps bursts (dozens of labels appearing at once) from hitting an API in
+ * parallel and tripping its rate limits
+ *
+ * Core responsibilities:
+ * - Cap the number of requests in flight
+ * - Space out requests to the same host, and pause a host after a 429
+ * - Start higher-priority requests (labels on screen) before background work
+ * - Drop queued requests whose AbortSignal fires; running ones get the signal
+ */
+
+// Lower numbers start first
+export const PRIORITY = {
+  VISIBLE: 0, // Labels and cards the user is looking at
+  DEFAULT: 1,
+  BACKGROUND: 2 // Prefetching, revalidation, region pack downloads
+};
+
+const DEFAULT_CONCURRENCY = 4; // Requests in flight across all hosts
+const DEFAULT_HOST_INTERVAL = 50; // Minimum time between request starts per host (ms)
+
+/**
+ * Whether an error comes from an aborted request
+ * @param {Error} error - Request error
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Error a request is rejected with when its signal fires
+ * @private
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {Error}
+ */
+function abortError(signal) {
+  if (isAbortError(signal.reason)) return signal.reason;
+
+  const error = new Error('Request aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * RequestScheduler class - runs request tasks by priority within concurrency and host limits
+ */
+export class RequestScheduler {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.concurrency=4] - Maximum requests in flight
+   * @param {number} [options.hostInterval=50] - Minimum milliseconds between request starts per host
+   */
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.hostInterval = options.hostInterval ?? DEFAULT_HOST_INTERVAL;
+    this.queue = []; // Waiting entries, by priority then arrival
+    this.active = 0;
+    this.hosts = new Map(); // Host -> time the next request may start
+    this.timer = null;
+  }
+
+  /**
+   * Queue a request
+   * @param {Function} task - (signal) => Promise, started when a slot is free
+   * @param {Object} [options]
+   * @param {string} [options.host=''] - Host the task contacts, for the per-host limit
+   * @param {number} [options.priority=PRIORITY.DEFAULT] - PRIORITY value
+   * @param {AbortSignal} [options.signal] - Cancels the request while queued and is passed to the task
+   * @returns {Promise} Result of the task
+   */
+  schedule(task, options = {}) {
+    const { host = '', priority = PRIORITY.DEFAULT, signal } = options;
+    if (signal?.aborted) {
+      return Promise.reject(abortError(signal));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { task, host, priority, signal, resolve, reject };
+
+      if (signal) {
+        entry.onAbort = () => {
+          const index = this.queue.indexOf(entry);
+          if (index !== -1) {
+            this.queue.splice(index, 1);
+            reject(abortError(signal));
+          }
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      // Insert after entries of the same or higher priority
+      const index = this.queue.findIndex(queued => queued.priority > priority);
+      this.queue.splice(index === -1 ? this.queue.length : index, 0, entry);
+      this._drain();
+    });
+  }
+
+  /**
+   * Hold back requests to a host, e.g. after it answered 429
+   * @param {string} host - Host name
+   * @param {number} duration - Milliseconds before the next request may start
+   */
+  pauseHost(host, duration) {
+    const until = Date.now() + duration;
+    if (until > (this.hosts.get(host) || 0)) {
+      this.hosts.set(host, until);
+    }
+  }
+
+  /**
+   * Start queued requests while slots are free
+   * An entry whose host is waiting does not hold up entries for other hosts
+   * @private
+   */
+  _drain() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const now = Date.now();
+      const index = this.queue.findIndex(entry => (this.hosts.get(entry.host) || 0) <= now);
+
+      if (index === -1) {
+        // Every queued host is waiting - come back when the first one is ready
+        const next = Math.min(...this.queue.map(entry => this.hosts.get(entry.host) || 0));
+        this.timer = setTimeout(() => this._drain(), next - now);
+        return;
+      }
+
+      const [entry] = this.queue.splice(index, 1);
+      this.hosts.set(entry.host, now + this.hostInterval);
+      this._run(entry);
+    }
+  }
+
+  /**
+   * Run a request and free its slot when it settles
+   * @private
+   * @param {Object} entry - Queue entry
+   */
+  async _run(entry) {
+    this.active++;
+    entry.signal?.removeEventListener('abort', entry.onAbort);
+
+    try {
+      entry.resolve(await entry.task(entry.signal));
+    } catch (error) {
+      entry.reject(error);
+    } finally {
+      this.active--;
+      this._drain();
+    }
+  }
+}
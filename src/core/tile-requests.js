@@ -0,0 +1,52 @@
+/**
+ * Tile Requests - Share in-flight Overpass tile requests between callers
+ * POIs and buildings are cached per map tile; when two lookups overlap, a tile
+ * that is already being fetched is awaited instead of requested again
+ *
+ * Core responsibilities:
+ * - Fetch the tiles without a pending request together in one call
+ * - Register each of them as pending until that call settles
+ * - Await shared and own requests together, so no failure goes unhandled
+ */
+
+/**
+ * Load tiles, sharing requests already in flight
+ * @param {Array<Object>} units - Tiles (or tile/category units) to load
+ * @param {Object} options
+ * @param {Map<string, Promise>} options.pending - Pending requests by tile key, shared between calls
+ * @param {Function} options.getKey - (unit) => tile key
+ * @param {Function} options.fetch - (units) => Promise<Map<string, Array>> fetching units in one request
+ * @returns {Promise<Map<string, Array>>} Map of tile key to items
+ */
+export async function requestTiles(units, { pending, getKey, fetch }) {
+  const waiting = [];
+  const toFetch = [];
+
+  for (const unit of units) {
+    const key = getKey(unit);
+    if (pending.has(key)) {
+      waiting.push(pending.get(key).then(items => [key, items]));
+    } else {
+      toFetch.push(unit);
+    }
+  }
+
+  let requestPromise = Promise.resolve(new Map());
+  if (toFetch.length > 0) {
+    requestPromise = fetch(toFetch);
+
+    for (const unit of toFetch) {
+      const key = getKey(unit);
+      const tilePromise = requestPromise
+        .then(fetched => fetched.get(key) || [])
+        .finally(() => pending.delete(key));
+      // Callers that share the tile see the error through their own await
+      tilePromise.catch(() => {});
+      pending.set(key, tilePromise);
+    }
+  }
+
+  // Awaited together - if the own request fails first, the shared ones still have a handler
+  const [fetched, ...shared] = await Promise.all([requestPromise, ...waiting]);
+  return new Map([...fetched, ...shared]);
+}
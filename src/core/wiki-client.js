@@ -1,44 +1,936 @@
+import { PersistentCache } from './persistent-cache.js';
+import { RequestScheduler, PRIORITY, isAbortError } from './request-scheduler.js';
+import { loadSetting, saveSetting } from '../utils/settings.js';
+
+// Summaries change rarely - keep them fresh for 3 days, serve stale for a month
+const PERSISTENT_CACHE_TTL = 259200000;
+const PERSISTENT_CACHE_MAX_AGE = 2592000000;
+const PERSISTENT_CACHE_MAX_ENTRIES = 2000;
+
+const LANGUAGE_STORAGE_KEY = 'augmented-wiki:languages';
+
+// Last link in every fallback chain - the largest Wikipedia
+const FALLBACK_LANGUAGE = 'en';
+
+// Browser language codes whose Wikipedia uses a different subdomain
+const WIKI_LANGUAGE_CODES = { nb: 'no' };
+
+// Wikidata claims used to build a card for items without an article
+const CARD_PROPERTIES = {
+  instanceOf: 'P31',
+  inception: 'P571',
+  architect: 'P84',
+  heritage: 'P1435',
+  image: 'P18'
+};
+const CARD_IMAGE_WIDTH = 320; // Commons thumbnail width (pixels)
+
+// Wikidata claims shown in the facts table, in display order
+const FACT_PROPERTIES = [
+  { id: 'inception', property: 'P571', label: 'Built' },
+  { id: 'architect', property: 'P84', label: 'Architect' },
+  { id: 'style', property: 'P149', label: 'Style' },
+  { id: 'height', property: 'P2048', label: 'Height' },
+  { id: 'heritage', property: 'P1435', label: 'Heritage' },
+  { id: 'website', property: 'P856', label: 'Website' }
+];
+
+// Claims whose values are items - their labels are loaded with the item
+const ITEM_VALUED_PROPERTIES = ['P31', 'P84', 'P149', 'P1435'];
+
+// Wikidata length units -> meters (metre, foot, kilometre)
+const LENGTH_UNITS = { Q11573: 1, Q3710: 0.3048, Q828224: 1000 };
+const MAX_ENTITY_IDS = 50; // wbgetentities limit per request
+
+// Batched summaries through the Action API (query with extracts, pageimages...)
+const MAX_BATCH_TITLES = 50; // titles limit per request
+const SUMMARY_IMAGE_WIDTH = 320; // Thumbnail width, as in REST summaries (pixels)
+
+/**
+ * Load the user's language setting
+ * @returns {Array<string>|null} Language codes, or null to follow the device languages
+ */
+export function loadLanguageSetting() {
+  const saved = loadSetting(LANGUAGE_STORAGE_KEY);
+  return Array.isArray(saved) && saved.length > 0 ? saved : null;
+}
+
+/**
+ * Save the user's language setting
+ * @param {Array<string>|null} languages - Language codes, or null to follow the device languages
+ */
+export function saveLanguageSetting(languages) {
+  saveSetting(LANGUAGE_STORAGE_KEY, languages && languages.length > 0 ? languages : null);
+}
+
+/**
+ * Normalize a language tag to a Wikipedia language code
+ * @param {string} tag - BCP 47 tag or wiki code, e.g. "de-AT", "nb", "zh-yue"
+ * @returns {string|null} Wiki code, e.g. "de", "no", "zh-yue"
+ */
+export function toWikiLanguage(tag) {
+  if (typeof tag !== 'string') return null;
+
+  const normalized = tag.trim().toLowerCase().replace(/_/g, '-');
+  if (!/^[a-z]{2,3}(-[a-z0-9]+)*$/.test(normalized)) return null;
+
+  // Region and script variants share one wiki ("de-at", "zh-hant-tw", "es-419");
+  // wiki codes with longer subtags ("zh-yue", "be-tarask") are kept
+  const code = /^[a-z]{2,3}-([a-z]{2}|[0-9]{3}|[a-z]{4})(-|$)/.test(normalized)
+    ? normalized.split('-')[0]
+    : normalized;
+  return WIKI_LANGUAGE_CODES[code] || code;
+}
+
+/**
+ * Build the preferred language list: user setting, then device languages, then English
+ * @param {Array<string>|null} [setting] - User setting (default: the saved one)
+ * @returns {Array<string>} Unique wiki language codes, most preferred first
+ */
+export function getPreferredLanguages(setting = loadLanguageSetting()) {
+  const deviceLanguages = typeof navigator !== 'undefined'
+    ? (navigator.languages || [navigator.language])
+    : [];
+
+  const languages = [...(setting || []), ...deviceLanguages, FALLBACK_LANGUAGE]
+    .map(toWikiLanguage)
+    .filter(Boolean);
+  return [...new Set(languages)];
+}
+
 /**
  * WikiClient - Fetches Wikipedia article data with caching and rate limiting
  * Uses Wikipedia REST API for optimal performance
+ *
+ * All requests go through a RequestScheduler (concurrency cap, per-host spacing).
+ * Fetch methods take request options {priority, signal}: `priority` is a PRIORITY
+ * value (labels on screen use PRIORITY.VISIBLE), `signal` an AbortSignal that
+ * cancels the request - it then rejects with an AbortError (see isAbortError)
  */
 export class WikiClient {
+  /**
+   * @param {Object} [options]
+   * @param {Array<string>} [options.languages] - Preferred wiki languages (default: device languages)
+   * @param {RequestScheduler} [options.scheduler] - Shared scheduler (default: a new one)
+   * @param {number} [options.concurrency] - Requests in flight, for the default scheduler
+   * @param {number} [options.hostInterval] - Milliseconds between requests per host, for the default scheduler
+   */
   constructor(options = {}) {
     this.cache = new Map(); // In-memory session cache
-    this.language = options.language || 'en';
+    this.persistentCache = options.persistentCache || new PersistentCache('wikipedia', {
+      ttl: PERSISTENT_CACHE_TTL,
+      maxAge: PERSISTENT_CACHE_MAX_AGE,
+      maxEntries: PERSISTENT_CACHE_MAX_ENTRIES
+    });
+    this.revalidating = new Set(); // Persistent keys with a background refresh in flight
+    this.resolutions = new Map(); // POI key -> {lang, title} for the current language list
+    this.items = new Map(); // Wikidata id -> Promise of the item with its referenced labels
+    this.setLanguages(options.languages || (options.language ? [options.language] : getPreferredLanguages()));
     this.maxRetries = options.maxRetries || 3;
     this.initialBackoffMs = options.initialBackoffMs || 1000;
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
+    this.scheduler = options.scheduler || new RequestScheduler({
+      concurrency: options.concurrency,
+      hostInterval: options.hostInterval
+    });
+  }
+
+  /**
+   * Set the preferred languages (most preferred first)
+   * `language` - the first entry - is used for geosearch and untagged titles
+   * @param {Array<string>} languages - Wiki language codes
+   */
+  setLanguages(languages) {
+    const codes = [...new Set(languages.map(toWikiLanguage).filter(Boolean))];
+    this.languages = codes.length > 0 ? codes : [FALLBACK_LANGUAGE];
+    this.language = this.languages[0];
+    this.resolutions.clear();
+    this.items.clear(); // Referenced labels are in the old languages
   }
 
   /**
    * Fetch Wikipedia article summary by title
    * @param {string} title - Article title (e.g., "Eiffel Tower")
+   * @param {string} [lang] - Wiki language code (default: the most preferred language)
+   * @param {Object} [options] - Request options {priority, signal}
    * @returns {Promise<Object>} Structured article data
    */
-  async fetchByTitle(title) {
+  async fetchByTitle(title, lang = this.language, options = {}) {
     if (!title || typeof title !== 'string') {
       throw new Error('Invalid title parameter');
     }
 
-    const cacheKey = `title:${title}`;
+    const cacheKey = `title:${lang}:${title}`;
     
     // Check cache first
     if (this.cache.has(cacheKey)) {
       return this.cache.get(cacheKey);
     }
 
+    // Persistent cache - serve stale summaries immediately and refresh in background
+    const persistKey = `${lang}:${title}`;
+    const persisted = await this.persistentCache.get(persistKey);
+    if (persisted) {
+      this.cache.set(cacheKey, persisted.value);
+      if (!persisted.isFresh) {
+        this._revalidateTitle(title, lang, cacheKey, persistKey);
+      }
+      return persisted.value;
+    }
+
+    return this._requestSummary(title, lang, cacheKey, persistKey, options);
+  }
+
+  /**
+   * Fetch the summary of a POI's article in the best available language
+   * Falls back to the article the POI is tagged with if the resolved one fails, and
+   * to a card generated from Wikidata for items without any article (`source: 'wikidata'`)
+   * @param {Object} poi - POI with wikipediaTitle/wikipediaLanguage and/or wikidataId, optional wikipediaTitles
+   * @param {Object} [options] - Request options {priority, signal}
+   * @returns {Promise<Object>} Structured article data (`lang` is the language used)
+   */
+  async fetchForPOI(poi, options = {}) {
+    const resolved = await this.resolveArticle(poi, options);
+    if (!resolved) {
+      return this.fetchWikidataCard(poi.wikidataId, options);
+    }
+
+    try {
+      return await this.fetchByTitle(resolved.title, resolved.lang, options);
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      if (!poi.wikipediaTitle) {
+        console.warn(`${resolved.lang}:${resolved.title} unavailable, using Wikidata ${poi.wikidataId}`);
+        return this.fetchWikidataCard(poi.wikidataId, options);
+      }
+
+      const tagged = { lang: poi.wikipediaLanguage || FALLBACK_LANGUAGE, title: poi.wikipediaTitle };
+      if (resolved.lang === tagged.lang && resolved.title === tagged.title) {
+        throw error;
+      }
+      console.warn(`${resolved.lang}:${resolved.title} unavailable, using ${tagged.lang}:${tagged.title}`);
+      return this.fetchByTitle(tagged.title, tagged.lang, options);
+    }
+  }
+
+  /**
+   * Fetch the summaries of many POIs' articles - fetchForPOI in batches
+   * The resolved articles load through fetchSummaries; POIs without one (Wikidata
+   * cards) or whose article failed go through fetchForPOI and its fallbacks
+   * @param {Array<Object>} pois - POIs as for fetchForPOI
+   * @param {Object} [options] - Request options {priority, signal}
+   * @param {Array<Object|null>} [resolved] - resolveArticle results per POI, if the caller has them already
+   * @returns {Promise<Array<Object|null>>} Article data per POI, in order (null for failures)
+   */
+  async fetchForPOIs(pois, options = {}, resolved = null) {
+    const resolutions = resolved || await Promise.all(pois.map(poi => this.resolveArticle(poi, options)));
+    const summaries = await this.fetchSummaries(resolutions.filter(Boolean), options);
+
+    let summaryIndex = 0;
+    return Promise.all(pois.map(async (poi, index) => {
+      const summary = resolutions[index] ? summaries[summaryIndex++] : null;
+      if (summary) {
+        return summary;
+      }
+
+      try {
+        return await this.fetchForPOI(poi, options);
+      } catch (error) {
+        if (isAbortError(error)) {
+          throw error;
+        }
+        console.warn(`Article unavailable for ${poi.name || poi.id}:`, error.message);
+        return null;
+      }
+    }));
+  }
+
+  /**
+   * Find the article of a POI in the most preferred language available
+   * Chain: OSM tags in the top language, then Wikidata sitelinks (or the tagged
+   * article's langlinks) for each preferred language in order, then the tagged article
+   * @param {Object} poi - POI with wikipediaTitle/wikipediaLanguage and/or wikidataId, optional wikipediaTitles
+   * @param {Object} [options] - Request options {priority, signal}
+   * @returns {Promise<Object|null>} {lang, title}, or null for a Wikidata-only POI
+   *   without an article in any preferred language
+   */
+  async resolveArticle(poi, options = {}) {
+    const taggedLang = poi.wikipediaLanguage || FALLBACK_LANGUAGE;
+    const tagged = poi.wikipediaTitle ? { lang: taggedLang, title: poi.wikipediaTitle } : null;
+    const available = tagged ? { ...poi.wikipediaTitles, [taggedLang]: poi.wikipediaTitle } : {};
+
+    // Tagged in the most preferred language - no lookup needed
+    if (available[this.language]) {
+      return { lang: this.language, title: available[this.language] };
+    }
+
+    const key = poi.wikidataId || `${taggedLang}:${poi.wikipediaTitle}`;
+    if (this.resolutions.has(key)) {
+      return this.resolutions.get(key);
+    }
+
+    try {
+      const links = poi.wikidataId
+        ? await this._fetchSitelinks(poi.wikidataId, options)
+        : await this._fetchLanglinks(poi.wikipediaTitle, taggedLang, options);
+      Object.assign(available, links);
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      // Offline or lookup failed - choose among the tagged languages, don't cache
+      console.warn(`Language lookup failed for ${key}:`, error.message);
+      return this._pickLanguage(available) || tagged;
+    }
+
+    const resolved = this._pickLanguage(available) || tagged;
+    this.resolutions.set(key, resolved);
+    return resolved;
+  }
+
+  /**
+   * Seed a POI's resolved article, e.g. from an offline region pack
+   * @param {Object} poi - POI data
+   * @param {Object|null} resolved - {lang, title}, or null if the POI has no article
+   */
+  primeResolution(poi, resolved) {
+    this.resolutions.set(poi.wikidataId || `${poi.wikipediaLanguage || FALLBACK_LANGUAGE}:${poi.wikipediaTitle}`, resolved);
+  }
+
+  /**
+   * Pick the most preferred language among available articles
+   * @private
+   * @param {Object} available - Map of language code -> title
+   * @returns {Object|null} {lang, title}, or null if none is preferred
+   */
+  _pickLanguage(available) {
+    const lang = this.languages.find(code => available[code]);
+    return lang ? { lang, title: available[lang] } : null;
+  }
+
+  /**
+   * Article titles of a Wikidata item in the preferred languages
+   * @private
+   * @param {string} wikidataId - Item id, e.g. "Q42"
+   * @param {Object} [options] - Request options {priority, signal}
+   * @returns {Promise<Object>} Map of language code -> title
+   */
+  async _fetchSitelinks(wikidataId, options = {}) {
+    const sites = this.languages.map(lang => `${lang.replace(/-/g, '_')}wiki`);
+    const persistKey = `sitelinks:${wikidataId}:${sites.join('|')}`;
+    const persisted = await this.persistentCache.get(persistKey);
+    if (persisted) {
+      return persisted.value;
+    }
+
+    const params = new URLSearchParams({
+      action: 'wbgetentities',
+      ids: wikidataId,
+      props: 'sitelinks',
+      sitefilter: sites.join('|'),
+      format: 'json',
+      origin: '*' // Enable CORS
+    });
+
+    const data = await this._fetchWithBackoff(`https://www.wikidata.org/w/api.php?${params}`, options);
+    const sitelinks = data.entities?.[wikidataId]?.sitelinks || {};
+
+    const links = {};
+    Object.values(sitelinks).forEach(({ site, title }) => {
+      links[site.replace(/wiki$/, '').replace(/_/g, '-')] = title;
+    });
+
+    this.persistentCache.set(persistKey, links);
+    return links;
+  }
+
+  /**
+   * Titles of an article in other languages, via its interlanguage links
+   * @private
+   * @param {string} title - Article title
+   * @param {string} lang - Wiki language code of the article
+   * @param {Object} [options] - Request options {priority, signal}
+   * @returns {Promise<Object>} Map of language code -> title
+   */
+  async _fetchLanglinks(title, lang, options = {}) {
+    const persistKey = `langlinks:${lang}:${title}`;
+    const persisted = await this.persistentCache.get(persistKey);
+    if (persisted) {
+      return persisted.value;
+    }
+
+    const params = new URLSearchParams({
+      action: 'query',
+      prop: 'langlinks',
+      titles: title,
+      lllimit: 'max',
+      redirects: '1',
+      formatversion: '2',
+      format: 'json',
+      origin: '*' // Enable CORS
+    });
+
+    const data = await this._fetchWithBackoff(`https://${lang}.wikipedia.org/w/api.php?${params}`, options);
+    const page = data.query?.pages?.[0];
+
+    const links = {};
+    (page?.langlinks || []).forEach(link => {
+      links[link.lang] = link.title;
+    });
+
+    this.persistentCache.set(persistKey, links);
+    return links;
+  }
+
+  /**
+   * Build a summary card for a Wikidata item that has no article in a preferred language
+   * Label and description come from the item; the extract is generated from its
+   * instance-of, inception, architect and heritage designation claims, the image from P18
+   * @param {string} wikidataId - Item id, e.g. "Q42"
+   * @param {Object} [options] - Request options; only `priority` applies, the item
+   *   request is shared with facts and not canceled
+   * @returns {Promise<Object>} Card with the fields of a structured summary plus
+   *   `wikidataId` and `source: 'wikidata'`
+   */
+  async fetchWikidataCard(wikidataId, options = {}) {
+    if (!wikidataId || !/^Q\d+$/.test(wikidataId)) {
+      throw new Error('Invalid Wikidata id');
+    }
+
+    const cacheKey = `wikidata:${this.language}:${wikidataId}`;
+    if (this.cache.has(cacheKey)) {
+      return this.cache.get(cacheKey);
+    }
+
+    const persisted = await this.persistentCache.get(cacheKey);
+    if (persisted && persisted.isFresh) {
+      this.cache.set(cacheKey, persisted.value);
+      return persisted.value;
+    }
+
+    try {
+      const card = await this._requestWikidataCard(wikidataId, options.priority);
+      this.cache.set(cacheKey, card);
+      this.persistentCache.set(cacheKey, card);
+      return card;
+    } catch (error) {
+      // Offline - an outdated card is better than none
+      if (persisted) {
+        this.cache.set(cacheKey, persisted.value);
+        return persisted.value;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Seed the in-memory cache with a Wikidata card, e.g. from an offline region pack
+   * @param {Object} card - Card from fetchWikidataCard
+   */
+  primeWikidataCard(card) {
+    this.cache.set(`wikidata:${this.language}:${card.wikidataId}`, card);
+  }
+
+  /**
+   * Load an item's claims and the labels of the items they reference
+   * @private
+   * @param {string} wikidataId - Item id
+   * @param {number} [priority] - PRIORITY value
+   * @returns {Promise<Object>} Card
+   */
+  async _requestWikidataCard(wikidataId, priority) {
+    const item = await this._fetchItem(wikidataId, priority);
+    const instances = this._claimLabels(item, CARD_PROPERTIES.instanceOf);
+    const inception = this._claimValue(item, CARD_PROPERTIES.inception);
+    const image = this._claimValue(item, CARD_PROPERTIES.image);
+
+    const label = this._pickTerm(item.entity.labels);
+    const description = this._pickTerm(item.entity.descriptions);
+
+    return {
+      title: label ? label.value : wikidataId,
+      description: description ? description.value : (instances[0] || null),
+      extract: this._buildCardExtract({
+        instances,
+        inception: inception ? this._formatWikidataTime(inception) : null,
+        architects: this._claimLabels(item, CARD_PROPERTIES.architect),
+        heritage: this._claimLabels(item, CARD_PROPERTIES.heritage)
+      }),
+      imageUrl: image
+        ? `https://commons.wikimedia.org/wiki/Special:FilePath/${encodeURIComponent(image.replace(/ /g, '_'))}?width=${CARD_IMAGE_WIDTH}`
+        : null,
+      url: `https://www.wikidata.org/wiki/${wikidataId}`,
+      coordinates: null,
+      pageId: null,
+      lang: label ? label.language : this.language,
+      wikidataId,
+      source: 'wikidata'
+    };
+  }
+
+  /**
+   * Fetch facts about a POI for the facts table: Wikidata claims of its item
+   * plus the OSM `opening_hours` tag (OSM is the authoritative source for those)
+   * @param {Object} poi - POI with optional wikidataId and tags
+   * @returns {Promise<Array<Object>>} Facts {id, label, value, url?}, in display order;
+   *   empty if nothing is known
+   */
+  async fetchFacts(poi) {
+    let facts = [];
+    if (poi.wikidataId) {
+      try {
+        facts = await this.fetchWikidataFacts(poi.wikidataId);
+      } catch (error) {
+        console.warn(`Facts unavailable for ${poi.wikidataId}:`, error.message);
+      }
+    }
+
+    const openingHours = poi.tags?.opening_hours?.trim();
+    if (openingHours) {
+      // Before the website, which is always last
+      const websiteIndex = facts.findIndex(fact => fact.id === 'website');
+      const fact = { id: 'openingHours', label: 'Opening hours', value: openingHours.replace(/;\s*/g, '; ') };
+      facts = websiteIndex >= 0
+        ? [...facts.slice(0, websiteIndex), fact, ...facts.slice(websiteIndex)]
+        : [...facts, fact];
+    }
+
+    return facts;
+  }
+
+  /**
+   * Fetch the fact claims of a Wikidata item (FACT_PROPERTIES), with labels in the preferred languages
+   * @param {string} wikidataId - Item id, e.g. "Q42"
+   * @returns {Promise<Array<Object>>} Facts {id, label, value, url?}
+   */
+  async fetchWikidataFacts(wikidataId) {
+    if (!wikidataId || !/^Q\d+$/.test(wikidataId)) {
+      throw new Error('Invalid Wikidata id');
+    }
+
+    const cacheKey = `facts:${this.language}:${wikidataId}`;
+    if (this.cache.has(cacheKey)) {
+      return this.cache.get(cacheKey);
+    }
+
+    const persisted = await this.persistentCache.get(cacheKey);
+    if (persisted && persisted.isFresh) {
+      this.cache.set(cacheKey, persisted.value);
+      return persisted.value;
+    }
+
+    try {
+      const item = await this._fetchItem(wikidataId);
+      const facts = FACT_PROPERTIES
+        .map(({ id, property, label }) => {
+          const value = this._formatFact(item, id, property);
+          return value ? { id, label, ...value } : null;
+        })
+        .filter(Boolean);
+
+      this.cache.set(cacheKey, facts);
+      this.persistentCache.set(cacheKey, facts);
+      return facts;
+    } catch (error) {
+      if (persisted) {
+        this.cache.set(cacheKey, persisted.value);
+        return persisted.value;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Format one fact of an item
+   * @private
+   * @param {Object} item - Item from _fetchItem
+   * @param {string} id - Fact id (see FACT_PROPERTIES)
+   * @param {string} property - Wikidata property
+   * @returns {Object|null} {value, url?}, or null if the item has no usable claim
+   */
+  _formatFact(item, id, property) {
+    switch (id) {
+      case 'inception': {
+        const time = this._claimValue(item, property);
+        const formatted = time ? this._formatWikidataTime(time) : null;
+        return formatted ? { value: formatted } : null;
+      }
+      case 'height': {
+        const quantity = this._claimValue(item, property);
+        const meters = quantity ? this._toMeters(quantity) : null;
+        return meters !== null ? { value: `${Math.round(meters * 10) / 10} m` } : null;
+      }
+      case 'website': {
+        const url = this._claimValue(item, property);
+        if (!url || !/^https?:\/\//i.test(url)) return null;
+        try {
+          return { value: new URL(url).hostname.replace(/^www\./, ''), url };
+        } catch (error) {
+          return null;
+        }
+      }
+      default: {
+        // Item-valued claims: architect, style, heritage designation
+        const labels = this._claimLabels(item, property);
+        return labels.length > 0 ? { value: labels.join(', ') } : null;
+      }
+    }
+  }
+
+  /**
+   * Convert a Wikidata quantity to meters
+   * @private
+   * @param {Object} quantity - {amount: "+324", unit: "http://www.wikidata.org/entity/Q11573"}
+   * @returns {number|null} Meters, or null for an unknown unit
+   */
+  _toMeters({ amount, unit }) {
+    const value = parseFloat(amount);
+    const factor = LENGTH_UNITS[(unit || '').split('/').pop()];
+    return Number.isFinite(value) && factor ? value * factor : null;
+  }
+
+  /**
+   * Load a Wikidata item with the labels of the items its card and fact claims reference
+   * Shared by cards and facts; kept per session and language list
+   * @private
+   * @param {string} wikidataId - Item id
+   * @param {number} [priority] - PRIORITY value, if this call starts the request
+   * @returns {Promise<Object>} {entity, labels} - labels: map of referenced item id -> label
+   */
+  _fetchItem(wikidataId, priority) {
+    if (this.items.has(wikidataId)) {
+      return this.items.get(wikidataId);
+    }
+
+    const promise = this._requestItem(wikidataId, priority);
+    this.items.set(wikidataId, promise);
+    promise.catch(() => this.items.delete(wikidataId)); // Retry failures next time
+    return promise;
+  }
+
+  /**
+   * Request an item, then the labels of the items it references
+   * @private
+   * @param {string} wikidataId - Item id
+   * @param {number} [priority] - PRIORITY value
+   * @returns {Promise<Object>} {entity, labels}
+   */
+  async _requestItem(wikidataId, priority) {
+    const entities = await this._fetchEntities([wikidataId], 'labels|descriptions|claims', priority);
+    const entity = entities[wikidataId];
+    if (!entity || entity.missing !== undefined) {
+      throw new Error(`Wikidata item not found: ${wikidataId}`);
+    }
+
+    const item = { entity, labels: {} };
+    const referenced = [...new Set(ITEM_VALUED_PROPERTIES.flatMap(property => this._claimValues(item, property)
+      .map(value => value.id)
+      .filter(Boolean)))];
+
+    // Labels of the referenced items, in one request per 50 ids
+    for (let i = 0; i < referenced.length; i += MAX_ENTITY_IDS) {
+      const batch = await this._fetchEntities(referenced.slice(i, i + MAX_ENTITY_IDS), 'labels', priority);
+      Object.entries(batch).forEach(([id, referencedItem]) => {
+        const label = this._pickTerm(referencedItem.labels);
+        if (label) item.labels[id] = label.value;
+      });
+    }
+
+    return item;
+  }
+
+  /**
+   * Values of an item's claims for a property, best rank first, deprecated ones skipped
+   * @private
+   * @param {Object} item - Item from _fetchItem
+   * @param {string} property - Wikidata property, e.g. "P571"
+   * @returns {Array} Claim values
+   */
+  _claimValues(item, property) {
+    const claims = (item.entity.claims?.[property] || []).filter(claim => claim.rank !== 'deprecated');
+    const preferred = claims.filter(claim => claim.rank === 'preferred');
+    return (preferred.length > 0 ? preferred : claims)
+      .map(claim => claim.mainsnak?.datavalue?.value)
+      .filter(value => value !== undefined && value !== null);
+  }
+
+  /**
+   * First value of an item's claims for a property
+   * @private
+   */
+  _claimValue(item, property) {
+    return this._claimValues(item, property)[0] || null;
+  }
+
+  /**
+   * Labels of the items an item's claims for a property point to
+   * @private
+   * @returns {Array<string>} Labels in the preferred languages (items without one are skipped)
+   */
+  _claimLabels(item, property) {
+    return this._claimValues(item, property)
+      .map(value => item.labels[value.id])
+      .filter(Boolean);
+  }
+
+  /**
+   * Fetch Wikidata entities with terms in the preferred languages
+   * @private
+   * @param {Array<string>} ids - Item ids (at most 50)
+   * @param {string} props - wbgetentities props, e.g. "labels|claims"
+   * @param {number} [priority] - PRIORITY value
+   * @returns {Promise<Object>} Map of id -> entity
+   */
+  async _fetchEntities(ids, props, priority) {
+    const params = new URLSearchParams({
+      action: 'wbgetentities',
+      ids: ids.join('|'),
+      props,
+      languages: this.languages.join('|'),
+      languagefallback: '1',
+      format: 'json',
+      origin: '*' // Enable CORS
+    });
+
+    const data = await this._fetchWithBackoff(`https://www.wikidata.org/w/api.php?${params}`, { priority });
+    return data.entities || {};
+  }
+
+  /**
+   * Pick a label or description in the most preferred language available
+   * @private
+   * @param {Object} [terms] - Map of language code -> {language, value}
+   * @returns {Object|null} {language, value}
+   */
+  _pickTerm(terms = {}) {
+    const lang = this.languages.find(code => terms[code]);
+    if (!lang) return null;
+
+    // With languagefallback a term may be in a fallback language of the requested
+    // one; "mul" (language-independent names) counts as the requested language
+    const { language, value } = terms[lang];
+    return { language: language && language !== 'mul' ? language : lang, value };
+  }
+
+  /**
+   * Write a short description from Wikidata facts, e.g.
+   * "Church, built in 1887, architect Gottfried Semper. Heritage status: Kulturdenkmal."
+   * @private
+   * @param {Object} facts - {instances, inception, architects, heritage}
+   * @returns {string|null} Extract, or null if there are no facts
+   */
+  _buildCardExtract({ instances, inception, architects, heritage }) {
+    const parts = [];
+    if (instances.length > 0) parts.push(instances.slice(0, 2).join(', '));
+    if (inception) parts.push(`built in ${inception.includes('century') ? 'the ' : ''}${inception}`);
+    if (architects.length > 0) parts.push(`architect ${architects.join(', ')}`);
+
+    const sentences = [];
+    if (parts.length > 0) {
+      const sentence = parts.join(', ');
+      sentences.push(`${sentence.charAt(0).toUpperCase()}${sentence.slice(1)}.`);
+    }
+    if (heritage.length > 0) {
+      sentences.push(`Heritage status: ${heritage.join(', ')}.`);
+    }
+    return sentences.length > 0 ? sentences.join(' ') : null;
+  }
+
+  /**
+   * Format a Wikidata time value at its precision
+   * @private
+   * @param {Object} value - {time: "+1887-05-12T00:00:00Z", precision}
+   * @returns {string|null} E.g. "1887", "1880s", "12th century", "300 BC"
+   */
+  _formatWikidataTime({ time, precision }) {
+    const match = /^([+-])(\d+)-/.exec(time || '');
+    if (!match) return null;
+
+    const year = parseInt(match[2], 10);
+    const era = match[1] === '-' ? ' BC' : '';
+    if (precision >= 9) {
+      return `${year}${era}`;
+    }
+    if (precision === 8) {
+      return `${Math.floor(year / 10) * 10}s${era}`;
+    }
+
+    const century = Math.ceil(year / 100);
+    const suffix = (century % 100 >= 11 && century % 100 <= 13) ? 'th'
+      : ({ 1: 'st', 2: 'nd', 3: 'rd' }[century % 10] || 'th');
+    return `${century}${suffix} century${era}`;
+  }
+
+  /**
+   * Fetch the summaries of many articles in as few requests as possible
+   * Cached summaries are used as in fetchByTitle (stale ones refreshed in the
+   * background, also batched); the rest are grouped by language and requested
+   * 50 titles at a time through the Action API instead of one REST call each
+   * @param {Array<Object>} entries - Articles {title, lang} (lang defaults to the most preferred language)
+   * @param {Object} [options] - Request options {priority, signal}
+   * @returns {Promise<Array<Object|null>>} Structured article data per entry, in order
+   *   (null for missing articles and failed requests)
+   */
+  async fetchSummaries(entries, options = {}) {
+    const results = new Array(entries.length).fill(null);
+    const missing = new Map(); // Language -> Map of title -> entry indexes
+    const stale = new Map(); // Language -> Set of titles
+
+    await Promise.all(entries.map(async ({ title, lang = this.language }, index) => {
+      const cacheKey = `title:${lang}:${title}`;
+      if (this.cache.has(cacheKey)) {
+        results[index] = this.cache.get(cacheKey);
+        return;
+      }
+
+      const persisted = await this.persistentCache.get(`${lang}:${title}`);
+      if (persisted) {
+        this.cache.set(cacheKey, persisted.value);
+        results[index] = persisted.value;
+        if (!persisted.isFresh) {
+          if (!stale.has(lang)) stale.set(lang, new Set());
+          stale.get(lang).add(title);
+        }
+        return;
+      }
+
+      if (!missing.has(lang)) missing.set(lang, new Map());
+      const titles = missing.get(lang);
+      titles.set(title, [...(titles.get(title) || []), index]);
+    }));
+
+    stale.forEach((titles, lang) => this._revalidateTitles([...titles], lang));
+
+    const requests = [];
+    missing.forEach((titles, lang) => {
+      const list = [...titles.keys()];
+      for (let i = 0; i < list.length; i += MAX_BATCH_TITLES) {
+        const batch = list.slice(i, i + MAX_BATCH_TITLES);
+        requests.push(this._requestSummaries(batch, lang, options).then(summaries => {
+          summaries.forEach((summary, title) => {
+            titles.get(title).forEach(index => {
+              results[index] = summary;
+            });
+          });
+        }));
+      }
+    });
+
+    const settled = await Promise.allSettled(requests);
+    settled.forEach(({ status, reason }) => {
+      if (status === 'rejected') {
+        if (isAbortError(reason)) throw reason;
+        console.warn('Summary batch failed:', reason.message);
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Fetch up to 50 summaries of one wiki from the Action API and store them in both caches
+   * Extracts come at most 20 per response, so `continue` is followed until all are in
+   * @private
+   * @param {Array<string>} titles - Article titles as requested (at most 50)
+   * @param {string} lang - Wiki language code
+   * @param {Object} [options] - Request options {priority, signal}
+   * @returns {Promise<Map>} Requested title -> structured article data (missing articles left out)
+   */
+  async _requestSummaries(titles, lang, options = {}) {
+    const params = {
+      action: 'query',
+      titles: titles.map(title => title.trim().replace(/_/g, ' ')).join('|'),
+      prop: 'extracts|pageimages|description|coordinates',
+      redirects: '1',
+      exintro: '1',
+      explaintext: '1',
+      exlimit: 'max',
+      piprop: 'thumbnail',
+      pithumbsize: String(SUMMARY_IMAGE_WIDTH),
+      pilimit: 'max',
+      coprimary: 'primary',
+      colimit: 'max',
+      formatversion: '2',
+      format: 'json',
+      origin: '*' // Enable CORS
+    };
+
+    const pages = new Map(); // Page title -> page, merged across continuations
+    const renames = new Map(); // Requested or normalized title -> normalized or redirect target
+    let continuation = {};
+
+    do {
+      const query = new URLSearchParams({ ...params, ...continuation });
+      const data = await this._fetchWithBackoff(`https://${lang}.wikipedia.org/w/api.php?${query}`, options);
+      if (data.error) {
+        throw new Error(`Query failed: ${data.error.info}`);
+      }
+
+      [...(data.query?.normalized || []), ...(data.query?.redirects || [])].forEach(({ from, to }) => {
+        renames.set(from, to);
+      });
+      (data.query?.pages || []).forEach(page => {
+        pages.set(page.title, { ...pages.get(page.title), ...page });
+      });
+      continuation = data.continue;
+    } while (continuation);
+
+    const summaries = new Map();
+    titles.forEach(title => {
+      let name = title.trim().replace(/_/g, ' ');
+      for (let hops = 0; renames.has(name) && hops < 3; hops++) {
+        name = renames.get(name); // Normalization, then redirect
+      }
+
+      const page = pages.get(name);
+      if (!page || page.missing || page.invalid) {
+        return;
+      }
+
+      const structured = this._structureQueryPage(page, lang);
+      this.cache.set(`title:${lang}:${title}`, structured);
+      this.persistentCache.set(`${lang}:${title}`, structured);
+      summaries.set(title, structured);
+    });
+
+    return summaries;
+  }
+
+  /**
+   * Refresh stale persisted summaries of one wiki in the background, in batches
+   * @private
+   * @param {Array<string>} titles - Article titles
+   * @param {string} lang - Wiki language code
+   */
+  _revalidateTitles(titles, lang) {
+    const pending = titles.filter(title => !this.revalidating.has(`${lang}:${title}`));
+    pending.forEach(title => this.revalidating.add(`${lang}:${title}`));
+
+    for (let i = 0; i < pending.length; i += MAX_BATCH_TITLES) {
+      const batch = pending.slice(i, i + MAX_BATCH_TITLES);
+      this._requestSummaries(batch, lang, { priority: PRIORITY.BACKGROUND })
+        .catch(error => console.warn(`Background refresh failed for ${batch.length} ${lang} summaries:`, error.message))
+        .finally(() => batch.forEach(title => this.revalidating.delete(`${lang}:${title}`)));
+    }
+  }
+
+  /**
+   * Fetch a summary from the REST API and store it in both caches
+   * @private
+   */
+  async _requestSummary(title, lang, cacheKey, persistKey, options = {}) {
     // Encode title for URL (handle spaces and special characters)
     const encodedTitle = encodeURIComponent(title.trim().replace(/ /g, '_'));
-    const url = `https://${this.language}.wikipedia.org/api/rest_v1/page/summary/${encodedTitle}`;
+    const url = `https://${lang}.wikipedia.org/api/rest_v1/page/summary/${encodedTitle}`;
 
     try {
-      const data = await this._fetchWithBackoff(url);
-      const structured = this._structureData(data);
+      const data = await this._fetchWithBackoff(url, options);
+      const structured = this._structureData(data, lang);
       
       // Cache the result
       this.cache.set(cacheKey, structured);
+      this.persistentCache.set(persistKey, structured);
       
       return structured;
     } catch (error) {
@@ -49,11 +941,136 @@ export class WikiClient {
     }
   }
 
+  /**
+   * Refresh a stale persisted summary without blocking the caller
+   * @private
+   */
+  _revalidateTitle(title, lang, cacheKey, persistKey) {
+    if (this.revalidating.has(persistKey)) {
+      return;
+    }
+
+    this.revalidating.add(persistKey);
+    this._requestSummary(title, lang, cacheKey, persistKey, { priority: PRIORITY.BACKGROUND })
+      .catch(error => console.warn(`Background refresh failed for ${title}:`, error.message))
+      .finally(() => this.revalidating.delete(persistKey));
+  }
+
+  /**
+   * Fetch the full article body for the in-app reader
+   * Uses the Action API parse module; the HTML is raw parser output and must be
+   * sanitized before it is inserted into the page
+   * @param {string} title - Article title
+   * @param {string} [lang] - Wiki language code (default: the most preferred language)
+   * @param {Object} [options] - Request options {priority, signal}
+   * @returns {Promise<Object>} Article {title, displayTitle, html, sections, url, lang}
+   */
+  async fetchArticle(title, lang = this.language, options = {}) {
+    if (!title || typeof title !== 'string') {
+      throw new Error('Invalid title parameter');
+    }
+
+    // Full articles are large - kept for the session only (the service worker
+    // keeps the last response for offline use)
+    const cacheKey = `article:${lang}:${title}`;
+    if (this.cache.has(cacheKey)) {
+      return this.cache.get(cacheKey);
+    }
+
+    const params = new URLSearchParams({
+      action: 'parse',
+      page: title.trim().replace(/ /g, '_'),
+      prop: 'text|sections|displaytitle',
+      redirects: '1',
+      disableeditsection: '1',
+      disabletoc: '1',
+      formatversion: '2',
+      format: 'json',
+      origin: '*' // Enable CORS
+    });
+
+    const data = await this._fetchWithBackoff(`https://${lang}.wikipedia.org/w/api.php?${params}`, options);
+    if (data.error) {
+      throw new Error(data.error.code === 'missingtitle'
+        ? `Article not found: ${title}`
+        : `Parse failed: ${data.error.info}`);
+    }
+
+    const parsed = data.parse;
+    const article = {
+      title: parsed.title,
+      displayTitle: parsed.displaytitle || parsed.title,
+      html: parsed.text,
+      sections: (parsed.sections || []).map(section => ({
+        level: section.toclevel,
+        title: section.line, // May contain inline HTML such as <i>
+        anchor: section.anchor
+      })),
+      url: `https://${lang}.wikipedia.org/wiki/${encodeURIComponent(parsed.title.replace(/ /g, '_'))}`,
+      lang
+    };
+
+    this.cache.set(cacheKey, article);
+    return article;
+  }
+
+  /**
+   * Find geotagged articles near coordinates, nearest first
+   * Light-weight compared to fetchByCoordinates: titles, positions and Wikidata ids
+   * only, in one request (generator=geosearch), no summaries
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   * @param {Object} [options]
+   * @param {number} [options.radius=1000] - Radius in meters (API maximum 10000)
+   * @param {number} [options.limit=50] - Maximum results (API maximum 500)
+   * @param {string} [options.lang] - Wiki language code (default: the most preferred language)
+   * @param {number} [options.priority] - Request priority (PRIORITY value)
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Array>} Articles {pageId, title, lat, lng, wikidataId}
+   */
+  async fetchGeosearch(latitude, longitude, options = {}) {
+    if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+      throw new Error('Invalid coordinates');
+    }
+
+    const lang = options.lang || this.language;
+    const limit = Math.min(options.limit || 50, 500);
+    const params = new URLSearchParams({
+      action: 'query',
+      generator: 'geosearch',
+      ggscoord: `${latitude}|${longitude}`,
+      ggsradius: String(Math.min(options.radius || 1000, 10000)),
+      ggslimit: String(limit),
+      ggsprimary: 'primary', // The article subject's own location, not things it mentions
+      prop: 'coordinates|pageprops',
+      coprimary: 'primary',
+      colimit: 'max',
+      ppprop: 'wikibase_item',
+      formatversion: '2',
+      format: 'json',
+      origin: '*' // Enable CORS
+    });
+
+    const data = await this._fetchWithBackoff(`https://${lang}.wikipedia.org/w/api.php?${params}`, options);
+    const pages = data.query?.pages || [];
+
+    return pages
+      .filter(page => page.coordinates && page.coordinates.length > 0)
+      .sort((a, b) => (a.index || 0) - (b.index || 0)) // Generator order = distance
+      .map(page => ({
+        pageId: page.pageid,
+        title: page.title,
+        lat: page.coordinates[0].lat,
+        lng: page.coordinates[0].lon,
+        wikidataId: page.pageprops?.wikibase_item || null
+      }));
+  }
+
   /**
    * Search for Wikipedia articles near coordinates
    * @param {number} latitude - Latitude in degrees
    * @param {number} longitude - Longitude in degrees
-   * @param {Object} options - Search options
+   * @param {Object} options - Search options {radius, limit}, plus request options {priority, signal}
    * @returns {Promise<Array>} Array of article summaries
    */
   async fetchByCoordinates(latitude, longitude, options = {}) {
@@ -88,54 +1105,64 @@ export class WikiClient {
     const url = `https://${this.language}.wikipedia.org/w/api.php?${params}`;
 
     try {
-      const response = await this._fetchWithBackoff(url);
+      const response = await this._fetchWithBackoff(url, options);
       
       if (!response.query || !response.query.geosearch) {
         return [];
       }
 
-      // Fetch full summaries for each result
-      const articles = await Promise.allSettled(
-        response.query.geosearch.map(item => 
-          this.fetchByTitle(item.title).catch(err => null)
-        )
+      // Fetch full summaries for all results in one batch
+      const articles = await this.fetchBatch(
+        response.query.geosearch.map(item => item.title),
+        this.language,
+        options
       );
 
-      // Filter out failed requests and null results
-      const results = articles
-        .filter(result => result.status === 'fulfilled' && result.value !== null)
-        .map(result => result.value);
+      // Filter out failed and missing articles
+      const results = articles.filter(article => article !== null);
 
       // Cache the results
       this.cache.set(cacheKey, results);
       
       return results;
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
       throw new Error(`GeoSearch failed: ${error.message}`);
     }
   }
 
   /**
-   * Fetch with exponential backoff retry logic
+   * Fetch through the scheduler with exponential backoff retry logic
+   * A 429 pauses the whole host, so queued requests to it wait as well; a retry
+   * is queued again and does not hold a slot while backing off
    * @private
+   * @param {string} url - Request URL
+   * @param {Object} [options] - Request options {priority, signal}
+   * @param {number} [retryCount=0] - Attempts made so far
+   * @returns {Promise<Object>} Parsed JSON response
    */
-  async _fetchWithBackoff(url, retryCount = 0) {
+  async _fetchWithBackoff(url, options = {}, retryCount = 0) {
+    const host = new URL(url).host;
+
     try {
-      const response = await fetch(url, {
+      const response = await this.scheduler.schedule(signal => fetch(url, {
         method: 'GET',
         headers: {
           'Accept': 'application/json',
           'Api-User-Agent': 'AugmentedWiki/1.0 (Educational Project)'
-        }
-      });
+        },
+        signal
+      }), { host, priority: options.priority, signal: options.signal });
 
       if (!response.ok) {
         // Check for rate limiting
         if (response.status === 429 && retryCount < this.maxRetries) {
           const backoffTime = this.initialBackoffMs * Math.pow(2, retryCount);
-          console.warn(`Rate limited. Retrying in ${backoffTime}ms...`);
-          await this._sleep(backoffTime);
-          return this._fetchWithBackoff(url, retryCount + 1);
+          console.warn(`Rate limited by ${host}. Retrying in ${backoffTime}ms...`);
+          this.scheduler.pauseHost(host, backoffTime);
+          return this._fetchWithBackoff(url, options, retryCount + 1);
         }
 
         // Create error with status code
@@ -146,12 +1173,12 @@ export class WikiClient {
 
       return await response.json();
     } catch (error) {
-      // Network errors - retry with backoff
-      if (retryCount < this.maxRetries && !error.status) {
+      // Network errors - retry with backoff (not while offline or when canceled)
+      if (retryCount < this.maxRetries && !error.status && !isAbortError(error) && navigator.onLine !== false) {
         const backoffTime = this.initialBackoffMs * Math.pow(2, retryCount);
         console.warn(`Network error. Retrying in ${backoffTime}ms...`);
         await this._sleep(backoffTime);
-        return this._fetchWithBackoff(url, retryCount + 1);
+        return this._fetchWithBackoff(url, options, retryCount + 1);
       }
 
       throw error;
@@ -162,7 +1189,7 @@ export class WikiClient {
    * Structure API response into consistent format
    * @private
    */
-  _structureData(apiData) {
+  _structureData(apiData, lang = this.language) {
     return {
       title: apiData.title || null,
       description: apiData.description || null,
@@ -174,7 +1201,34 @@ export class WikiClient {
         longitude: apiData.coordinates.lon
       } : null,
       pageId: apiData.pageid || null,
-      lang: apiData.lang || this.language
+      lang: apiData.lang || lang
+    };
+  }
+
+  /**
+   * Structure an Action API query page (fetchSummaries) like a REST summary
+   * @private
+   * @param {Object} page - Page with extract, thumbnail, description and coordinates
+   * @param {string} lang - Wiki language code
+   * @returns {Object} Structured article data
+   */
+  _structureQueryPage(page, lang) {
+    // REST summaries hold the first paragraph of the intro
+    const extract = (page.extract || '').split('\n').find(paragraph => paragraph.trim());
+    const coordinates = page.coordinates?.[0];
+
+    return {
+      title: page.title,
+      description: page.description || null,
+      extract: extract ? extract.trim() : null,
+      imageUrl: page.thumbnail?.source || null,
+      url: `https://${lang}.wikipedia.org/wiki/${encodeURIComponent(page.title.replace(/ /g, '_'))}`,
+      coordinates: coordinates ? {
+        latitude: coordinates.lat,
+        longitude: coordinates.lon
+      } : null,
+      pageId: page.pageid || null,
+      lang
     };
   }
 
@@ -187,55 +1241,65 @@ export class WikiClient {
   }
 
   /**
-   * Clear the in-memory cache
+   * Seed the in-memory cache with an article, e.g. from an offline region pack
+   * @param {string} title - Article title as requested by callers
+   * @param {Object} article - Structured article data
+   * @param {string} [lang] - Wiki language code (default: the article's language)
    */
-  clearCache() {
+  primeCache(title, article, lang = article.lang || this.language) {
+    this.cache.set(`title:${lang}:${title}`, article);
+  }
+
+  /**
+   * Clear the in-memory and persistent caches
+   * @returns {Promise<void>}
+   */
+  async clearCache() {
     this.cache.clear();
+    await this.persistentCache.clear();
   }
 
   /**
    * Get cache statistics
+   * @returns {Promise<Object>} Stats {size, keys, persistent}
    */
-  getCacheStats() {
+  async getCacheStats() {
     return {
       size: this.cache.size,
-      keys: Array.from(this.cache.keys())
+      keys: Array.from(this.cache.keys()),
+      persistent: await this.persistentCache.getStats()
     };
   }
 
   /**
-   * Batch fetch multiple articles by title
+   * Batch fetch multiple articles by title (one request per 50 titles)
    * @param {Array<string>} titles - Array of article titles
+   * @param {string} [lang] - Wiki language code (default: the most preferred language)
+   * @param {Object} [options] - Request options {priority, signal}
    * @returns {Promise<Array>} Array of article data (null for failures)
    */
-  async fetchBatch(titles) {
+  async fetchBatch(titles, lang = this.language, options = {}) {
     if (!Array.isArray(titles)) {
       throw new Error('titles must be an array');
     }
 
-    const results = await Promise.allSettled(
-      titles.map(title => this.fetchByTitle(title))
-    );
-
-    return results.map(result => 
-      result.status === 'fulfilled' ? result.value : null
-    );
+    return this.fetchSummaries(titles.map(title => ({ title, lang })), options);
   }
 
   /**
    * Prefetch articles for faster subsequent access
+   * Queued at background priority, behind anything on screen
    * @param {Array<string>} titles - Titles to prefetch
+   * @param {Object} [options] - {signal} to cancel prefetches that are no longer useful
    */
-  async prefetch(titles) {
+  async prefetch(titles, options = {}) {
     if (!Array.isArray(titles)) {
       throw new Error('titles must be an array');
     }
 
     // Fire and forget - don't wait for results
-    titles.forEach(title => {
-      this.fetchByTitle(title).catch(() => {
-        // Silently ignore prefetch errors
-      });
+    this.fetchBatch(titles, this.language, { priority: PRIORITY.BACKGROUND, signal: options.signal }).catch(() => {
+      // Silently ignore prefetch errors
     });
   }
 }
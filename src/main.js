@@ -1,9 +1,72 @@
 import { Geolocator } from './core/geolocator.js';
-import { POIDetector } from './core/poi-detector.js';
-import { WikiClient } from './core/wiki-client.js';
+import {
+    POIDetector,
+    loadWikidataOnlySetting,
+    saveWikidataOnlySetting
+} from './core/poi-detector.js';
+import {
+    WikiClient,
+    getPreferredLanguages,
+    loadLanguageSetting,
+    saveLanguageSetting
+} from './core/wiki-client.js';
+import { RegionPackManager } from './core/region-packs.js';
+import { ElevationService, TerrariumTileProvider } from './core/elevation.js';
+import { overpassClient } from './core/overpass-client.js';
+import { PRIORITY } from './core/request-scheduler.js';
+import {
+    OcclusionService,
+    OCCLUSION_MODES,
+    loadOcclusionMode,
+    saveOcclusionMode
+} from './core/occlusion.js';
+import {
+    POI_CATEGORIES,
+    categorizePOIs,
+    getLabelStyle,
+    loadEnabledCategories,
+    saveEnabledCategories
+} from './core/poi-categories.js';
 import { CameraStream } from './ar/camera-stream.js';
 import { OverlayRenderer } from './ar/overlay-renderer.js';
-import { throttle } from './utils/sensors.js';
+import { RadarView } from './ar/radar.js';
+import { ArticleReader, createFactsTable } from './ar/article-reader.js';
+import { MapView, RasterTileSource } from './map/map-view.js';
+import { throttle, debounce } from './utils/sensors.js';
+import { calculateDistance } from './utils/coordinates.js';
+
+// Movement-aware refetch: minimum travel before refreshing, and how early
+// (in meters) to refresh before the visible range leaves the fetched area
+const MIN_REFETCH_DISTANCE = 500;
+const REFETCH_MARGIN = 1000;
+
+// Minimum time between POI fetches, and how long category toggles settle before refetching
+const MIN_POI_FETCH_INTERVAL = 5000;
+const CATEGORY_REFETCH_DELAY = 1000;
+
+// Kalman-filter GPS fixes (weighted by accuracy, fused with speed/heading, outliers
+// rejected) so urban-canyon jumps don't swing every label; false publishes raw fixes
+const POSITION_FILTER = true;
+
+// Compass heading filter: 'fusion' combines the gyroscope with the compass (fast when
+// turning, steady when still, resists magnetic disturbances); 'average' smooths the compass only
+const HEADING_FILTER = 'fusion';
+
+// Line-of-sight occlusion is recomputed after moving this far (meters)
+const OCCLUSION_UPDATE_DISTANCE = 10;
+
+// Raster map tiles, e.g. '/tiles/{z}/{x}/{y}.png' from a local tile server;
+// null uses the OpenStreetMap standard layer
+const MAP_TILE_URL_TEMPLATE = null;
+const MAP_TILE_ATTRIBUTION = '© OpenStreetMap contributors';
+
+// Overpass interpreters, e.g. ['https://overpass.example.org/api/interpreter'] for a
+// self-hosted instance (list several to fail over between them); null uses the public mirrors
+const OVERPASS_ENDPOINTS = null;
+
+// Terrarium-encoded DEM tiles for terrain heights, e.g. '/dem/{z}/{x}/{y}.png'
+// served next to the app; null disables DEM lookups (OSM ele tags and GPS altitude still apply)
+const DEM_TILE_URL_TEMPLATE = null;
 
 /**
  * Main application controller
@@ -11,12 +74,39 @@ import { throttle } from './utils/sensors.js';
  */
 class AugmentedWikiApp {
     constructor() {
+        // POI categories selected in the filter chips (persisted)
+        this.enabledCategories = loadEnabledCategories();
+
         // Core services
-        this.geolocator = new Geolocator();
-        this.poiDetector = new POIDetector();
+        if (OVERPASS_ENDPOINTS) {
+            overpassClient.setEndpoints(OVERPASS_ENDPOINTS);
+        }
+        this.geolocator = new Geolocator({
+            positionFilter: POSITION_FILTER,
+            headingFilter: HEADING_FILTER
+        });
         this.wikiClient = new WikiClient();
+        this.poiDetector = new POIDetector({
+            categories: this.enabledCategories,
+            includeWikidataOnly: loadWikidataOnlySetting(),
+            overpassClient, // Shared with occlusion so both respect one rate limit
+            wikiClient: this.wikiClient // Wikipedia geosearch source and Overpass fallback
+        });
+        this.occlusion = new OcclusionService({ overpassClient });
+        this.regionPacks = new RegionPackManager({
+            poiDetector: this.poiDetector,
+            wikiClient: this.wikiClient
+        });
+        this.elevationService = new ElevationService({
+            demProvider: DEM_TILE_URL_TEMPLATE
+                ? new TerrariumTileProvider({ urlTemplate: DEM_TILE_URL_TEMPLATE })
+                : null
+        });
         this.cameraStream = new CameraStream();
         this.overlayRenderer = null;
+        this.radar = null;
+        this.mapView = null; // Created on first visit to the map
+        this.mapCardPOI = null;
 
         // State
         this.currentScreen = 'permission';
@@ -25,6 +115,12 @@ class AugmentedWikiApp {
         this.fetchRadius = 10000; // ALWAYS fetch 10km to avoid re-fetching on slider move
         this.isFetchingPOIs = false;
         this.lastFetchedPOIs = []; // Store fetched POIs for local filtering
+        this.lastFetchCenter = null; // Position the current POI set was fetched around
+        this.userElevation = null; // Device height above sea level (meters), if known
+        this.occlusionMode = loadOcclusionMode(); // 'off', 'dim' or 'hide' POIs behind buildings
+        this.lastOcclusionCenter = null;
+        this.isUpdatingOcclusion = false;
+        this.occlusionUpdatePending = false;
 
         // UI elements
         this.elements = {
@@ -36,30 +132,72 @@ class AugmentedWikiApp {
             backToARBtn: document.getElementById('back-to-ar'),
             camera: document.getElementById('camera'),
             arOverlay: document.getElementById('ar-overlay'),
+            radar: document.getElementById('radar'),
             gpsStatus: document.getElementById('gps-status'),
+            networkStatus: document.getElementById('network-status'),
             poiCount: document.getElementById('poi-count'),
-            poiList: document.getElementById('poi-list'),
+            mapContainer: document.getElementById('map-container'),
+            mapCard: document.getElementById('map-card'),
+            mapRecenterBtn: document.getElementById('map-recenter-btn'),
+            articleReader: document.getElementById('article-reader'),
+            occlusionBtn: document.getElementById('occlusion-btn'),
+
+            // Offline region packs
+            packsScreen: document.getElementById('packs-screen'),
+            packsBtn: document.getElementById('packs-btn'),
+            languageBtn: document.getElementById('language-btn'),
+            packsCloseBtn: document.getElementById('packs-close-btn'),
+            packRegionInput: document.getElementById('pack-region-input'),
+            packDownloadBtn: document.getElementById('pack-download-btn'),
+            packHereBtn: document.getElementById('pack-here-btn'),
+            packProgress: document.getElementById('pack-progress'),
+            packProgressBar: document.getElementById('pack-progress-bar'),
+            packProgressLabel: document.getElementById('pack-progress-label'),
+            packList: document.getElementById('pack-list'),
+
+            // Article language settings
+            languageScreen: document.getElementById('language-screen'),
+            languageInput: document.getElementById('language-input'),
+            languageSaveBtn: document.getElementById('language-save-btn'),
+            languageDeviceBtn: document.getElementById('language-device-btn'),
+            languageCloseBtn: document.getElementById('language-close-btn'),
+            languageCurrent: document.getElementById('language-current'),
+            wikidataOnlyToggle: document.getElementById('wikidata-only-toggle'),
             
             // New UI Elements
             debugToggleBtn: document.getElementById('debug-toggle-btn'),
             debugPanel: document.getElementById('debug-panel'),
             distanceSlider: document.getElementById('distance-slider'),
             distanceLabel: document.getElementById('distance-label'),
+            categoryFilters: document.getElementById('category-filters'),
             
             // Debug elements
             debugAccuracy: document.getElementById('debug-accuracy'),
+            debugUncertainty: document.getElementById('debug-uncertainty'),
+            debugDeclination: document.getElementById('debug-declination'),
+            debugElevation: document.getElementById('debug-elevation'),
+            debugOcclusion: document.getElementById('debug-occlusion'),
             debugHeading: document.getElementById('debug-heading'),
             debugPitch: document.getElementById('debug-pitch'),
             debugTotalPois: document.getElementById('debug-total-pois')
         };
 
+        // In-app article sheet, shared by AR labels and the map card
+        this.articleReader = new ArticleReader(this.elements.articleReader, {
+            wikiClient: this.wikiClient
+        });
+
         this.bindEvents();
         this.checkSupport();
 
         // Throttle POI updates - only fetch new POIs every 5 seconds
         // Only triggered by significant movement now, not slider
-        this.updatePOIs = throttle(this._updatePOIs.bind(this), 5000);
+        this.updatePOIs = throttle(this._updatePOIs.bind(this), MIN_POI_FETCH_INTERVAL);
         this.lastPOIFetchTime = 0;
+
+        // Category toggles filter instantly, then refetch once the user stops tapping
+        this.scheduleCategoryRefetch = debounce(this._refetchForCategories.bind(this), CATEGORY_REFETCH_DELAY);
+        this.categoryRefetchTimer = null;
     }
 
     /**
@@ -87,6 +225,9 @@ class AugmentedWikiApp {
         this.elements.startBtn.addEventListener('click', () => this.start());
         this.elements.calibrationDoneBtn.addEventListener('click', () => this.finishCalibration());
         this.elements.backToARBtn.addEventListener('click', () => this.showARView());
+        this.elements.mapRecenterBtn.addEventListener('click', () => {
+            if (this.mapView) this.mapView.recenter();
+        });
         
         // Map view toggle - click on POI count
         this.elements.poiCount.addEventListener('click', () => this.showMapView());
@@ -98,6 +239,54 @@ class AugmentedWikiApp {
 
         // Live slider update (client-side filtering only)
         this.elements.distanceSlider.addEventListener('input', (e) => this.handleDistanceChange(e.target.value));
+
+        // Category filter chips
+        this.renderCategoryFilters();
+        this.elements.categoryFilters.addEventListener('click', (e) => {
+            const chip = e.target.closest('button[data-category]');
+            if (chip) {
+                this.toggleCategory(chip.dataset.category);
+            }
+        });
+
+        // Occlusion mode: off -> dim -> hide
+        this.elements.occlusionBtn.addEventListener('click', () => this.cycleOcclusionMode());
+        this._renderOcclusionButton();
+
+        // Article languages
+        this.elements.languageBtn.addEventListener('click', () => this.showLanguageScreen());
+        this.elements.languageCloseBtn.addEventListener('click', () => this.closeSettingsScreen());
+        this.elements.languageSaveBtn.addEventListener('click', () => {
+            this.setArticleLanguages(this.elements.languageInput.value.split(/[\s,]+/).filter(Boolean));
+        });
+        this.elements.languageDeviceBtn.addEventListener('click', () => this.setArticleLanguages(null));
+        this.elements.wikidataOnlyToggle.addEventListener('change', (e) => this.setWikidataOnly(e.target.checked));
+        this._renderLanguageButton();
+
+        // Offline region packs
+        this.elements.packsBtn.addEventListener('click', () => this.showPacksScreen());
+        this.elements.packsCloseBtn.addEventListener('click', () => this.closeSettingsScreen());
+        this.elements.packDownloadBtn.addEventListener('click', () => this.downloadRegionFromInput());
+        this.elements.packHereBtn.addEventListener('click', () => this.downloadCurrentArea());
+        this.elements.packList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-pack-action]');
+            if (button) {
+                this.handlePackAction(button.dataset.packAction, button.dataset.packId);
+            }
+        });
+
+        // Offline indicator - cached tiles and summaries keep working without signal
+        window.addEventListener('online', () => this.updateNetworkStatus());
+        window.addEventListener('offline', () => this.updateNetworkStatus());
+        this.updateNetworkStatus();
+    }
+
+    /**
+     * Show or hide the offline badge in the status bar
+     */
+    updateNetworkStatus() {
+        const isOffline = navigator.onLine === false;
+        this.elements.networkStatus.classList.toggle('hidden', !isOffline);
     }
 
     /**
@@ -183,19 +372,27 @@ class AugmentedWikiApp {
             const fov = this.cameraStream.getFieldOfView();
 
             this.overlayRenderer = new OverlayRenderer(this.elements.arOverlay, {
+                wikiClient: this.wikiClient, // Share caches with the map view
                 maxVisibleDistance: this.maxDistance,
                 maxLabels: 30, // Increased from 15 to show more POIs
+                occlusionMode: this.occlusionMode,
                 minLabelSpacing: 100, // Reduced from 100 (or keep same, need space)
                 horizontalFOV: fov,
                 screenWidth: window.innerWidth, // Initialize with current dimensions
                 screenHeight: window.innerHeight,
-                onLabelClick: (poi, article) => {
-                    if (article && article.url) {
-                        window.open(article.url, '_blank');
-                    }
+                onLabelClick: (poi, article) => this.openArticle(poi, article),
+                onGuidanceChange: (poiId) => {
+                    if (this.radar) this.radar.setSelected(poiId);
                 }
             });
 
+            // Compass radar; tapping a dot guides the user toward that POI
+            this.radar = new RadarView(this.elements.radar, {
+                maxDistance: this.maxDistance,
+                fov,
+                onSelect: (poi) => this.overlayRenderer.guideTo(poi)
+            });
+
             // Set up event listeners
             let positionUpdateCount = 0;
             this.geolocator.on('position', (position) => {
@@ -203,20 +400,38 @@ class AugmentedWikiApp {
                 
                 // Keep status bar simple (icon removed as requested)
                 this.elements.gpsStatus.textContent = ''; 
+                this._updateUserElevation(position);
                 this.overlayRenderer.updateUserPosition(position);
-                
-                // Only update POIs on first position, then rely on manual triggers
+                if (this.mapView) this.mapView.setUserPosition(position);
+                this._updateOcclusion();
+
+                // Keep distance/bearing of loaded POIs relative to the latest fix
+                // so labels, slider filtering and distance sorting stay correct while walking
+                this.poiDetector.updateRelativePositions(this.lastFetchedPOIs, position);
+                if (!this.isFetchingPOIs) {
+                    this._updateVisibleCount();
+                }
+
+                // Fetch POIs on first position, afterwards only when the user
+                // approaches the edge of the fetched area
                 if (positionUpdateCount === 1) {
                     console.log('Initial position received, fetching POIs...');
                     this.updatePOIs();
+                } else if (this._shouldRefetchForMovement(position)) {
+                    console.log('Approaching edge of fetched area, refreshing POIs in background...');
+                    this.updatePOIs({ background: true });
                 }
                 
-                // Update debug info with accuracy (HTML already has 'm' unit)
+                // Update debug info with raw accuracy and filtered uncertainty (HTML already has 'm' unit)
                 this.elements.debugAccuracy.textContent = position.accuracy.toFixed(1);
+                this.elements.debugUncertainty.textContent = position.uncertainty.toFixed(1);
+                this._updateDeclinationDebug();
             });
 
             this.geolocator.on('orientation', (orientation) => {
                 this.overlayRenderer.updateDeviceOrientation(orientation);
+                this.radar.setHeading(orientation.heading);
+                if (this.mapView) this.mapView.setHeading(orientation.heading);
                 // Update debug info
                 this.elements.debugHeading.textContent = orientation.heading.toFixed(1) + '°';
                 this.elements.debugPitch.textContent = orientation.pitch.toFixed(1) + '°';
@@ -244,10 +459,158 @@ class AugmentedWikiApp {
         }
     }
 
+    /**
+     * Show the magnetic declination in the debug panel
+     * Relative headings have no north reference, so no correction is applied to them
+     * @private
+     */
+    _updateDeclinationDebug() {
+        const { declination, applied, headingSource } = this.geolocator.getDeclination();
+        if (declination === null) return;
+
+        const text = `${Math.abs(declination).toFixed(1)}° ${declination >= 0 ? 'E' : 'W'}`;
+        this.elements.debugDeclination.textContent = applied || headingSource === null ? text : `${text} (not applied)`;
+    }
+
+    /**
+     * Attach the device elevation to a position fix
+     * The previous value is used until the lookup for this fix resolves,
+     * so labels don't jump back to the level-terrain assumption in between
+     * @param {Object} position - Position from the geolocator (mutated, shared with the renderer)
+     * @private
+     */
+    _updateUserElevation(position) {
+        position.elevation = this.userElevation;
+
+        this.elevationService.getUserElevation(position)
+            .then(elevation => {
+                if (elevation === null) return;
+                this.userElevation = elevation;
+                position.elevation = elevation;
+                this.elements.debugElevation.textContent = elevation.toFixed(0);
+            })
+            .catch(error => console.warn('User elevation lookup failed:', error.message));
+    }
+
+    /**
+     * Switch to the next occlusion mode (off -> dim -> hide) and persist it
+     */
+    cycleOcclusionMode() {
+        const index = OCCLUSION_MODES.indexOf(this.occlusionMode);
+        this.occlusionMode = OCCLUSION_MODES[(index + 1) % OCCLUSION_MODES.length];
+        saveOcclusionMode(this.occlusionMode);
+        this._renderOcclusionButton();
+
+        if (this.overlayRenderer) {
+            this.overlayRenderer.setOcclusionMode(this.occlusionMode);
+        }
+        this._updateOcclusion(true);
+    }
+
+    /**
+     * Reflect the occlusion mode in the status bar button
+     * @private
+     */
+    _renderOcclusionButton() {
+        this.elements.occlusionBtn.dataset.mode = this.occlusionMode;
+        this.elements.occlusionBtn.title = `Labels behind buildings: ${this.occlusionMode}`;
+        if (this.occlusionMode === 'off') {
+            this.elements.debugOcclusion.textContent = 'off';
+        }
+    }
+
+    /**
+     * Load buildings around the user and mark POIs whose line of sight is blocked
+     * Runs after moving OCCLUSION_UPDATE_DISTANCE, or immediately when forced
+     * (new POIs, mode change); requests during an update are coalesced into one rerun
+     * @param {boolean} [force=false] - Ignore the movement threshold
+     * @private
+     */
+    async _updateOcclusion(force = false) {
+        if (this.occlusionMode === 'off') return;
+
+        if (this.isUpdatingOcclusion) {
+            this.occlusionUpdatePending = this.occlusionUpdatePending || force;
+            return;
+        }
+
+        const position = this.geolocator.getPosition();
+        if (!position) return;
+
+        if (!force && this.lastOcclusionCenter && calculateDistance(
+            this.lastOcclusionCenter.lat,
+            this.lastOcclusionCenter.lng,
+            position.lat,
+            position.lng
+        ) < OCCLUSION_UPDATE_DISTANCE) {
+            return;
+        }
+
+        this.isUpdatingOcclusion = true;
+        try {
+            // Inside a region pack nothing may contact Overpass - labels stay unoccluded
+            if (await this.regionPacks.findPackForLocation(position.lat, position.lng)) {
+                this.lastOcclusionCenter = { lat: position.lat, lng: position.lng };
+                this.elements.debugOcclusion.textContent = 'off in region pack';
+                return;
+            }
+
+            const buildingCount = await this.occlusion.loadBuildings(position.lat, position.lng);
+            const occludedCount = this.occlusion.computeOcclusion(position, this.lastFetchedPOIs);
+            this.lastOcclusionCenter = { lat: position.lat, lng: position.lng };
+            this.elements.debugOcclusion.textContent = `${occludedCount} blocked (${buildingCount} buildings)`;
+        } catch (error) {
+            // Labels simply stay unoccluded
+            console.warn('Occlusion update failed:', error.message);
+            this.elements.debugOcclusion.textContent = 'unavailable';
+        } finally {
+            this.isUpdatingOcclusion = false;
+        }
+
+        if (this.occlusionUpdatePending) {
+            this.occlusionUpdatePending = false;
+            this._updateOcclusion(true);
+        }
+    }
+
+    /**
+     * Check whether the user has moved far enough from the last fetch center
+     * that POIs within the visible distance would soon be missing
+     * @param {Object} position - Current position { lat, lng, uncertainty }
+     * @returns {boolean} True if a background refetch should be started
+     * @private
+     */
+    _shouldRefetchForMovement(position) {
+        if (!this.lastFetchCenter || this.isFetchingPOIs) {
+            return false;
+        }
+
+        // Discount position uncertainty so jitter around a fixed spot never triggers a refetch
+        const moved = calculateDistance(
+            this.lastFetchCenter.lat,
+            this.lastFetchCenter.lng,
+            position.lat,
+            position.lng
+        ) - (position.uncertainty || 0);
+
+        // Visible circle (maxDistance around the user) must stay inside the fetched
+        // circle, with a margin so the fetch completes before the edge is reached
+        const threshold = Math.max(
+            MIN_REFETCH_DISTANCE,
+            this.fetchRadius - this.maxDistance - REFETCH_MARGIN
+        );
+
+        return moved > threshold;
+    }
+
     /**
      * Update POIs from current location
+     * @param {Object} [options]
+     * @param {boolean} [options.background=false] - Keep showing current POIs and counts while fetching
      */
-    async _updatePOIs() {
+    async _updatePOIs(options = {}) {
+        const { background = false } = options;
+
         const position = this.geolocator.getPosition();
         if (!position) {
             console.warn('No position available for POI update');
@@ -257,7 +620,7 @@ class AugmentedWikiApp {
 
         // Check minimum time between fetches (5 seconds)
         const now = Date.now();
-        if (now - this.lastPOIFetchTime < 5000) {
+        if (now - this.lastPOIFetchTime < MIN_POI_FETCH_INTERVAL) {
             console.log('Skipping POI fetch - too soon after last fetch');
             return;
         }
@@ -270,8 +633,10 @@ class AugmentedWikiApp {
 
         this.lastPOIFetchTime = now;
 
-        // Show loading state in Info Bar
-        this.elements.poiCount.innerHTML = '<span class="loading-spinner">↻</span> Loading...';
+        // Show loading state in Info Bar (background refreshes keep the current count)
+        if (!background) {
+            this.elements.poiCount.innerHTML = '<span class="loading-spinner">↻</span> Loading...';
+        }
         this.isFetchingPOIs = true;
 
         try {
@@ -279,15 +644,20 @@ class AugmentedWikiApp {
             
             console.log(`Fetching POIs near ${position.lat.toFixed(4)}, ${position.lng.toFixed(4)} within ${this.fetchRadius}m`);
             
+            // Inside a downloaded region pack, serve POIs offline without contacting Overpass
+            const pack = await this.regionPacks.findPackForLocation(position.lat, position.lng);
+
             // Fetch POIs from Overpass API
             // ALWAYS fetch the maximum radius (10km or fetchRadius) so slider can work locally
-            const allPOIs = await this.poiDetector.fetchNearbyPOIs(
-                position.lat,
-                position.lng,
-                this.fetchRadius
-            );
+            const allPOIs = pack
+                ? await this.regionPacks.getPOIs(pack.id, position.lat, position.lng, this.fetchRadius)
+                : await this.poiDetector.fetchNearbyPOIs(
+                    position.lat,
+                    position.lng,
+                    this.fetchRadius
+                );
 
-            console.log(`Fetched ${allPOIs.length} POIs from Overpass API`);
+            console.log(`Fetched ${allPOIs.length} POIs from ${pack ? `region pack "${pack.name}"` : 'POI sources'}`);
             console.log('Device orientation:', {
                 heading: orientation.heading.toFixed(1),
                 pitch: orientation.pitch.toFixed(1),
@@ -339,14 +709,26 @@ class AugmentedWikiApp {
             const dist = this.elements.debugDistVal || document.getElementById('debug-dist-val');
             if(dist) dist.textContent = this.maxDistance.toFixed(0);
 
+            // The user may have moved while the request was in flight
+            this.poiDetector.updateRelativePositions(allPOIs, this.geolocator.getPosition());
+
+            // Terrain heights for true elevation angles; labels move into place as lookups finish
+            this.elevationService.annotatePOIs(allPOIs).catch(error => {
+                console.warn('POI elevation lookup failed:', error.message);
+            });
+
             // Store for local filtering
             this.lastFetchedPOIs = allPOIs;
+            this.lastFetchCenter = { lat: position.lat, lng: position.lng };
 
             // Update overlay
             if (this.overlayRenderer) {
                 this.overlayRenderer.updatePOIs(allPOIs);
             }
 
+            // New POIs need their line of sight checked
+            this._updateOcclusion(true);
+
             // Update UI with correct valid count based on CURRENT slider
             this._updateVisibleCount();
 
@@ -356,16 +738,22 @@ class AugmentedWikiApp {
             
             // Show detailed error in debug panel
             let errorMsg = error.message;
-            if (error.name === 'TypeError' && errorMsg.includes('fetch')) {
+            if (navigator.onLine === false) {
+                errorMsg = 'Offline - no cached POIs for this area';
+            } else if (error.name === 'TypeError' && errorMsg.includes('fetch')) {
                 errorMsg = 'Network error - check CORS/connection';
-            } else if (error.message.includes('429')) {
+            } else if (error.message.includes('429') || error.message.includes('rate limited')) {
                 errorMsg = 'Rate limited - wait a moment';
             } else if (error.name === 'AbortError' || error.message.includes('aborted') || error.message.includes('timeout')) {
                 errorMsg = 'Timeout - network slow';
             }
             
             this.elements.debugTotalPois.textContent = `Error: ${errorMsg}`;
-            this.elements.poiCount.textContent = 'Error';
+
+            // A failed background refresh leaves the current POIs usable
+            if (!background) {
+                this.elements.poiCount.textContent = 'Error';
+            }
             
             // Don't show popup for every error, just log it
             // this.showError('Failed to fetch POIs: ' + error.message);
@@ -426,6 +814,68 @@ class AugmentedWikiApp {
         this._updateVisibleCount();
     }
 
+    /**
+     * Render one filter chip per POI category
+     */
+    renderCategoryFilters() {
+        this.elements.categoryFilters.innerHTML = POI_CATEGORIES.map(category => `
+            <button class="category-chip${this.enabledCategories.includes(category.id) ? ' active' : ''}"
+                data-category="${category.id}">${category.label}</button>
+        `).join('');
+    }
+
+    /**
+     * Enable or disable a POI category
+     * Loaded POIs are filtered immediately; newly enabled categories are
+     * fetched by a debounced background refetch
+     * @param {string} categoryId - Category id
+     */
+    toggleCategory(categoryId) {
+        const enabled = this.enabledCategories.includes(categoryId)
+            ? this.enabledCategories.filter(id => id !== categoryId)
+            : [...this.enabledCategories, categoryId];
+
+        this.enabledCategories = enabled;
+        saveEnabledCategories(enabled);
+        this.poiDetector.setEnabledCategories(enabled);
+        this.renderCategoryFilters();
+
+        // Client-side filter of what is already loaded
+        this.lastFetchedPOIs = categorizePOIs(this.lastFetchedPOIs, enabled);
+        if (this.overlayRenderer) {
+            this.overlayRenderer.updatePOIs(this.lastFetchedPOIs);
+        }
+        this._updateVisibleCount();
+
+        this.scheduleCategoryRefetch();
+    }
+
+    /**
+     * Refetch POIs for the current category selection
+     * Waits out the minimum fetch interval and any fetch in flight instead of
+     * being dropped by the guards in _updatePOIs
+     * @private
+     */
+    _refetchForCategories() {
+        clearTimeout(this.categoryRefetchTimer);
+        if (!this.lastFetchCenter) {
+            // Nothing fetched yet - the initial fetch will use the new selection
+            return;
+        }
+
+        const wait = MIN_POI_FETCH_INTERVAL - (Date.now() - this.lastPOIFetchTime);
+        if (wait > 0 || this.isFetchingPOIs) {
+            this.categoryRefetchTimer = setTimeout(
+                () => this._refetchForCategories(),
+                Math.max(wait, CATEGORY_REFETCH_DELAY)
+            );
+            return;
+        }
+
+        console.log('POI categories changed, refreshing POIs in background...');
+        this._updatePOIs({ background: true });
+    }
+
     /**
      * Helper to update visible POI count based on current distance setting
      * @private
@@ -440,6 +890,16 @@ class AugmentedWikiApp {
         // Also update debug distance value
         const dist = this.elements.debugDistVal || document.getElementById('debug-dist-val');
         if(dist) dist.textContent = this.maxDistance.toFixed(0);
+
+        // The radar and map plot the same POIs and range
+        if (this.radar) {
+            this.radar.setMaxDistance(this.maxDistance);
+            this.radar.setPOIs(this.lastFetchedPOIs);
+        }
+        if (this.mapView) {
+            this.mapView.setMaxDistance(this.maxDistance);
+            this.mapView.setPOIs(this.lastFetchedPOIs);
+        }
     }
 
     /**
@@ -458,60 +918,380 @@ class AugmentedWikiApp {
     }
 
     /**
-     * Show map fallback view
+     * Show the map view
+     * Uses the same POIs and distance range as the AR view
      */
-    async showMapView() {
+    showMapView() {
         this.showScreen('map');
-        
+
         if (this.overlayRenderer) {
             this.overlayRenderer.stop();
         }
 
+        if (!this.mapView) {
+            this.mapView = new MapView(this.elements.mapContainer, {
+                tileSource: MAP_TILE_URL_TEMPLATE
+                    ? new RasterTileSource({ urlTemplate: MAP_TILE_URL_TEMPLATE, attribution: MAP_TILE_ATTRIBUTION })
+                    : undefined,
+                maxDistance: this.maxDistance,
+                fov: this.overlayRenderer ? this.overlayRenderer.horizontalFOV : undefined,
+                onSelect: (poi) => this.showMapCard(poi)
+            });
+        }
+
+        // The container only has a size once the screen is visible
+        this.mapView.resize();
+
         const position = this.geolocator.getPosition();
-        if (!position) return;
+        if (position) {
+            this.mapView.setUserPosition(position);
+        }
+        this._updateVisibleCount();
+
+        if (this.lastFetchedPOIs.length === 0 && position) {
+            this.updatePOIs();
+        }
+    }
+
+    /**
+     * Show the article card for a POI tapped on the map
+     * @param {Object|null} poi - POI, or null to close the card
+     */
+    async showMapCard(poi) {
+        const card = this.elements.mapCard;
+        if (!poi) {
+            this.closeMapCard();
+            return;
+        }
+
+        this.mapCardPOI = poi;
+        const style = getLabelStyle(poi.tags);
+        card.style.borderTopColor = style.color;
+        card.innerHTML = `
+            <button class="map-card-close" aria-label="Close">✕</button>
+            <h3><span class="map-card-icon">${style.icon}</span>${this.escapeHtml(poi.name)}</h3>
+            <div class="distance">${this.formatDistance(poi.distance)}</div>
+            <div class="description">${poi.wikipediaTitle || poi.wikidataId ? 'Loading...' : 'No article available'}</div>
+            <div class="map-card-actions">
+                <button class="map-card-guide">Show in AR</button>
+            </div>
+        `;
+        card.classList.remove('hidden');
+
+        card.querySelector('.map-card-close').addEventListener('click', () => this.closeMapCard());
+        card.querySelector('.map-card-guide').addEventListener('click', () => {
+            this.closeMapCard();
+            this.showARView();
+            if (this.overlayRenderer) {
+                this.overlayRenderer.guideTo(poi);
+            }
+        });
+
+        // Facts (built, architect, opening hours...) load alongside the summary
+        this.wikiClient.fetchFacts(poi).then(facts => {
+            if (this.mapCardPOI !== poi || facts.length === 0) return;
+            card.querySelector('.map-card-actions').before(createFactsTable(facts));
+        });
+
+        if (!poi.wikipediaTitle && !poi.wikidataId) return;
 
         try {
-            const pois = await this.poiDetector.fetchNearbyPOIs(
-                position.lat,
-                position.lng,
-                5000
-            );
+            const article = await this.wikiClient.fetchForPOI(poi, { priority: PRIORITY.VISIBLE });
+            // The user may have tapped another marker meanwhile
+            if (this.mapCardPOI !== poi) return;
+
+            card.querySelector('.description').textContent =
+                article.extract || article.description || 'No description available';
+            card.querySelector('.distance').textContent += ` · ${article.lang.toUpperCase()}`;
+
+            if (article.imageUrl) {
+                const image = document.createElement('img');
+                image.className = 'map-card-image';
+                // A CORS request keeps the response cacheable by the service worker (not opaque)
+                if (new URL(article.imageUrl).hostname === 'upload.wikimedia.org') {
+                    image.crossOrigin = 'anonymous';
+                }
+                image.src = article.imageUrl;
+                image.alt = '';
+                card.querySelector('h3').before(image);
+            }
+
+            const readMore = document.createElement('a');
+            readMore.href = '#';
+            readMore.textContent = '📖 Read more →';
+            readMore.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.openArticle(poi, article);
+            });
+            card.querySelector('.map-card-actions').prepend(readMore);
+        } catch (error) {
+            console.error('Failed to fetch article for', poi.name);
+            if (this.mapCardPOI === poi) {
+                card.querySelector('.description').textContent = 'Article unavailable';
+            }
+        }
+    }
+
+    /**
+     * Open a POI's article in the in-app reader
+     * The sheet covers the current view; AR keeps rendering underneath
+     * @param {Object} poi - POI data
+     * @param {Object} [article] - Summary already loaded for the POI (its title and language are reused)
+     */
+    async openArticle(poi, article) {
+        if (!poi.wikipediaTitle && !poi.wikidataId) return;
+
+        if (article && article.source === 'wikidata') {
+            this.articleReader.openCard(article, poi);
+            return;
+        }
+        if (article && article.title && article.lang) {
+            this.articleReader.open(article.title, article.lang, poi);
+            return;
+        }
+
+        try {
+            const resolved = await this.wikiClient.resolveArticle(poi);
+            if (resolved) {
+                this.articleReader.open(resolved.title, resolved.lang, poi);
+            } else {
+                // Wikidata-only POI without an article in any preferred language
+                this.articleReader.openCard(await this.wikiClient.fetchWikidataCard(poi.wikidataId), poi);
+            }
+        } catch (error) {
+            console.error(`Failed to open article for ${poi.name}:`, error);
+        }
+    }
+
+    /**
+     * Show the article language settings
+     */
+    showLanguageScreen() {
+        this.showScreen('language');
+        if (this.overlayRenderer) {
+            this.overlayRenderer.stop();
+        }
+
+        const setting = loadLanguageSetting();
+        this.elements.languageInput.value = setting ? setting.join(', ') : '';
+        this.elements.languageCurrent.textContent =
+            `${setting ? 'Using' : 'Using device languages'}: ${this.wikiClient.languages.join(' → ')}`;
+        this.elements.wikidataOnlyToggle.checked = this.poiDetector.includeWikidataOnly;
+    }
+
+    /**
+     * Show or hide POIs that have a Wikidata item but no Wikipedia article
+     * @param {boolean} enabled
+     */
+    setWikidataOnly(enabled) {
+        saveWikidataOnlySetting(enabled);
+        this.poiDetector.setIncludeWikidataOnly(enabled);
+
+        if (!enabled) {
+            this.lastFetchedPOIs = this.lastFetchedPOIs.filter(poi => poi.wikipediaTitle);
+            if (this.overlayRenderer) {
+                this.overlayRenderer.updatePOIs(this.lastFetchedPOIs);
+            }
+            this._updateVisibleCount();
+        }
+
+        // Wikidata-only POIs are kept in the tile caches, so this reassembles without Overpass
+        this.scheduleCategoryRefetch();
+    }
+
+    /**
+     * Change the preferred article languages and reload visible articles
+     * @param {Array<string>|null} languages - Language codes, or null to follow the device languages
+     */
+    setArticleLanguages(languages) {
+        saveLanguageSetting(languages);
+        this.wikiClient.setLanguages(getPreferredLanguages(languages));
+        this._renderLanguageButton();
+
+        if (this.overlayRenderer) {
+            this.overlayRenderer.refreshArticles();
+        }
+        // Geosearch articles are fetched in the top language
+        if (this.enabledCategories.includes('articles')) {
+            this.scheduleCategoryRefetch();
+        }
+        this.closeSettingsScreen();
+    }
+
+    /**
+     * Show the most preferred article language in the status bar
+     * @private
+     */
+    _renderLanguageButton() {
+        this.elements.languageBtn.textContent = this.wikiClient.language.toUpperCase();
+        this.elements.languageBtn.title = `Article languages: ${this.wikiClient.languages.join(', ')}`;
+    }
+
+    /**
+     * Close the map article card and clear the marker selection
+     */
+    closeMapCard() {
+        this.mapCardPOI = null;
+        this.elements.mapCard.classList.add('hidden');
+        if (this.mapView) {
+            this.mapView.setSelected(null);
+        }
+    }
 
-            // Sort by distance
-            pois.sort((a, b) => a.distance - b.distance);
+    /**
+     * Show offline region pack management
+     */
+    showPacksScreen() {
+        this.showScreen('packs');
+        if (this.overlayRenderer) {
+            this.overlayRenderer.stop();
+        }
+        this.renderPackList();
+    }
 
-            // Render list
-            this.elements.poiList.innerHTML = pois.slice(0, 20).map(poi => `
-                <div class="poi-item">
-                    <h3>${poi.name}</h3>
-                    <div class="distance">${this.formatDistance(poi.distance)}</div>
-                    <div class="description">Loading...</div>
+    /**
+     * Leave pack management or language settings and return to AR
+     */
+    closeSettingsScreen() {
+        if (this.isARActive) {
+            this.showARView();
+        } else {
+            this.showScreen('permission');
+        }
+    }
+
+    /**
+     * Render the list of downloaded packs with size and actions
+     */
+    async renderPackList() {
+        try {
+            const packs = await this.regionPacks.listPacks();
+            if (packs.length === 0) {
+                this.elements.packList.innerHTML = '<p class="note">No regions downloaded yet</p>';
+                return;
+            }
+
+            this.elements.packList.innerHTML = packs.map(pack => `
+                <div class="pack-item">
+                    <h3>${this.escapeHtml(pack.name)}</h3>
+                    <div class="pack-meta">
+                        ${pack.poiCount} POIs · ${pack.articleCount} articles · ${this.formatBytes(pack.size)}
+                        · ${new Date(pack.updatedAt).toLocaleDateString()}
+                    </div>
+                    <button data-pack-action="update" data-pack-id="${pack.id}">Update</button>
+                    <button data-pack-action="delete" data-pack-id="${pack.id}" class="secondary-btn">Delete</button>
                 </div>
             `).join('');
+        } catch (error) {
+            this.elements.packList.innerHTML = `<p class="note">${this.escapeHtml(error.message)}</p>`;
+        }
+    }
 
-            // Fetch Wikipedia data
-            for (const poi of pois.slice(0, 20)) {
-                if (poi.wikipediaTitle) {
-                    try {
-                        const article = await this.wikiClient.fetchByTitle(poi.wikipediaTitle);
-                        // Update description
-                        const items = this.elements.poiList.querySelectorAll('.poi-item');
-                        const index = pois.findIndex(p => p.id === poi.id);
-                        if (items[index]) {
-                            const desc = items[index].querySelector('.description');
-                            desc.textContent = article.description || article.extract || 'No description available';
-                        }
-                    } catch (error) {
-                        console.error('Failed to fetch article for', poi.name);
-                    }
-                }
-            }
+    /**
+     * Download a pack for the city name or bounding box typed by the user
+     */
+    downloadRegionFromInput() {
+        const text = this.elements.packRegionInput.value.trim();
+        if (!text) return;
+
+        const bounds = RegionPackManager.parseBounds(text);
+        const region = bounds
+            ? Promise.resolve({ name: `Area ${text}`, bounds })
+            : this.regionPacks.geocodeCity(text);
+
+        this._runPackTask(() => region.then(r => this.regionPacks.downloadPack(r, this._onPackProgress.bind(this))));
+    }
+
+    /**
+     * Download a pack for the area currently visible (slider distance around the user)
+     */
+    downloadCurrentArea() {
+        const position = this.geolocator.getPosition();
+        if (!position) {
+            this.showError('No GPS position yet');
+            return;
+        }
+
+        const region = {
+            name: `Around ${position.lat.toFixed(3)}, ${position.lng.toFixed(3)}`,
+            bounds: RegionPackManager.boundsAround(position.lat, position.lng, this.maxDistance)
+        };
+        this._runPackTask(() => this.regionPacks.downloadPack(region, this._onPackProgress.bind(this)));
+    }
+
+    /**
+     * Handle update/delete buttons in the pack list
+     * @param {string} action - 'update' or 'delete'
+     * @param {string} packId - Pack id
+     */
+    handlePackAction(action, packId) {
+        if (action === 'update') {
+            this._runPackTask(() => this.regionPacks.updatePack(packId, this._onPackProgress.bind(this)));
+        } else if (action === 'delete' && confirm('Delete this offline region?')) {
+            this._runPackTask(() => this.regionPacks.deletePack(packId));
+        }
+    }
+
+    /**
+     * Run a pack operation with the form disabled, then refresh the list
+     * @param {Function} task - Returns a promise
+     * @private
+     */
+    async _runPackTask(task) {
+        this.elements.packDownloadBtn.disabled = true;
+        this.elements.packHereBtn.disabled = true;
 
+        try {
+            await task();
         } catch (error) {
-            console.error('Map view error:', error);
+            console.error('Region pack error:', error);
+            this.showError(error.message);
+        } finally {
+            this.elements.packDownloadBtn.disabled = false;
+            this.elements.packHereBtn.disabled = false;
+            this.elements.packProgress.classList.add('hidden');
+            this.renderPackList();
         }
     }
 
+    /**
+     * Show pack download progress
+     * @param {Object} progress - { phase, completed, total }
+     * @private
+     */
+    _onPackProgress({ phase, completed, total }) {
+        const labels = {
+            pois: 'Finding landmarks',
+            articles: 'Downloading articles',
+            thumbnails: 'Downloading images',
+            done: 'Saving'
+        };
+        const percent = total > 0 ? Math.round(completed / total * 100) : 0;
+
+        this.elements.packProgress.classList.remove('hidden');
+        this.elements.packProgressBar.style.width = `${percent}%`;
+        this.elements.packProgressLabel.textContent = `${labels[phase] || phase} (${completed}/${total})`;
+    }
+
+    /**
+     * Format byte count for display
+     */
+    formatBytes(bytes) {
+        if (bytes < 1024 * 1024) {
+            return Math.round(bytes / 1024) + 'KB';
+        }
+        return (bytes / (1024 * 1024)).toFixed(1) + 'MB';
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     /**
      * Show specific screen
      */
@@ -524,6 +1304,7 @@ class AugmentedWikiApp {
         // Hide AR controls by default
         const arControls = document.getElementById('ar-controls');
         if (arControls) arControls.style.display = 'none';
+        this.elements.radar.style.display = 'none';
 
         // Show requested screen
         switch (screen) {
@@ -539,8 +1320,15 @@ class AugmentedWikiApp {
             case 'settings':
                 this.elements.settingsScreen.classList.add('active');
                 break;
+            case 'packs':
+                this.elements.packsScreen.classList.add('active');
+                break;
+            case 'language':
+                this.elements.languageScreen.classList.add('active');
+                break;
             case 'ar':
                 if (arControls) arControls.style.display = 'block';
+                this.elements.radar.style.display = 'block';
                 // AR view has no overlay screen - just camera and overlays
                 break;
         }
@@ -576,6 +1364,12 @@ class AugmentedWikiApp {
         if (this.overlayRenderer) {
             this.overlayRenderer.destroy();
         }
+        if (this.radar) {
+            this.radar.destroy();
+        }
+        if (this.mapView) {
+            this.mapView.destroy();
+        }
     }
 }
 
@@ -588,6 +1382,15 @@ if (document.readyState === 'loading') {
     window.app = new AugmentedWikiApp();
 }
 
+// Register service worker for the offline app shell
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js').catch((error) => {
+            console.warn('Service worker registration failed:', error);
+        });
+    });
+}
+
 // Handle page visibility changes (save battery when hidden)
 document.addEventListener('visibilitychange', () => {
     if (document.hidden && window.app && window.app.overlayRenderer) {
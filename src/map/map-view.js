@@ -0,0 +1,702 @@
+/**
+ * MapView - 2D map mode with raster tiles, the user and POI markers
+ * Plain canvas slippy map (no map library): Web Mercator tiles, pan, wheel
+ * and pinch zoom, and tap-to-select markers
+ *
+ * Core responsibilities:
+ * - Load raster tiles from a pluggable tile source (OSM or a local tile server)
+ * - Draw the user's position, uncertainty circle, heading cone and the AR distance range
+ * - Draw POI markers in their label colors and report taps via `onSelect(poi)`
+ * - Follow the user until they pan away; `recenter()` resumes following
+ */
+
+import { getLabelStyle } from '../core/poi-categories.js';
+
+const TILE_SIZE = 256;
+const MIN_ZOOM = 3;
+const DEFAULT_ZOOM = 15;
+const MAX_LAT = 85.05112878; // Web Mercator limit
+
+// Meters per pixel at zoom 0 on the equator (256px tiles)
+const EQUATOR_METERS_PER_PIXEL = 156543.03392;
+
+const MARKER_RADIUS = 7;
+const SELECTED_MARKER_RADIUS = 10;
+const TAP_RADIUS = 20; // CSS pixels
+const TAP_MOVE_TOLERANCE = 8; // Pointer travel (CSS pixels) still counted as a tap
+const HEADING_CONE_LENGTH = 48;
+
+/**
+ * Raster tile source with an in-memory image cache
+ * Any {z}/{x}/{y} template works, e.g. a self-hosted server: '/tiles/{z}/{x}/{y}.png'
+ */
+export class RasterTileSource {
+  /**
+   * @param {Object} options
+   * @param {string} options.urlTemplate - Tile URL with {z}, {x}, {y} and optional {s} placeholders
+   * @param {string} [options.attribution] - Attribution text shown on the map (required by most providers)
+   * @param {Array<string>} [options.subdomains=[]] - Values for {s}, picked per tile
+   * @param {number} [options.minZoom=0] - Lowest zoom the server provides
+   * @param {number} [options.maxZoom=19] - Highest zoom the server provides
+   * @param {number} [options.maxTiles=256] - Decoded tiles kept in memory
+   */
+  constructor({ urlTemplate, attribution = '', subdomains = [], minZoom = 0, maxZoom = 19, maxTiles = 256 }) {
+    if (!urlTemplate) {
+      throw new Error('Tile URL template is required');
+    }
+
+    this.urlTemplate = urlTemplate;
+    this.attribution = attribution;
+    this.subdomains = subdomains;
+    this.minZoom = minZoom;
+    this.maxZoom = maxZoom;
+    this.maxTiles = maxTiles;
+
+    // Tiles in least-recently-used order: Map<key, {image, loaded}>
+    this.tiles = new Map();
+  }
+
+  /**
+   * Get a tile image, starting the download if needed
+   * @param {number} x - Tile column
+   * @param {number} y - Tile row
+   * @param {number} z - Zoom level
+   * @param {Function} onLoad - Called once a tile that was not ready has loaded
+   * @returns {HTMLImageElement|null} Loaded image, or null while loading or failed
+   */
+  getTile(x, y, z, onLoad) {
+    const key = `${z}/${x}/${y}`;
+    let tile = this.tiles.get(key);
+
+    if (tile) {
+      // Touch for LRU ordering
+      this.tiles.delete(key);
+      this.tiles.set(key, tile);
+      return tile.loaded ? tile.image : null;
+    }
+
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    tile = { image, loaded: false };
+    image.onload = () => {
+      tile.loaded = true;
+      onLoad();
+    };
+    image.onerror = () => {
+      // Kept as a failed entry so the tile is not requested on every frame
+      console.warn(`Map tile ${key} unavailable`);
+    };
+    image.src = this.getTileUrl(x, y, z);
+
+    this.tiles.set(key, tile);
+    if (this.tiles.size > this.maxTiles) {
+      this.tiles.delete(this.tiles.keys().next().value);
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the URL of a tile
+   * @param {number} x - Tile column
+   * @param {number} y - Tile row
+   * @param {number} z - Zoom level
+   * @returns {string} Tile URL
+   */
+  getTileUrl(x, y, z) {
+    const subdomain = this.subdomains.length > 0
+      ? this.subdomains[(x + y) % this.subdomains.length]
+      : '';
+
+    return this.urlTemplate
+      .replace('{s}', subdomain)
+      .replace('{z}', z)
+      .replace('{x}', x)
+      .replace('{y}', y);
+  }
+}
+
+/**
+ * Default tile source: the OpenStreetMap standard layer
+ * Subject to the OSMF tile usage policy - use a local tile server for heavy use
+ * @returns {RasterTileSource}
+ */
+export function createOSMTileSource() {
+  return new RasterTileSource({
+    urlTemplate: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '© OpenStreetMap contributors',
+    maxZoom: 19
+  });
+}
+
+/**
+ * Convert a location to world pixel coordinates at a zoom level
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} zoom - Zoom level (may be fractional)
+ * @returns {Object} {x, y} in pixels
+ */
+function project(lat, lng, zoom) {
+  const worldSize = TILE_SIZE * Math.pow(2, zoom);
+  const clampedLat = Math.max(-MAX_LAT, Math.min(MAX_LAT, lat));
+  const sinLat = Math.sin(clampedLat * Math.PI / 180);
+
+  return {
+    x: (lng + 180) / 360 * worldSize,
+    y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * worldSize
+  };
+}
+
+/**
+ * Convert world pixel coordinates back to a location
+ * @param {number} x - World x in pixels
+ * @param {number} y - World y in pixels
+ * @param {number} zoom - Zoom level (may be fractional)
+ * @returns {Object} {lat, lng}
+ */
+function unproject(x, y, zoom) {
+  const worldSize = TILE_SIZE * Math.pow(2, zoom);
+  const n = Math.PI - 2 * Math.PI * y / worldSize;
+
+  return {
+    lat: Math.atan(Math.sinh(n)) * 180 / Math.PI,
+    lng: x / worldSize * 360 - 180
+  };
+}
+
+export class MapView {
+  /**
+   * @param {HTMLElement} container - Element the map canvas fills
+   * @param {Object} [options]
+   * @param {RasterTileSource} [options.tileSource] - Tile source (default: OpenStreetMap)
+   * @param {number} [options.zoom=15] - Initial zoom
+   * @param {number} [options.maxDistance=5000] - AR distance range drawn around the user (meters)
+   * @param {number} [options.fov=60] - Camera FOV used for the heading cone (degrees)
+   * @param {Function} [options.onSelect] - Called with the POI whose marker was tapped, or null for a tap on empty map
+   */
+  constructor(container, options = {}) {
+    if (!container) {
+      throw new Error('Map container is required');
+    }
+
+    this.container = container;
+    this.tileSource = options.tileSource || createOSMTileSource();
+    this.zoom = options.zoom || DEFAULT_ZOOM;
+    this.maxDistance = options.maxDistance || 5000;
+    this.fov = options.fov || 60;
+    this.onSelect = options.onSelect || null;
+
+    this.center = null; // {lat, lng}, set from the first user position
+    this.followUser = true;
+    this.userPosition = null;
+    this.heading = null;
+    this.pois = [];
+    this.selectedId = null;
+
+    // Marker positions of the last draw, for hit testing taps
+    this.markers = [];
+    this.frameRequested = false;
+
+    // Active pointers for pan and pinch: Map<pointerId, {x, y}>
+    this.pointers = new Map();
+    this.gesture = null;
+
+    this._setupDOM();
+    this._bindEvents();
+  }
+
+  /**
+   * Create the canvas and attribution elements
+   * @private
+   */
+  _setupDOM() {
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'map-canvas';
+    this.canvas.style.touchAction = 'none'; // Gestures are handled here, not by the browser
+    this.context = this.canvas.getContext('2d');
+
+    this.attribution = document.createElement('div');
+    this.attribution.className = 'map-attribution';
+    this.attribution.textContent = this.tileSource.attribution;
+
+    this.container.appendChild(this.canvas);
+    this.container.appendChild(this.attribution);
+  }
+
+  /**
+   * Bind pointer, wheel and resize listeners
+   * @private
+   */
+  _bindEvents() {
+    this.handlers = {
+      pointerdown: (e) => this._onPointerDown(e),
+      pointermove: (e) => this._onPointerMove(e),
+      pointerup: (e) => this._onPointerUp(e),
+      pointercancel: (e) => this._onPointerUp(e),
+      wheel: (e) => this._onWheel(e)
+    };
+
+    for (const [type, handler] of Object.entries(this.handlers)) {
+      this.canvas.addEventListener(type, handler, type === 'wheel' ? { passive: false } : undefined);
+    }
+
+    this.resizeHandler = () => this.resize();
+    window.addEventListener('resize', this.resizeHandler);
+  }
+
+  /**
+   * Match the canvas to the container size
+   * Call after the container becomes visible (it has no size while hidden)
+   */
+  resize() {
+    const ratio = window.devicePixelRatio || 1;
+    this.width = this.container.clientWidth;
+    this.height = this.container.clientHeight;
+
+    this.canvas.width = Math.round(this.width * ratio);
+    this.canvas.height = Math.round(this.height * ratio);
+    this.canvas.style.width = `${this.width}px`;
+    this.canvas.style.height = `${this.height}px`;
+    this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+    this._requestDraw();
+  }
+
+  /**
+   * Update the user's position (the map follows it unless the user panned away)
+   * @param {Object} position - {lat, lng, uncertainty}
+   */
+  setUserPosition(position) {
+    this.userPosition = position;
+    if (this.followUser || !this.center) {
+      this.center = { lat: position.lat, lng: position.lng };
+    }
+    this._requestDraw();
+  }
+
+  /**
+   * Update the compass heading shown by the heading cone
+   * @param {number} heading - Degrees from north
+   */
+  setHeading(heading) {
+    this.heading = heading;
+    this._requestDraw();
+  }
+
+  /**
+   * Replace the POI markers
+   * @param {Array} pois - POIs with `distance` relative to the user
+   */
+  setPOIs(pois) {
+    this.pois = pois;
+    if (this.selectedId && !pois.some(poi => poi.id === this.selectedId)) {
+      this.selectedId = null;
+    }
+    this._requestDraw();
+  }
+
+  /**
+   * Update the AR distance range (POIs beyond it are not drawn)
+   * @param {number} distance - Distance in meters
+   */
+  setMaxDistance(distance) {
+    this.maxDistance = distance;
+    this._requestDraw();
+  }
+
+  /**
+   * Highlight a POI marker
+   * @param {string|null} poiId - POI id, or null to clear
+   */
+  setSelected(poiId) {
+    this.selectedId = poiId;
+    this._requestDraw();
+  }
+
+  /**
+   * Center on the user again and follow their position
+   */
+  recenter() {
+    this.followUser = true;
+    if (this.userPosition) {
+      this.center = { lat: this.userPosition.lat, lng: this.userPosition.lng };
+    }
+    this._requestDraw();
+  }
+
+  /**
+   * Zoom by a factor of 2^delta, keeping a screen point fixed
+   * @param {number} delta - Zoom change (may be fractional)
+   * @param {number} [anchorX] - Screen x to keep fixed (default: center)
+   * @param {number} [anchorY] - Screen y to keep fixed (default: center)
+   */
+  zoomBy(delta, anchorX = this.width / 2, anchorY = this.height / 2) {
+    if (!this.center) return;
+
+    const newZoom = Math.max(MIN_ZOOM, Math.min(this.tileSource.maxZoom, this.zoom + delta));
+    const anchor = this._screenToLatLng(anchorX, anchorY);
+
+    this.zoom = newZoom;
+
+    // Shift the center so the anchor stays under the same screen point
+    const anchorWorld = project(anchor.lat, anchor.lng, this.zoom);
+    this.center = unproject(
+      anchorWorld.x - (anchorX - this.width / 2),
+      anchorWorld.y - (anchorY - this.height / 2),
+      this.zoom
+    );
+    this._requestDraw();
+  }
+
+  /**
+   * Convert a location to screen coordinates
+   * @private
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {Object} {x, y} in CSS pixels
+   */
+  _latLngToScreen(lat, lng) {
+    const point = project(lat, lng, this.zoom);
+    const center = project(this.center.lat, this.center.lng, this.zoom);
+    return {
+      x: this.width / 2 + point.x - center.x,
+      y: this.height / 2 + point.y - center.y
+    };
+  }
+
+  /**
+   * Convert screen coordinates to a location
+   * @private
+   * @param {number} x - Screen x in CSS pixels
+   * @param {number} y - Screen y in CSS pixels
+   * @returns {Object} {lat, lng}
+   */
+  _screenToLatLng(x, y) {
+    const center = project(this.center.lat, this.center.lng, this.zoom);
+    return unproject(center.x + x - this.width / 2, center.y + y - this.height / 2, this.zoom);
+  }
+
+  /**
+   * Coalesce updates into one draw per animation frame
+   * @private
+   */
+  _requestDraw() {
+    if (this.frameRequested) return;
+
+    this.frameRequested = true;
+    requestAnimationFrame(() => {
+      this.frameRequested = false;
+      this._draw();
+    });
+  }
+
+  /**
+   * Draw tiles, range, POIs and the user
+   * @private
+   */
+  _draw() {
+    const ctx = this.context;
+    ctx.fillStyle = '#1a1a1a';
+    ctx.fillRect(0, 0, this.width, this.height);
+
+    if (!this.center || !this.width) return;
+
+    this._drawTiles();
+
+    const metersPerPixel = EQUATOR_METERS_PER_PIXEL * Math.cos(this.center.lat * Math.PI / 180) / Math.pow(2, this.zoom);
+    const user = this.userPosition ? this._latLngToScreen(this.userPosition.lat, this.userPosition.lng) : null;
+
+    // AR distance range
+    if (user) {
+      ctx.strokeStyle = 'rgba(0, 122, 255, 0.6)';
+      ctx.lineWidth = 2;
+      ctx.setLineDash([6, 6]);
+      ctx.beginPath();
+      ctx.arc(user.x, user.y, this.maxDistance / metersPerPixel, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    this._drawMarkers();
+
+    if (user) {
+      this._drawUser(user, metersPerPixel);
+    }
+  }
+
+  /**
+   * Draw the raster tiles covering the view
+   * Missing tiles are replaced by a scaled-up parent tile while they load
+   * @private
+   */
+  _drawTiles() {
+    const ctx = this.context;
+    const tileZoom = Math.max(this.tileSource.minZoom, Math.min(this.tileSource.maxZoom, Math.round(this.zoom)));
+    const scale = Math.pow(2, this.zoom - tileZoom);
+    const size = TILE_SIZE * scale;
+    const n = Math.pow(2, tileZoom);
+
+    const center = project(this.center.lat, this.center.lng, tileZoom);
+    const originX = this.width / 2 - center.x * scale;
+    const originY = this.height / 2 - center.y * scale;
+
+    const minX = Math.floor(-originX / size);
+    const maxX = Math.floor((this.width - originX) / size);
+    const minY = Math.max(0, Math.floor(-originY / size));
+    const maxY = Math.min(n - 1, Math.floor((this.height - originY) / size));
+    const onLoad = () => this._requestDraw();
+
+    for (let y = minY; y <= maxY; y++) {
+      for (let x = minX; x <= maxX; x++) {
+        const wrappedX = ((x % n) + n) % n; // Wrap at the dateline
+        const left = originX + x * size;
+        const top = originY + y * size;
+
+        const image = this.tileSource.getTile(wrappedX, y, tileZoom, onLoad);
+        if (image) {
+          ctx.drawImage(image, left, top, size, size);
+          continue;
+        }
+
+        // Parent tile placeholder (only if already loaded - never requested here)
+        if (tileZoom > this.tileSource.minZoom) {
+          const parent = this.tileSource.tiles.get(`${tileZoom - 1}/${wrappedX >> 1}/${y >> 1}`);
+          if (parent && parent.loaded) {
+            const half = TILE_SIZE / 2;
+            ctx.drawImage(parent.image, (wrappedX & 1) * half, (y & 1) * half, half, half, left, top, size, size);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Draw POI markers within the distance range
+   * @private
+   */
+  _drawMarkers() {
+    const ctx = this.context;
+    this.markers = [];
+    let selected = null;
+
+    // Farthest first so nearer markers end up on top
+    const inRange = this.pois
+      .filter(poi => poi.distance <= this.maxDistance)
+      .sort((a, b) => b.distance - a.distance);
+
+    inRange.forEach(poi => {
+      const point = this._latLngToScreen(poi.lat, poi.lng);
+      if (point.x < -TAP_RADIUS || point.x > this.width + TAP_RADIUS ||
+        point.y < -TAP_RADIUS || point.y > this.height + TAP_RADIUS) {
+        return;
+      }
+
+      const marker = { poi, x: point.x, y: point.y };
+      this.markers.push(marker);
+
+      if (poi.id === this.selectedId) {
+        selected = marker;
+        return;
+      }
+      this._drawMarker(marker, MARKER_RADIUS);
+    });
+
+    if (selected) {
+      this._drawMarker(selected, SELECTED_MARKER_RADIUS);
+    }
+  }
+
+  /**
+   * Draw one POI marker
+   * @private
+   * @param {Object} marker - {poi, x, y}
+   * @param {number} radius - Marker radius in CSS pixels
+   */
+  _drawMarker(marker, radius) {
+    const ctx = this.context;
+    ctx.fillStyle = getLabelStyle(marker.poi.tags).color;
+    ctx.strokeStyle = 'white';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(marker.x, marker.y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  }
+
+  /**
+   * Draw the user dot, position uncertainty circle and heading cone
+   * @private
+   * @param {Object} user - Screen position {x, y}
+   * @param {number} metersPerPixel - Current map scale
+   */
+  _drawUser(user, metersPerPixel) {
+    const ctx = this.context;
+
+    if (this.userPosition.uncertainty) {
+      ctx.fillStyle = 'rgba(0, 122, 255, 0.15)';
+      ctx.beginPath();
+      ctx.arc(user.x, user.y, this.userPosition.uncertainty / metersPerPixel, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // Heading cone (canvas angles start at east, compass at north)
+    if (this.heading !== null) {
+      const headingRad = (this.heading - 90) * Math.PI / 180;
+      const halfFov = (this.fov / 2) * Math.PI / 180;
+      const gradient = ctx.createRadialGradient(user.x, user.y, 0, user.x, user.y, HEADING_CONE_LENGTH);
+      gradient.addColorStop(0, 'rgba(0, 122, 255, 0.6)');
+      gradient.addColorStop(1, 'rgba(0, 122, 255, 0)');
+
+      ctx.fillStyle = gradient;
+      ctx.beginPath();
+      ctx.moveTo(user.x, user.y);
+      ctx.arc(user.x, user.y, HEADING_CONE_LENGTH, headingRad - halfFov, headingRad + halfFov);
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    ctx.fillStyle = '#007aff';
+    ctx.strokeStyle = 'white';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(user.x, user.y, 7, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  }
+
+  /**
+   * Pointer position relative to the canvas
+   * @private
+   * @param {PointerEvent} e - Pointer event
+   * @returns {Object} {x, y} in CSS pixels
+   */
+  _getPointerPosition(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+
+  /**
+   * Start a pan (one pointer) or pinch (two pointers)
+   * @private
+   * @param {PointerEvent} e - Pointer event
+   */
+  _onPointerDown(e) {
+    this.canvas.setPointerCapture(e.pointerId);
+    const position = this._getPointerPosition(e);
+    this.pointers.set(e.pointerId, position);
+
+    if (this.pointers.size === 1) {
+      this.gesture = { type: 'pan', start: position, last: position, moved: false };
+    } else if (this.pointers.size === 2) {
+      const [a, b] = [...this.pointers.values()];
+      this.gesture = {
+        type: 'pinch',
+        distance: Math.hypot(a.x - b.x, a.y - b.y),
+        moved: true
+      };
+    }
+  }
+
+  /**
+   * Pan or pinch-zoom while pointers move
+   * @private
+   * @param {PointerEvent} e - Pointer event
+   */
+  _onPointerMove(e) {
+    if (!this.pointers.has(e.pointerId) || !this.gesture || !this.center) return;
+
+    const position = this._getPointerPosition(e);
+    this.pointers.set(e.pointerId, position);
+
+    if (this.gesture.type === 'pan') {
+      const { start, last } = this.gesture;
+      if (Math.hypot(position.x - start.x, position.y - start.y) > TAP_MOVE_TOLERANCE) {
+        this.gesture.moved = true;
+      }
+      if (!this.gesture.moved) return;
+
+      const center = project(this.center.lat, this.center.lng, this.zoom);
+      this.center = unproject(center.x - (position.x - last.x), center.y - (position.y - last.y), this.zoom);
+      this.gesture.last = position;
+      this.followUser = false;
+      this._requestDraw();
+    } else if (this.gesture.type === 'pinch' && this.pointers.size === 2) {
+      const [a, b] = [...this.pointers.values()];
+      const distance = Math.hypot(a.x - b.x, a.y - b.y);
+      if (distance > 0 && this.gesture.distance > 0) {
+        this.zoomBy(Math.log2(distance / this.gesture.distance), (a.x + b.x) / 2, (a.y + b.y) / 2);
+        this.followUser = false;
+      }
+      this.gesture.distance = distance;
+    }
+  }
+
+  /**
+   * End a gesture; a pointer that barely moved is a tap on the nearest marker
+   * @private
+   * @param {PointerEvent} e - Pointer event
+   */
+  _onPointerUp(e) {
+    if (!this.pointers.has(e.pointerId)) return;
+    this.pointers.delete(e.pointerId);
+
+    const gesture = this.gesture;
+    if (this.pointers.size === 1) {
+      // Pinch ended with one finger down - continue as a pan from there
+      const remaining = [...this.pointers.values()][0];
+      this.gesture = { type: 'pan', start: remaining, last: remaining, moved: true };
+      return;
+    }
+    this.gesture = null;
+
+    if (e.type === 'pointerup' && gesture && gesture.type === 'pan' && !gesture.moved) {
+      this._selectAt(this._getPointerPosition(e));
+    }
+  }
+
+  /**
+   * Zoom with the mouse wheel or trackpad around the cursor
+   * @private
+   * @param {WheelEvent} e - Wheel event
+   */
+  _onWheel(e) {
+    e.preventDefault();
+    const position = this._getPointerPosition(e);
+    this.zoomBy(-e.deltaY / 500, position.x, position.y);
+    this.followUser = false;
+  }
+
+  /**
+   * Select the marker nearest to a tap, or clear the selection
+   * @private
+   * @param {Object} point - Tap position {x, y}
+   */
+  _selectAt(point) {
+    let nearest = null;
+    let nearestDistance = TAP_RADIUS;
+    this.markers.forEach(marker => {
+      const distance = Math.hypot(marker.x - point.x, marker.y - point.y);
+      if (distance < nearestDistance) {
+        nearest = marker;
+        nearestDistance = distance;
+      }
+    });
+
+    const poi = nearest ? nearest.poi : null;
+    this.setSelected(poi ? poi.id : null);
+    if (this.onSelect) this.onSelect(poi);
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    for (const [type, handler] of Object.entries(this.handlers)) {
+      this.canvas.removeEventListener(type, handler);
+    }
+    window.removeEventListener('resize', this.resizeHandler);
+    this.container.innerHTML = '';
+    this.pois = [];
+    this.markers = [];
+  }
+}
@@ -8,6 +8,9 @@
 // Earth's mean radius in meters (WGS84)
 const EARTH_RADIUS = 6371000;
 
+// Standard refraction coefficient - light bends around the Earth's curve a little
+const ATMOSPHERIC_REFRACTION = 0.13;
+
 /**
  * Convert degrees to radians
  * @param {number} degrees - Angle in degrees
@@ -126,35 +129,142 @@ export function calculateBearing(lat1, lng1, lat2, lng2) {
   return bearing;
 }
 
+/**
+ * Convert a POI into the user's local east-north-up (ENU) frame
+ * Horizontal offsets follow the great-circle distance and bearing; the up
+ * component is the height difference (when both elevations are known) minus
+ * the Earth's curvature drop, so distant POIs sink below the horizon the way
+ * they do through a real camera
+ * @private
+ * @param {Object} userLocation - User position {lat, lng, elevation?}
+ * @param {Object} poiLocation - POI position {lat, lng, elevation?}
+ * @returns {Object} {east, north, up, distance, bearing} in meters/degrees
+ */
+function toLocalENU(userLocation, poiLocation) {
+  const distance = calculateDistance(
+    userLocation.lat,
+    userLocation.lng,
+    poiLocation.lat,
+    poiLocation.lng
+  );
+
+  const bearing = calculateBearing(
+    userLocation.lat,
+    userLocation.lng,
+    poiLocation.lat,
+    poiLocation.lng
+  );
+
+  // Without both elevations, assume the POI is level with the user
+  const heightDifference = Number.isFinite(userLocation.elevation) && Number.isFinite(poiLocation.elevation)
+    ? poiLocation.elevation - userLocation.elevation
+    : 0;
+
+  // Curvature drop d²/2R, reduced by standard atmospheric refraction
+  const curvatureDrop = (distance * distance) / (2 * EARTH_RADIUS) * (1 - ATMOSPHERIC_REFRACTION);
+
+  return {
+    east: distance * Math.sin(toRadians(bearing)),
+    north: distance * Math.cos(toRadians(bearing)),
+    up: heightDifference - curvatureDrop,
+    distance,
+    bearing
+  };
+}
+
+/**
+ * Device-to-world rotation matrix from W3C DeviceOrientation angles
+ * R = Rz(alpha) · Rx(beta) · Ry(gamma), with alpha = -heading because the
+ * heading is clockwise from north while alpha turns counter-clockwise
+ * Device frame: x right, y toward the top of the screen, z out of the screen
+ * World frame: x east, y north, z up
+ * @private
+ * @param {number} heading - Compass heading in degrees (0=north, clockwise)
+ * @param {number} beta - Front-to-back tilt in degrees (90 = upright)
+ * @param {number} gamma - Left-to-right tilt in degrees
+ * @returns {Array<Array<number>>} 3x3 rotation matrix (rows)
+ */
+function getDeviceRotationMatrix(heading, beta, gamma) {
+  const a = toRadians(-heading);
+  const b = toRadians(beta);
+  const g = toRadians(gamma);
+
+  const cA = Math.cos(a), sA = Math.sin(a);
+  const cB = Math.cos(b), sB = Math.sin(b);
+  const cG = Math.cos(g), sG = Math.sin(g);
+
+  return [
+    [cA * cG - sA * sB * sG, -sA * cB, cA * sG + sA * sB * cG],
+    [sA * cG + cA * sB * sG, cA * cB, sA * sG - cA * sB * cG],
+    [-cB * sG, sB, cB * cG]
+  ];
+}
+
+/**
+ * Rotate a world (ENU) vector into the device frame (transpose of R)
+ * @private
+ * @param {Array<Array<number>>} R - Device-to-world rotation matrix
+ * @param {number} east - East component
+ * @param {number} north - North component
+ * @param {number} up - Up component
+ * @returns {Object} Device frame vector {x, y, z}
+ */
+function worldToDevice(R, east, north, up) {
+  return {
+    x: R[0][0] * east + R[1][0] * north + R[2][0] * up,
+    y: R[0][1] * east + R[1][1] * north + R[2][1] * up,
+    z: R[0][2] * east + R[1][2] * north + R[2][2] * up
+  };
+}
+
+/**
+ * Vertical field of view of the camera image on a screen
+ * The focal length comes from the horizontal FOV and pixels are square, so the
+ * vertical extent follows from the aspect ratio (a 60° phone in portrait sees ~92°)
+ * @param {number} horizontalFOV - Horizontal field of view in degrees
+ * @param {number} screenWidth - Screen width in pixels
+ * @param {number} screenHeight - Screen height in pixels
+ * @returns {number} Vertical field of view in degrees
+ */
+export function getVerticalFOV(horizontalFOV, screenWidth, screenHeight) {
+  return toDegrees(2 * Math.atan(Math.tan(toRadians(horizontalFOV / 2)) * screenHeight / screenWidth));
+}
+
 /**
  * Project GPS coordinates to screen pixel coordinates for AR overlay
- * Calculates where a POI should appear on screen based on user's position,
- * device orientation (heading/pitch), and camera field of view
+ * Pinhole camera model: the POI is converted to local ENU coordinates, rotated
+ * into the device frame by heading, pitch and roll, and projected through the
+ * camera intrinsics. The rear camera looks along the device's -z axis.
+ * Focal length comes from the horizontal FOV; pixels are square, so the
+ * vertical extent follows from the screen aspect ratio (see getVerticalFOV).
  * 
  * @param {Object} userLocation - User's current GPS position
  * @param {number} userLocation.lat - User latitude (decimal degrees)
  * @param {number} userLocation.lng - User longitude (decimal degrees)
+ * @param {number} [userLocation.elevation] - Device height above sea level in meters
  * @param {Object} poiLocation - POI GPS position
  * @param {number} poiLocation.lat - POI latitude (decimal degrees)
  * @param {number} poiLocation.lng - POI longitude (decimal degrees)
+ * @param {number} [poiLocation.elevation] - POI height above sea level in meters
  * @param {number} deviceHeading - Compass heading in degrees (0=north, 0-360)
- * @param {number} devicePitch - Device tilt angle in degrees (-90 to 90, 0=horizontal, positive=looking up)
+ * @param {number} devicePitch - W3C beta in degrees (0=flat on its back, 90=upright with camera at the horizon, >90=camera tilted up)
  * @param {number} screenWidth - Screen width in pixels
  * @param {number} screenHeight - Screen height in pixels
  * @param {number} [horizontalFOV=60] - Camera horizontal field of view in degrees (typically 50-70)
- * @param {number} [verticalFOV=45] - Camera vertical field of view in degrees (typically 40-50)
- * @returns {Object|null} Screen coordinates {x, y} in pixels, or null if POI is behind camera
+ * @param {number} [deviceRoll=0] - W3C gamma in degrees (left-to-right tilt)
+ * @returns {Object|null} {x, y, distance, bearing, rotation} with `rotation` the clockwise
+ *   angle in degrees that keeps a label level with the horizon, or null if off screen or behind the camera
  * 
  * @example
  * const screenPos = projectToScreen(
  *   { lat: 40.7128, lng: -74.0060 }, // User in NYC
  *   { lat: 40.7489, lng: -73.9680 }, // Empire State Building
  *   45,    // Looking northeast
- *   0,     // Looking straight ahead
- *   1920,  // Screen width
- *   1080,  // Screen height
+ *   90,    // Phone upright, camera at the horizon
+ *   1080,  // Screen width
+ *   1920,  // Screen height
  *   60,    // 60° horizontal FOV
- *   45     // 45° vertical FOV
+ *   0      // No roll
  * );
  */
 export function projectToScreen(
@@ -165,87 +275,41 @@ export function projectToScreen(
   screenWidth,
   screenHeight,
   horizontalFOV = 60,
-  verticalFOV = 45
+  deviceRoll = 0
 ) {
-  // Calculate bearing and distance to POI
-  const bearingToPOI = calculateBearing(
-    userLocation.lat,
-    userLocation.lng,
-    poiLocation.lat,
-    poiLocation.lng
-  );
-  
-  const distance = calculateDistance(
-    userLocation.lat,
-    userLocation.lng,
-    poiLocation.lat,
-    poiLocation.lng
-  );
-  
-  // Calculate horizontal angle difference (azimuth)
-  // Normalize device heading
-  const normalizedHeading = normalizeAngle(deviceHeading);
-  
-  // Calculate angle from device heading to POI
-  let azimuthDiff = bearingToPOI - normalizedHeading;
-  
-  // Normalize to -180 to 180 range
-  if (azimuthDiff > 180) {
-    azimuthDiff -= 360;
-  } else if (azimuthDiff < -180) {
-    azimuthDiff += 360;
+  const enu = toLocalENU(userLocation, poiLocation);
+  const R = getDeviceRotationMatrix(normalizeAngle(deviceHeading), devicePitch, deviceRoll);
+  const device = worldToDevice(R, enu.east, enu.north, enu.up);
+
+  // Camera looks along -z; anything at or behind the lens plane can't be projected
+  const depth = -device.z;
+  if (depth <= 0) {
+    return null;
   }
-  
-  // Check if POI is within horizontal FOV
-  const halfHFOV = horizontalFOV / 2;
-  if (Math.abs(azimuthDiff) > halfHFOV) {
-    return null; // POI is outside horizontal view
+
+  // Intrinsics: principal point at screen center, same focal length on both axes
+  const focalLength = (screenWidth / 2) / Math.tan(toRadians(horizontalFOV / 2));
+  const x = screenWidth / 2 + focalLength * (device.x / depth);
+  const y = screenHeight / 2 - focalLength * (device.y / depth);
+
+  if (x < 0 || x > screenWidth || y < 0 || y > screenHeight) {
+    return null; // Outside the camera image
   }
-  
-  // Calculate vertical angle (elevation)
-  // Since we don't have altitude data for POIs, we can't accurately calculate
-  // their elevation angle. Instead, position POIs vertically based on distance
-  // to create depth perception: closer POIs appear lower, farther ones higher
-  
-  // Project to screen coordinates
-  // Map angle differences to pixel positions
-  // Center of screen is (screenWidth/2, screenHeight/2)
-  
-  // Horizontal position: map azimuthDiff from [-halfHFOV, +halfHFOV] to [0, screenWidth]
-  // azimuthDiff is in degrees, normalize to percentage of FOV, then map to screen
-  const normalizedHorizontal = azimuthDiff / horizontalFOV; // -0.5 to 0.5 for full FOV
-  const x = (screenWidth / 2) + (normalizedHorizontal * screenWidth);
-  
+
+  // World up as seen on screen - rotating labels by this angle keeps them level when the phone rolls
+  const rotation = toDegrees(Math.atan2(R[2][0], R[2][1]));
+
   // Debug occasionally
   if (Math.random() < 0.02) {
-    console.log(`Horizontal: heading=${deviceHeading.toFixed(1)}°, bearingToPOI=${bearingToPOI.toFixed(1)}°, azimuthDiff=${azimuthDiff.toFixed(1)}°, x=${x.toFixed(0)}px (screen center=${screenWidth/2})`);
+    console.log(`Projection: heading=${deviceHeading.toFixed(1)}°, pitch=${devicePitch.toFixed(1)}°, roll=${deviceRoll.toFixed(1)}°, bearingToPOI=${enu.bearing.toFixed(1)}° -> (${x.toFixed(0)}, ${y.toFixed(0)})px, rotation=${rotation.toFixed(1)}°`);
   }
-  
-  // Vertical position: Distribute across screen height based on distance
-  // Use actual distance range for better distribution
-  // Closer POIs appear in middle to lower screen, farther ones in upper to middle screen
-  // This creates natural depth perception without requiring altitude data
-  
-  // Use a more realistic max distance based on typical visibility (5km)
-  const effectiveMaxDistance = 5000; // 5km typical max for AR visibility
-  const normalizedDistance = Math.min(distance / effectiveMaxDistance, 1.0);
-  
-  // Map to screen: 0m->85%, 5km->10% (Using more vertical screen space)
-  // This spreads POIs from 10% to 85% of screen height (75% of total height)
-  const yPercent = 0.85 - (normalizedDistance * 0.75);
-  
-  const y = screenHeight * yPercent;
-  
-  // Debug: log distance distribution occasionally
-  if (Math.random() < 0.05) {
-    console.log(`POI at ${distance.toFixed(0)}m -> y=${y.toFixed(0)}px (${(yPercent*100).toFixed(0)}% from top)`);
-  }
-  
+
   return {
     x: Math.round(x),
     y: Math.round(y),
-    distance: distance,
-    bearing: bearingToPOI
+    distance: enu.distance,
+    bearing: enu.bearing,
+    rotation
   };
 }
 
@@ -253,18 +317,24 @@ export function projectToScreen(
  * Determine if a POI is within the camera's view frustum
  * Checks if a point of interest would be visible on screen given device orientation
  * More efficient than full projection when you only need visibility check
+ * Uses the same camera model as projectToScreen, with FOV angles instead of
+ * screen dimensions: pass getVerticalFOV(horizontalFOV, width, height) as the
+ * vertical FOV to cull exactly what projectToScreen would show
  * 
  * @param {Object} userLocation - User's current GPS position
  * @param {number} userLocation.lat - User latitude (decimal degrees)
  * @param {number} userLocation.lng - User longitude (decimal degrees)
+ * @param {number} [userLocation.elevation] - Device height above sea level in meters
  * @param {Object} poiLocation - POI GPS position
  * @param {number} poiLocation.lat - POI latitude (decimal degrees)
  * @param {number} poiLocation.lng - POI longitude (decimal degrees)
+ * @param {number} [poiLocation.elevation] - POI height above sea level in meters
  * @param {number} deviceHeading - Compass heading in degrees (0=north, 0-360)
- * @param {number} devicePitch - Device tilt angle in degrees (-90 to 90)
+ * @param {number} devicePitch - W3C beta in degrees (90=upright, camera at the horizon)
  * @param {number} [horizontalFOV=60] - Camera horizontal field of view in degrees
- * @param {number} [verticalFOV=45] - Camera vertical field of view in degrees
+ * @param {number} [verticalFOV=45] - Camera vertical field of view in degrees (see getVerticalFOV)
  * @param {number} [maxDistance=5000] - Maximum visibility distance in meters (default 5km)
+ * @param {number} [deviceRoll=0] - W3C gamma in degrees (left-to-right tilt)
  * @returns {boolean} True if POI is visible in camera view
  * 
  * @example
@@ -272,9 +342,9 @@ export function projectToScreen(
  *   { lat: 40.7128, lng: -74.0060 },
  *   { lat: 40.7489, lng: -73.9680 },
  *   45,   // Looking northeast
- *   0,    // Looking straight ahead
+ *   90,   // Phone upright
  *   60,   // 60° FOV horizontal
- *   45,   // 45° FOV vertical
+ *   getVerticalFOV(60, 1080, 1920), // ~92° FOV vertical in portrait
  *   10000 // 10km max distance
  * );
  */
@@ -285,51 +355,28 @@ export function isInViewFrustum(
   devicePitch,
   horizontalFOV = 60,
   verticalFOV = 45,
-  maxDistance = 5000
+  maxDistance = 5000,
+  deviceRoll = 0
 ) {
-  // Calculate distance first (cheap check)
-  const distance = calculateDistance(
-    userLocation.lat,
-    userLocation.lng,
-    poiLocation.lat,
-    poiLocation.lng
-  );
-  
-  if (distance > maxDistance) {
+  const enu = toLocalENU(userLocation, poiLocation);
+
+  if (enu.distance > maxDistance) {
     return false; // Too far away
   }
-  
-  // Calculate bearing to POI
-  const bearingToPOI = calculateBearing(
-    userLocation.lat,
-    userLocation.lng,
-    poiLocation.lat,
-    poiLocation.lng
-  );
-  
-  // Check horizontal FOV
-  const normalizedHeading = normalizeAngle(deviceHeading);
-  let azimuthDiff = bearingToPOI - normalizedHeading;
-  
-  // Normalize to -180 to 180 range
-  if (azimuthDiff > 180) {
-    azimuthDiff -= 360;
-  } else if (azimuthDiff < -180) {
-    azimuthDiff += 360;
-  }
-  
-  const halfHFOV = horizontalFOV / 2;
-  const inHorizontalView = Math.abs(azimuthDiff) <= halfHFOV;
-  
-  if (!inHorizontalView) {
-    return false; // Outside horizontal view
+
+  const R = getDeviceRotationMatrix(normalizeAngle(deviceHeading), devicePitch, deviceRoll);
+  const device = worldToDevice(R, enu.east, enu.north, enu.up);
+
+  const depth = -device.z;
+  if (depth <= 0) {
+    return false; // Behind the camera
   }
-  
-  // Skip vertical FOV check entirely - we don't have altitude data to properly
-  // calculate elevation angles, and device pitch varies wildly between devices/browsers.
-  // Just show POIs that are within horizontal FOV and distance, regardless of phone tilt.
-  
-  return true;
+
+  // Angles from the optical axis in the camera's own horizontal and vertical planes
+  const horizontalAngle = toDegrees(Math.atan2(Math.abs(device.x), depth));
+  const verticalAngle = toDegrees(Math.atan2(Math.abs(device.y), depth));
+
+  return horizontalAngle <= horizontalFOV / 2 && verticalAngle <= verticalFOV / 2;
 }
 
 /**
@@ -379,3 +426,138 @@ export function calculateDestination(lat, lng, distance, bearing) {
     lng: normalizedLng
   };
 }
+
+/**
+ * Convert GPS coordinates to slippy-map tile indices (Web Mercator, OSM scheme)
+ * 
+ * @param {number} lat - Latitude (decimal degrees, clamped to Web Mercator range)
+ * @param {number} lng - Longitude (decimal degrees, -180 to 180)
+ * @param {number} zoom - Tile zoom level (e.g. 12 ≈ 10km tiles at the equator)
+ * @returns {Object} Tile {x, y, z}
+ * 
+ * @example
+ * // Tile containing the Eiffel Tower at zoom 12
+ * const tile = latLngToTile(48.8584, 2.2945, 12); // { x: 2074, y: 1409, z: 12 }
+ */
+export function latLngToTile(lat, lng, zoom) {
+  const n = Math.pow(2, zoom);
+  // Web Mercator is undefined at the poles
+  const clampedLat = Math.max(-85.05112878, Math.min(85.05112878, lat));
+  const φ = toRadians(clampedLat);
+  
+  const x = Math.floor((lng + 180) / 360 * n);
+  const y = Math.floor((1 - Math.log(Math.tan(φ) + 1 / Math.cos(φ)) / Math.PI) / 2 * n);
+  
+  return {
+    x: ((x % n) + n) % n, // Wrap at the dateline
+    y: Math.max(0, Math.min(n - 1, y)),
+    z: zoom
+  };
+}
+
+/**
+ * Get the geographic bounding box of a slippy-map tile
+ * 
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @param {number} zoom - Tile zoom level
+ * @returns {Object} Bounds {south, west, north, east} in decimal degrees
+ */
+export function tileToBounds(x, y, zoom) {
+  const n = Math.pow(2, zoom);
+  const tileLat = (row) => toDegrees(Math.atan(Math.sinh(Math.PI * (1 - 2 * row / n))));
+  
+  return {
+    south: tileLat(y + 1),
+    west: x / n * 360 - 180,
+    north: tileLat(y),
+    east: (x + 1) / n * 360 - 180
+  };
+}
+
+/**
+ * Get all slippy-map tiles that intersect a circle
+ * Tiles are ordered row by row (north to south, west to east)
+ * 
+ * @param {number} lat - Circle center latitude (decimal degrees)
+ * @param {number} lng - Circle center longitude (decimal degrees)
+ * @param {number} radius - Circle radius in meters
+ * @param {number} zoom - Tile zoom level
+ * @returns {Array<Object>} Array of tiles {x, y, z}
+ * 
+ * @example
+ * // Tiles needed for a 10km query around the Eiffel Tower
+ * const tiles = getTilesInRadius(48.8584, 2.2945, 10000, 12);
+ */
+export function getTilesInRadius(lat, lng, radius, zoom) {
+  const n = Math.pow(2, zoom);
+  
+  // Corner tiles of the circle's bounding box
+  const north = calculateDestination(lat, lng, radius, 0).lat;
+  const south = calculateDestination(lat, lng, radius, 180).lat;
+  const lngSpan = radius / (EARTH_RADIUS * Math.cos(toRadians(lat))) * (180 / Math.PI);
+  
+  const topLeft = latLngToTile(north, lng - lngSpan, zoom);
+  const bottomRight = latLngToTile(south, lng + lngSpan, zoom);
+  
+  // Column count, handling boxes that cross the dateline
+  const columns = ((bottomRight.x - topLeft.x + n) % n) + 1;
+  
+  const tiles = [];
+  for (let y = topLeft.y; y <= bottomRight.y; y++) {
+    for (let i = 0; i < columns; i++) {
+      const x = (topLeft.x + i) % n;
+      const bounds = tileToBounds(x, y, zoom);
+      
+      // Shift tiles on the far side of the dateline next to the center
+      let { west, east } = bounds;
+      if (west - lng > 180) {
+        west -= 360;
+        east -= 360;
+      } else if (lng - east > 180) {
+        west += 360;
+        east += 360;
+      }
+      
+      // Nearest point of the tile to the circle center
+      const nearestLat = Math.max(bounds.south, Math.min(bounds.north, lat));
+      const nearestLng = Math.max(west, Math.min(east, lng));
+      
+      if (calculateDistance(lat, lng, nearestLat, nearestLng) <= radius) {
+        tiles.push({ x, y, z: zoom });
+      }
+    }
+  }
+  
+  return tiles;
+}
+
+/**
+ * Merge tiles into as few bounding boxes as possible
+ * Horizontally adjacent tiles of the same row become one box, which keeps
+ * Overpass queries for a radius of tiles short
+ *
+ * @param {Array<Object>} tiles - Tiles {x, y, z} (same zoom)
+ * @returns {Array<Object>} Bounding boxes {south, west, north, east}
+ */
+export function groupTilesIntoBounds(tiles) {
+  const sorted = [...tiles].sort((a, b) => a.y - b.y || a.x - b.x);
+  const boxes = [];
+  let run = null;
+
+  for (const tile of sorted) {
+    if (run && run.y === tile.y && run.lastX + 1 === tile.x) {
+      run.lastX = tile.x;
+      continue;
+    }
+    if (run) boxes.push(run);
+    run = { y: tile.y, z: tile.z, firstX: tile.x, lastX: tile.x };
+  }
+  if (run) boxes.push(run);
+
+  return boxes.map(({ y, z, firstX, lastX }) => {
+    const first = tileToBounds(firstX, y, z);
+    const last = tileToBounds(lastX, y, z);
+    return { south: first.south, west: first.west, north: first.north, east: last.east };
+  });
+}
@@ -0,0 +1,235 @@
+/**
+ * Geomagnetism - Magnetic declination from the World Magnetic Model
+ * Compass headings point to magnetic north, OSM bearings to true north; the
+ * difference (declination) is up to 10-15° in much of the world
+ * Uses WMM2025 (NOAA NCEI / BGS), valid 2024-11-13 to 2029-11-13
+ * Latitude/longitude in decimal degrees (WGS84), angles in degrees
+ */
+
+// WMM2025 spherical harmonic coefficients from WMM.COF (public domain):
+// [n, m, g, h, g per year, h per year] in nT and nT/year
+const WMM_EPOCH = 2025.0;
+const WMM_VALID_UNTIL = Date.UTC(2029, 10, 13);
+const WMM_COEFFICIENTS = [
+  [1, 0, -29351.8, 0.0, 12.0, 0.0],
+  [1, 1, -1410.8, 4545.4, 9.7, -21.5],
+  [2, 0, -2556.6, 0.0, -11.6, 0.0],
+  [2, 1, 2951.1, -3133.6, -5.2, -27.7],
+  [2, 2, 1649.3, -815.1, -8.0, -12.1],
+  [3, 0, 1361.0, 0.0, -1.3, 0.0],
+  [3, 1, -2404.1, -56.6, -4.2, 4.0],
+  [3, 2, 1243.8, 237.5, 0.4, -0.3],
+  [3, 3, 453.6, -549.5, -15.6, -4.1],
+  [4, 0, 895.0, 0.0, -1.6, 0.0],
+  [4, 1, 799.5, 278.6, -2.4, -1.1],
+  [4, 2, 55.7, -133.9, -6.0, 4.1],
+  [4, 3, -281.1, 212.0, 5.6, 1.6],
+  [4, 4, 12.1, -375.6, -7.0, -4.4],
+  [5, 0, -233.2, 0.0, 0.6, 0.0],
+  [5, 1, 368.9, 45.4, 1.4, -0.5],
+  [5, 2, 187.2, 220.2, 0.0, 2.2],
+  [5, 3, -138.7, -122.9, 0.6, 0.4],
+  [5, 4, -142.0, 43.0, 2.2, 1.7],
+  [5, 5, 20.9, 106.1, 0.9, 1.9],
+  [6, 0, 64.4, 0.0, -0.2, 0.0],
+  [6, 1, 63.8, -18.4, -0.4, 0.3],
+  [6, 2, 76.9, 16.8, 0.9, -1.6],
+  [6, 3, -115.7, 48.8, 1.2, -0.4],
+  [6, 4, -40.9, -59.8, -0.9, 0.9],
+  [6, 5, 14.9, 10.9, 0.3, 0.7],
+  [6, 6, -60.7, 72.7, 0.9, 0.9],
+  [7, 0, 79.5, 0.0, 0.0, 0.0],
+  [7, 1, -77.0, -48.9, -0.1, 0.6],
+  [7, 2, -8.8, -14.4, -0.1, 0.5],
+  [7, 3, 59.3, -1.0, 0.5, -0.8],
+  [7, 4, 15.8, 23.4, -0.1, 0.0],
+  [7, 5, 2.5, -7.4, -0.8, -1.0],
+  [7, 6, -11.1, -25.1, -0.8, 0.6],
+  [7, 7, 14.2, -2.3, 0.8, -0.2],
+  [8, 0, 23.2, 0.0, -0.1, 0.0],
+  [8, 1, 10.8, 7.1, 0.2, -0.2],
+  [8, 2, -17.5, -12.6, 0.0, 0.5],
+  [8, 3, 2.0, 11.4, 0.5, -0.4],
+  [8, 4, -21.7, -9.7, -0.1, 0.4],
+  [8, 5, 16.9, 12.7, 0.3, -0.5],
+  [8, 6, 15.0, 0.7, 0.2, -0.6],
+  [8, 7, -16.8, -5.2, 0.0, 0.3],
+  [8, 8, 0.9, 3.9, 0.2, 0.2],
+  [9, 0, 4.6, 0.0, 0.0, 0.0],
+  [9, 1, 7.8, -24.8, -0.1, -0.3],
+  [9, 2, 3.0, 12.2, 0.1, 0.3],
+  [9, 3, -0.2, 8.3, 0.3, -0.3],
+  [9, 4, -2.5, -3.3, -0.3, 0.3],
+  [9, 5, -13.1, -5.2, 0.0, 0.2],
+  [9, 6, 2.4, 7.2, 0.3, -0.1],
+  [9, 7, 8.6, -0.6, -0.1, -0.2],
+  [9, 8, -8.7, 0.8, 0.1, 0.4],
+  [9, 9, -12.9, 10.0, -0.1, 0.1],
+  [10, 0, -1.3, 0.0, 0.1, 0.0],
+  [10, 1, -6.4, 3.3, 0.0, 0.0],
+  [10, 2, 0.2, 0.0, 0.1, 0.0],
+  [10, 3, 2.0, 2.4, 0.1, -0.2],
+  [10, 4, -1.0, 5.3, 0.0, 0.1],
+  [10, 5, -0.6, -9.1, -0.3, -0.1],
+  [10, 6, -0.9, 0.4, 0.0, 0.1],
+  [10, 7, 1.5, -4.2, -0.1, 0.0],
+  [10, 8, 0.9, -3.8, -0.1, -0.1],
+  [10, 9, -2.7, 0.9, 0.0, 0.2],
+  [10, 10, -3.9, -9.1, 0.0, 0.0],
+  [11, 0, 2.9, 0.0, 0.0, 0.0],
+  [11, 1, -1.5, 0.0, 0.0, 0.0],
+  [11, 2, -2.5, 2.9, 0.0, 0.1],
+  [11, 3, 2.4, -0.6, 0.0, 0.0],
+  [11, 4, -0.6, 0.2, 0.0, 0.1],
+  [11, 5, -0.1, 0.5, -0.1, 0.0],
+  [11, 6, -0.6, -0.3, 0.0, 0.0],
+  [11, 7, -0.1, -1.2, 0.0, 0.1],
+  [11, 8, 1.1, -1.7, -0.1, 0.0],
+  [11, 9, -1.0, -2.9, -0.1, 0.0],
+  [11, 10, -0.2, -1.8, -0.1, 0.0],
+  [11, 11, 2.6, -2.3, -0.1, 0.0],
+  [12, 0, -2.0, 0.0, 0.0, 0.0],
+  [12, 1, -0.2, -1.3, 0.0, 0.0],
+  [12, 2, 0.3, 0.7, 0.0, 0.0],
+  [12, 3, 1.2, 1.0, 0.0, -0.1],
+  [12, 4, -1.3, -1.4, 0.0, 0.1],
+  [12, 5, 0.6, 0.0, 0.0, 0.0],
+  [12, 6, 0.6, 0.6, 0.1, 0.0],
+  [12, 7, 0.5, -0.1, 0.0, 0.0],
+  [12, 8, -0.1, 0.8, 0.0, 0.0],
+  [12, 9, -0.4, 0.1, 0.0, 0.0],
+  [12, 10, -0.2, -1.0, -0.1, 0.0],
+  [12, 11, -1.3, 0.1, 0.0, 0.0],
+  [12, 12, -0.7, 0.2, -0.1, -0.1]
+];
+const WMM_MAX_DEGREE = 12;
+
+// WGS84 ellipsoid and the model's reference radius (km)
+const WGS84_A = 6378.137;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_E2 = WGS84_F * (2 - WGS84_F);
+const GEOMAGNETIC_REFERENCE_RADIUS = 6371.2;
+
+// Schmidt semi-normalization factors, the same for every location
+const SCHMIDT_FACTORS = buildSchmidtFactors(WMM_MAX_DEGREE);
+
+/**
+ * Convert degrees to radians
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+function toRadians(degrees) {
+  return degrees * (Math.PI / 180);
+}
+
+/**
+ * Schmidt semi-normalization factors S[n][m] for Gauss-normalized Legendre functions
+ * @param {number} maxDegree - Highest degree n
+ * @returns {Array<Array<number>>} Factors
+ */
+function buildSchmidtFactors(maxDegree) {
+  const factors = [[1]];
+  for (let n = 1; n <= maxDegree; n++) {
+    factors[n] = [factors[n - 1][0] * (2 * n - 1) / n];
+    for (let m = 1; m <= n; m++) {
+      factors[n][m] = factors[n][m - 1] * Math.sqrt((n - m + 1) * (m === 1 ? 2 : 1) / (n + m));
+    }
+  }
+  return factors;
+}
+
+/**
+ * Fractional year of a date, e.g. 2025.5 for early July 2025
+ * @param {Date} date - Date
+ * @returns {number} Decimal year
+ */
+export function toDecimalYear(date) {
+  const year = date.getUTCFullYear();
+  const start = Date.UTC(year, 0, 1);
+  const end = Date.UTC(year + 1, 0, 1);
+  return year + (date.getTime() - start) / (end - start);
+}
+
+/**
+ * Whether the bundled model is still valid for a date
+ * Declinations keep working after it expires but slowly lose accuracy -
+ * update the coefficients with the next WMM release
+ * @param {Date} [date] - Date (default: now)
+ * @returns {boolean}
+ */
+export function isModelValid(date = new Date()) {
+  return date.getTime() < WMM_VALID_UNTIL;
+}
+
+/**
+ * Compute the magnetic declination at a location
+ * Add it to a magnetic heading to get a true heading
+ *
+ * @param {number} lat - Latitude (decimal degrees)
+ * @param {number} lng - Longitude (decimal degrees)
+ * @param {Date} [date] - Date of the observation (default: now)
+ * @param {number} [altitude=0] - Height above the WGS84 ellipsoid in meters
+ * @returns {number} Declination in degrees, positive east (-180 to 180)
+ *
+ * @example
+ * // Declination in San Francisco is around 13° east
+ * const declination = computeDeclination(37.77, -122.42);
+ * const trueHeading = (magneticHeading + declination + 360) % 360;
+ */
+export function computeDeclination(lat, lng, date = new Date(), altitude = 0) {
+  const years = toDecimalYear(date) - WMM_EPOCH;
+
+  // Geodetic to geocentric spherical coordinates
+  const phi = toRadians(lat);
+  const height = altitude / 1000;
+  const sinPhi = Math.sin(phi);
+  const primeVertical = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinPhi * sinPhi);
+  const p = (primeVertical + height) * Math.cos(phi);
+  const z = (primeVertical * (1 - WGS84_E2) + height) * sinPhi;
+  const radius = Math.hypot(p, z);
+  const geocentricLat = Math.asin(z / radius);
+
+  // Associated Legendre functions of the geocentric colatitude and their derivatives
+  const cosTheta = Math.sin(geocentricLat);
+  const sinTheta = Math.max(Math.cos(geocentricLat), 1e-10); // Undefined at the poles
+  const P = [[1]];
+  const dP = [[0]];
+  for (let n = 1; n <= WMM_MAX_DEGREE; n++) {
+    P[n] = [];
+    dP[n] = [];
+    for (let m = 0; m <= n; m++) {
+      if (m === n) {
+        P[n][m] = sinTheta * P[n - 1][m - 1];
+        dP[n][m] = sinTheta * dP[n - 1][m - 1] + cosTheta * P[n - 1][m - 1];
+      } else {
+        const k = n > 1 ? ((n - 1) ** 2 - m * m) / ((2 * n - 1) * (2 * n - 3)) : 0;
+        const previous = n > 1 && m <= n - 2 ? [P[n - 2][m], dP[n - 2][m]] : [0, 0];
+        P[n][m] = cosTheta * P[n - 1][m] - k * previous[0];
+        dP[n][m] = cosTheta * dP[n - 1][m] - sinTheta * P[n - 1][m] - k * previous[1];
+      }
+    }
+  }
+
+  // Field components in the geocentric frame: north (x), east (y), down (z)
+  const lambda = toRadians(lng);
+  let north = 0;
+  let east = 0;
+  let down = 0;
+  WMM_COEFFICIENTS.forEach(([n, m, g, h, gRate, hRate]) => {
+    const scale = SCHMIDT_FACTORS[n][m] * (GEOMAGNETIC_REFERENCE_RADIUS / radius) ** (n + 2);
+    const gnm = (g + gRate * years) * scale;
+    const hnm = (h + hRate * years) * scale;
+    const cosM = Math.cos(m * lambda);
+    const sinM = Math.sin(m * lambda);
+
+    north += (gnm * cosM + hnm * sinM) * dP[n][m];
+    east += m * (gnm * sinM - hnm * cosM) * P[n][m] / sinTheta;
+    down -= (n + 1) * (gnm * cosM + hnm * sinM) * P[n][m];
+  });
+
+  // Rotate north back to the geodetic frame (east is the same in both)
+  const tilt = geocentricLat - phi;
+  const geodeticNorth = north * Math.cos(tilt) - down * Math.sin(tilt);
+
+  return Math.atan2(east, geodeticNorth) * 180 / Math.PI;
+}
@@ -1,8 +1,27 @@
 /**
- * Sensor smoothing utilities for device orientation data
- * Filters noise and provides stable heading/tilt readings
+ * Sensor smoothing utilities for device orientation and GPS data
+ * Filters noise and provides stable heading/tilt readings and positions
  */
 
+// ComplementaryHeadingFilter configuration
+const FUSION_TIME_CONSTANT = 2; // Seconds for the compass to correct gyro drift
+const FUSION_COMPASS_ONLY_TIME_CONSTANT = 0.25; // Plain compass smoothing without gyro data (seconds)
+const FUSION_MAX_GYRO_GAP = 0.5; // Longer gaps between motion events aren't integrated (seconds)
+const FUSION_DISTURBANCE_ANGLE = 30; // Compass/gyro disagreement treated as a magnetic disturbance (degrees)
+const FUSION_DISTURBANCE_TIME = 3000; // How long a disturbance must persist to be accepted (ms)
+
+// PositionFilter configuration
+const EARTH_RADIUS = 6371000; // meters
+const ACCURACY_SIGMAS = 2; // Geolocation accuracy is a ~95% radius - about two standard deviations
+const POSITION_ACCELERATION_NOISE = 1.5; // m/s² - walking, cycling and city driving
+const POSITION_SPEED_SIGMA = 1; // Assumed error of reported speed (m/s)
+const POSITION_INITIAL_SPEED_SIGMA = 10; // Velocity uncertainty of a new track without speed (m/s)
+const POSITION_OUTLIER_THRESHOLD = 13.8; // Chi-square, 2 degrees of freedom, 99.9%
+const POSITION_MAX_OUTLIERS = 3; // Consecutive rejected fixes before restarting the track
+const POSITION_MAX_GAP = 30000; // Restart after this long without a fix (ms)
+const POSITION_MAX_ORIGIN_DISTANCE = 5000; // Re-center the local plane after this far (meters)
+const POSITION_MIN_HEADING_SPEED = 0.5; // Below this (m/s) the direction of travel is noise
+
 /**
  * Simple moving average filter for smoothing sensor readings
  */
@@ -141,16 +160,124 @@ class CompassFilter {
     }
 }
 
+/**
+ * Complementary filter fusing gyroscope and compass into a heading
+ * Rotation rates from `devicemotion` are integrated for an immediate, low-noise
+ * response to turning; the absolute compass only pulls the result toward itself
+ * slowly, correcting gyro drift. Short compass swings away from the fused
+ * heading (steel structures, passing cars) are ignored until they persist.
+ * Without gyro data it falls back to smoothing the compass alone
+ */
+class ComplementaryHeadingFilter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.timeConstant=2] - Seconds for the compass to correct gyro drift;
+     *   higher trusts the gyro longer
+     */
+    constructor(options = {}) {
+        this.timeConstant = options.timeConstant || FUSION_TIME_CONSTANT;
+        this.reset();
+    }
+
+    /**
+     * Integrate a devicemotion rotation rate
+     * @param {Object} rotationRate - DeviceMotionEvent rotationRate {alpha, beta, gamma} (deg/s, device axes z, x, y)
+     * @param {number} beta - Current front-to-back tilt (degrees)
+     * @param {number} gamma - Current left-to-right tilt (degrees)
+     * @param {number} timestamp - Event time in milliseconds
+     * @returns {number|null} Fused heading in degrees (0-360), null before the first compass reading
+     */
+    updateRotation(rotationRate, beta, gamma, timestamp) {
+        const dt = this.lastRotationTime === null ? 0 : (timestamp - this.lastRotationTime) / 1000;
+        this.lastRotationTime = timestamp;
+
+        if (this.heading === null || dt <= 0 || dt > FUSION_MAX_GYRO_GAP) {
+            return this.heading;
+        }
+
+        // Rotation about the world vertical: the device rate projected on "up"
+        // expressed in device axes. Compass headings turn the other way (clockwise)
+        const b = beta * Math.PI / 180;
+        const g = gamma * Math.PI / 180;
+        const yawRate = (rotationRate.beta || 0) * -Math.cos(b) * Math.sin(g)
+            + (rotationRate.gamma || 0) * Math.sin(b)
+            + (rotationRate.alpha || 0) * Math.cos(b) * Math.cos(g);
+
+        this.heading = normalizeAngle(this.heading - yawRate * dt);
+        return this.heading;
+    }
+
+    /**
+     * Correct the heading toward a compass reading
+     * @param {number} compassHeading - Compass heading in degrees (0-360)
+     * @param {number} [timestamp] - Reading time in milliseconds (default: now)
+     * @returns {number} Fused heading in degrees (0-360)
+     */
+    update(compassHeading, timestamp = performance.now()) {
+        const dt = this.lastCompassTime === null ? 0 : Math.max(0, (timestamp - this.lastCompassTime) / 1000);
+        this.lastCompassTime = timestamp;
+
+        if (this.heading === null) {
+            this.heading = normalizeAngle(compassHeading);
+            return this.heading;
+        }
+
+        const gyroActive = this.lastRotationTime !== null && timestamp - this.lastRotationTime < FUSION_MAX_GYRO_GAP * 1000;
+        const difference = ((compassHeading - this.heading + 540) % 360) - 180;
+
+        if (gyroActive && Math.abs(difference) > FUSION_DISTURBANCE_ANGLE) {
+            // The gyro says we didn't turn that far - likely a magnetic disturbance.
+            // Accept it only once it has persisted (or the gyro has drifted off)
+            if (this.disagreeingSince === null) this.disagreeingSince = timestamp;
+            if (timestamp - this.disagreeingSince < FUSION_DISTURBANCE_TIME) {
+                return this.heading;
+            }
+        } else {
+            this.disagreeingSince = null;
+        }
+
+        const timeConstant = gyroActive ? this.timeConstant : FUSION_COMPASS_ONLY_TIME_CONSTANT;
+        const gain = 1 - Math.exp(-dt / timeConstant);
+        this.heading = normalizeAngle(this.heading + gain * difference);
+        return this.heading;
+    }
+
+    reset() {
+        this.heading = null;
+        this.lastRotationTime = null;
+        this.lastCompassTime = null;
+        this.disagreeingSince = null; // Start of a large compass/gyro disagreement
+    }
+}
+
+/**
+ * Normalize an angle to 0-360 degrees
+ * @param {number} degrees - Angle
+ * @returns {number} Angle in [0, 360)
+ */
+function normalizeAngle(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
+
 /**
  * Orientation sensor manager with filtering
  * Combines device orientation events and provides smoothed output
  */
 export class OrientationSmoother {
-    constructor() {
-        this.headingFilter = new CompassFilter(8);
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.headingFilter='average'] - 'average' (CompassFilter over 8 readings)
+     *   or 'fusion' (ComplementaryHeadingFilter, needs updateRotation() with devicemotion data)
+     */
+    constructor(options = {}) {
+        this.headingFilter = options.headingFilter === 'fusion'
+            ? new ComplementaryHeadingFilter()
+            : new CompassFilter(8);
         this.pitchFilter = new ExponentialFilter(0.15);
         this.rollFilter = new ExponentialFilter(0.15);
         this.calibrationOffset = 0;
+        this.beta = null;
+        this.gamma = null;
     }
 
     /**
@@ -159,6 +286,7 @@ export class OrientationSmoother {
      * @param {number} orientation.alpha - Compass heading (0-360)
      * @param {number} orientation.beta - Front-to-back tilt (-180 to 180)
      * @param {number} orientation.gamma - Left-to-right tilt (-90 to 90)
+     * @param {number} [orientation.timestamp] - Event time in milliseconds
      * @returns {Object} Smoothed orientation data
      */
     update(orientation) {
@@ -166,16 +294,34 @@ export class OrientationSmoother {
         let heading = orientation.alpha + this.calibrationOffset;
         if (heading < 0) heading += 360;
         if (heading >= 360) heading -= 360;
+
+        // Raw tilt - the fusion filter projects rotation rates with it
+        this.beta = orientation.beta;
+        this.gamma = orientation.gamma;
         
         return {
-            heading: this.headingFilter.update(heading),
+            heading: this.headingFilter.update(heading, orientation.timestamp),
             pitch: this.pitchFilter.update(orientation.beta),
             roll: this.rollFilter.update(orientation.gamma)
         };
     }
 
     /**
-     * Set calibration offset for magnetic declination
+     * Process a devicemotion rotation rate (heading filter 'fusion' only)
+     * @param {Object} rotationRate - DeviceMotionEvent rotationRate (deg/s)
+     * @param {number} timestamp - Event time in milliseconds
+     * @returns {number|null} Fused heading, or null if there is none yet or the filter doesn't use the gyro
+     */
+    updateRotation(rotationRate, timestamp) {
+        if (!(this.headingFilter instanceof ComplementaryHeadingFilter) || this.beta === null) {
+            return null;
+        }
+        return this.headingFilter.updateRotation(rotationRate, this.beta, this.gamma, timestamp);
+    }
+
+    /**
+     * Set calibration offset (manual heading correction)
+     * Magnetic declination is applied by Geolocator before smoothing
      * @param {number} offset - Offset in degrees
      */
     setCalibrationOffset(offset) {
@@ -189,6 +335,212 @@ export class OrientationSmoother {
         this.headingFilter.reset();
         this.pitchFilter.reset();
         this.rollFilter.reset();
+        this.beta = null;
+        this.gamma = null;
+    }
+}
+
+/**
+ * Kalman filter for GPS fixes
+ * Tracks position and velocity (constant-velocity model) in a local east/north
+ * plane around the first fix. Each fix is weighted by its reported accuracy, and
+ * speed/heading from the Geolocation API correct the velocity, so a bad fix in an
+ * urban canyon moves the estimate little. Fixes implausibly far from the prediction
+ * for their accuracy are rejected; after several in a row the filter restarts there
+ */
+export class PositionFilter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.accelerationNoise=1.5] - Expected change of velocity (m/s²);
+     *   higher follows turns and stops faster, lower smooths more
+     */
+    constructor(options = {}) {
+        this.accelerationNoise = options.accelerationNoise || POSITION_ACCELERATION_NOISE;
+        this.reset();
+    }
+
+    /**
+     * Add a GPS fix
+     * @param {Object} fix - Fix data
+     * @param {number} fix.lat - Latitude in degrees
+     * @param {number} fix.lng - Longitude in degrees
+     * @param {number} fix.accuracy - Reported accuracy (meters, ~95% radius)
+     * @param {number|null} [fix.speed] - Reported speed (m/s)
+     * @param {number|null} [fix.heading] - Reported direction of travel (degrees, NaN when stationary)
+     * @param {number} fix.timestamp - Fix time in milliseconds
+     * @returns {Object|null} Estimate {lat, lng, uncertainty, speed, heading} - uncertainty
+     *   on the same scale as accuracy - or null if the fix was rejected as an outlier
+     */
+    update(fix) {
+        const variance = (Math.max(fix.accuracy || 0, 1) / ACCURACY_SIGMAS) ** 2;
+
+        if (!this.axes || fix.timestamp - this.lastTime > POSITION_MAX_GAP) {
+            this._initialize(fix, variance);
+            return this._estimate();
+        }
+
+        this._predict(Math.max(0, (fix.timestamp - this.lastTime) / 1000));
+        this.lastTime = Math.max(this.lastTime, fix.timestamp);
+
+        // Squared Mahalanobis distance of the fix from the prediction
+        const measured = this._toLocal(fix.lat, fix.lng);
+        const distance = this.axes.reduce((sum, axis, i) =>
+            sum + (measured[i] - axis.p) ** 2 / (axis.P[0][0] + variance), 0);
+
+        if (distance > POSITION_OUTLIER_THRESHOLD) {
+            this.outliers++;
+            if (this.outliers < POSITION_MAX_OUTLIERS) {
+                return null;
+            }
+            // Consistently elsewhere - the user really moved (e.g. out of a tunnel)
+            this._initialize(fix, variance);
+            return this._estimate();
+        }
+        this.outliers = 0;
+
+        this.axes.forEach((axis, i) => this._correct(axis, 0, measured[i], variance));
+
+        const velocity = this._measuredVelocity(fix);
+        if (velocity) {
+            this.axes.forEach((axis, i) => this._correct(axis, 1, velocity[i], POSITION_SPEED_SIGMA ** 2));
+        }
+
+        this._recenter();
+        return this._estimate();
+    }
+
+    /**
+     * Forget the track - the next fix starts a new one
+     */
+    reset() {
+        this.origin = null; // {lat, lng} of the local plane
+        this.axes = null; // East and north: {p, v, P} - position (m), velocity (m/s), covariance
+        this.lastTime = null;
+        this.outliers = 0; // Consecutive rejected fixes
+    }
+
+    /**
+     * Start a track at a fix
+     * @private
+     */
+    _initialize(fix, variance) {
+        this.origin = { lat: fix.lat, lng: fix.lng };
+        this.lastTime = fix.timestamp;
+        this.outliers = 0;
+
+        const velocity = this._measuredVelocity(fix);
+        const velocityVariance = velocity ? POSITION_SPEED_SIGMA ** 2 : POSITION_INITIAL_SPEED_SIGMA ** 2;
+        this.axes = [0, 1].map(i => ({
+            p: 0,
+            v: velocity ? velocity[i] : 0,
+            P: [[variance, 0], [0, velocityVariance]]
+        }));
+    }
+
+    /**
+     * Advance the state by dt seconds (x += v·dt) and grow its uncertainty
+     * @private
+     */
+    _predict(dt) {
+        if (dt === 0) return;
+
+        const q = this.accelerationNoise ** 2;
+        this.axes.forEach(axis => {
+            const [[pp, pv], [, vv]] = axis.P;
+            axis.p += axis.v * dt;
+            const cross = pv + dt * vv + q * dt ** 3 / 2;
+            axis.P = [
+                [pp + 2 * dt * pv + dt * dt * vv + q * dt ** 4 / 4, cross],
+                [cross, vv + q * dt * dt]
+            ];
+        });
+    }
+
+    /**
+     * Kalman update of one axis with a measurement of its position (index 0) or velocity (1)
+     * @private
+     */
+    _correct(axis, index, value, variance) {
+        const P = axis.P;
+        const innovationVariance = P[index][index] + variance;
+        const gain = [P[0][index] / innovationVariance, P[1][index] / innovationVariance];
+        const innovation = value - (index === 0 ? axis.p : axis.v);
+
+        axis.p += gain[0] * innovation;
+        axis.v += gain[1] * innovation;
+        axis.P = [0, 1].map(row => [0, 1].map(col => P[row][col] - gain[row] * P[index][col]));
+    }
+
+    /**
+     * East/north velocity reported with a fix
+     * @private
+     * @returns {Array<number>|null} [east, north] in m/s, or null if not reported
+     */
+    _measuredVelocity({ speed, heading }) {
+        if (typeof speed !== 'number' || !Number.isFinite(speed)) return null;
+        if (speed === 0) return [0, 0];
+        if (typeof heading !== 'number' || !Number.isFinite(heading)) return null;
+
+        const radians = heading * Math.PI / 180;
+        return [speed * Math.sin(radians), speed * Math.cos(radians)];
+    }
+
+    /**
+     * Move the local plane's origin to the estimate once it is far away
+     * Keeps the flat-earth approximation accurate on long walks and drives
+     * @private
+     */
+    _recenter() {
+        const [east, north] = this.axes;
+        if (Math.hypot(east.p, north.p) > POSITION_MAX_ORIGIN_DISTANCE) {
+            this.origin = this._toLatLng(east.p, north.p);
+            east.p = 0;
+            north.p = 0;
+        }
+    }
+
+    /**
+     * Current estimate
+     * @private
+     */
+    _estimate() {
+        const [east, north] = this.axes;
+        const { lat, lng } = this._toLatLng(east.p, north.p);
+        const speed = Math.hypot(east.v, north.v);
+
+        return {
+            lat,
+            lng,
+            uncertainty: ACCURACY_SIGMAS * Math.sqrt((east.P[0][0] + north.P[0][0]) / 2),
+            speed,
+            heading: speed >= POSITION_MIN_HEADING_SPEED
+                ? (Math.atan2(east.v, north.v) * 180 / Math.PI + 360) % 360
+                : null
+        };
+    }
+
+    /**
+     * Latitude/longitude to meters east/north of the origin
+     * @private
+     */
+    _toLocal(lat, lng) {
+        const dLng = ((lng - this.origin.lng + 540) % 360) - 180; // Across the antimeridian
+        return [
+            dLng * Math.PI / 180 * EARTH_RADIUS * Math.cos(this.origin.lat * Math.PI / 180),
+            (lat - this.origin.lat) * Math.PI / 180 * EARTH_RADIUS
+        ];
+    }
+
+    /**
+     * Meters east/north of the origin to latitude/longitude
+     * @private
+     */
+    _toLatLng(east, north) {
+        const lng = this.origin.lng + east / (EARTH_RADIUS * Math.cos(this.origin.lat * Math.PI / 180)) * 180 / Math.PI;
+        return {
+            lat: this.origin.lat + north / EARTH_RADIUS * 180 / Math.PI,
+            lng: ((lng + 540) % 360) - 180
+        };
     }
 }
 
@@ -228,4 +580,4 @@ export function throttle(func, limit) {
 }
 
 // Export filter classes for advanced use cases
-export { MovingAverageFilter, ExponentialFilter, LowPassFilter, CompassFilter };
+export { MovingAverageFilter, ExponentialFilter, LowPassFilter, CompassFilter, ComplementaryHeadingFilter };
@@ -0,0 +1,41 @@
+/**
+ * Settings - Small user preferences persisted in localStorage
+ *
+ * Core responsibilities:
+ * - Store JSON values under a key, removing the key for null
+ * - Never throw: localStorage is unavailable in some private modes and can be
+ *   full, in which case a setting simply lasts for this session only
+ */
+
+/**
+ * Load a saved setting
+ * @param {string} key - Storage key
+ * @param {*} [fallback=null] - Returned when nothing (readable) is saved
+ * @returns {*} Saved value or the fallback
+ */
+export function loadSetting(key, fallback = null) {
+  try {
+    const saved = localStorage.getItem(key);
+    return saved === null ? fallback : JSON.parse(saved);
+  } catch (error) {
+    console.warn(`Failed to load setting ${key}:`, error);
+    return fallback;
+  }
+}
+
+/**
+ * Save a setting
+ * @param {string} key - Storage key
+ * @param {*} value - JSON-serializable value; null or undefined removes the setting
+ */
+export function saveSetting(key, value) {
+  try {
+    if (value === null || value === undefined) {
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, JSON.stringify(value));
+    }
+  } catch (error) {
+    console.warn(`Failed to save setting ${key}:`, error);
+  }
+}
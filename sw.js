@@ -0,0 +1,260 @@
+/**
+ * Service worker - offline app shell and API response fallback
+ *
+ * Strategies:
+ * - App shell (HTML, CSS, ES modules, icons): precached on install, served from
+ *   cache and refreshed in the background (stale-while-revalidate)
+ * - Overpass and Wikipedia API calls: network first, last good response when offline
+ * - Wikimedia images and map tiles: cache first
+ *
+ * Bump CACHE_VERSION whenever PRECACHE_URLS changes so old caches are dropped.
+ */
+
+const CACHE_VERSION = 'v12';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const API_CACHE = `api-${CACHE_VERSION}`;
+const IMAGE_CACHE = `images-${CACHE_VERSION}`;
+const TILE_CACHE = `tiles-${CACHE_VERSION}`;
+
+// Runtime cache caps (entries) - oldest responses are dropped first
+const MAX_API_ENTRIES = 300;
+const MAX_IMAGE_ENTRIES = 200;
+const MAX_TILE_ENTRIES = 500;
+
+const PRECACHE_URLS = [
+    '/',
+    '/index.html',
+    '/styles.css',
+    '/manifest.json',
+    '/src/main.js',
+    '/src/core/elevation.js',
+    '/src/core/geolocator.js',
+    '/src/core/occlusion.js',
+    '/src/core/overpass-client.js',
+    '/src/core/poi-detector.js',
+    '/src/core/poi-sources.js',
+    '/src/core/persistent-cache.js',
+    '/src/core/poi-categories.js',
+    '/src/core/region-packs.js',
+    '/src/core/request-scheduler.js',
+    '/src/core/tile-requests.js',
+    '/src/core/wiki-client.js',
+    '/src/ar/article-reader.js',
+    '/src/ar/camera-stream.js',
+    '/src/ar/overlay-renderer.js',
+    '/src/ar/radar.js',
+    '/src/map/map-view.js',
+    '/src/utils/coordinates.js',
+    '/src/utils/geomagnetism.js',
+    '/src/utils/sensors.js',
+    '/src/utils/settings.js',
+    '/favicon.svg',
+    '/favicon.ico',
+    '/favicon-16x16.png',
+    '/favicon-32x32.png',
+    '/apple-touch-icon.png',
+    '/apple-touch-icon-120x120.png',
+    '/apple-touch-icon-152x152.png',
+    '/apple-touch-icon-180x180.png',
+    '/icon-192.png',
+    '/icon-512.png'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const currentCaches = [SHELL_CACHE, API_CACHE, IMAGE_CACHE, TILE_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => !currentCaches.includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (isOverpassRequest(url)) {
+        event.respondWith(networkFirst(request, true));
+    } else if (isWikipediaApiRequest(url)) {
+        event.respondWith(networkFirst(request, false));
+    } else if (url.hostname === 'upload.wikimedia.org' && request.method === 'GET') {
+        event.respondWith(cacheFirst(request, IMAGE_CACHE, MAX_IMAGE_ENTRIES));
+    } else if (isMapTileRequest(url) && request.method === 'GET') {
+        event.respondWith(cacheFirst(request, TILE_CACHE, MAX_TILE_ENTRIES));
+    } else if (url.origin === self.location.origin && request.method === 'GET') {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+    // Everything else goes straight to the network
+});
+
+/**
+ * Overpass API interpreter (POST with the query as body)
+ * @param {URL} url
+ * @returns {boolean}
+ */
+function isOverpassRequest(url) {
+    return url.pathname.endsWith('/api/interpreter');
+}
+
+/**
+ * Wikipedia REST and Action API calls
+ * @param {URL} url
+ * @returns {boolean}
+ */
+function isWikipediaApiRequest(url) {
+    return url.hostname.endsWith('.wikipedia.org') &&
+        (url.pathname.startsWith('/api/rest_v1/') || url.pathname === '/w/api.php');
+}
+
+/**
+ * Raster map tiles from OpenStreetMap or a local tile server ({z}/{x}/{y}.png)
+ * @param {URL} url
+ * @returns {boolean}
+ */
+function isMapTileRequest(url) {
+    return url.hostname === 'tile.openstreetmap.org' ||
+        /\/\d+\/\d+\/\d+(@2x)?\.(png|jpe?g|webp)$/.test(url.pathname);
+}
+
+/**
+ * Build a GET cache key for a request
+ * POST bodies are hashed into the URL because the Cache API only stores GET requests.
+ * Overpass keys leave out the mirror, so a response from any of them serves offline
+ * @param {Request} request
+ * @returns {Promise<Request|string>}
+ */
+async function getCacheKey(request) {
+    if (request.method !== 'POST') {
+        return request;
+    }
+
+    const body = await request.clone().text();
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(body));
+    const hash = Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+
+    const url = new URL(request.url);
+    const base = isOverpassRequest(url) ? `${self.location.origin}/overpass-api` : request.url;
+    return `${base}?body=${hash}`;
+}
+
+/**
+ * Network first, falling back to the last good response
+ * @param {Request} request
+ * @param {boolean} isPost - Request carries a body that must be part of the cache key
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, isPost) {
+    const cache = await caches.open(API_CACHE);
+    const cacheKey = isPost ? await getCacheKey(request) : request;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(cacheKey, response.clone());
+            trimCache(API_CACHE, MAX_API_ENTRIES);
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(cacheKey);
+        if (cached) {
+            return cached;
+        }
+        return offlineResponse();
+    }
+}
+
+/**
+ * Cache first, filling the cache from the network on a miss
+ * @param {Request} request
+ * @param {string} cacheName
+ * @param {number} maxEntries
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request, cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    try {
+        const response = await fetch(request);
+        // Opaque (no-cors) responses are never cached: browsers pad each one to
+        // several MB of quota, shared with the IndexedDB caches. Load Wikimedia
+        // images with crossorigin="anonymous" to make them cacheable
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            trimCache(cacheName, maxEntries);
+        }
+        return response;
+    } catch (error) {
+        return offlineResponse();
+    }
+}
+
+/**
+ * Serve the app shell from cache and refresh it in the background
+ * Navigations fall back to the cached index.html
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true }) ||
+        (request.mode === 'navigate' ? await cache.match('/index.html') : null);
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) {
+        return cached;
+    }
+
+    return (await network) || offlineResponse();
+}
+
+/**
+ * Drop the oldest entries of a cache beyond a maximum count
+ * @param {string} cacheName
+ * @param {number} maxEntries
+ */
+async function trimCache(cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    // Keys are returned in insertion order
+    for (let i = 0; i < keys.length - maxEntries; i++) {
+        await cache.delete(keys[i]);
+    }
+}
+
+/**
+ * Response for requests that can't be served offline
+ * @returns {Response}
+ */
+function offlineResponse() {
+    return new Response(JSON.stringify({ error: 'offline' }), {
+        status: 503,
+        statusText: 'Offline',
+        headers: { 'Content-Type': 'application/json' }
+    });
+}